@@ -0,0 +1,13 @@
+// 在 app.json 之上套用建置環境的設定（EAS build profile 的 env 見 eas.json）
+//   EMOGO_ENV             development / staging / production（只用來顯示）
+//   EMOGO_BACKEND_URL     預設後端網址；沒設定時用 app.json 的 extra.backendUrl
+//   EMOGO_BACKEND_LOCKED  "true" 時設定頁不能改後端網址（正式研究版）
+export default ({ config }) => ({
+  ...config,
+  extra: {
+    ...config.extra,
+    environment: process.env.EMOGO_ENV || "development",
+    backendUrl: process.env.EMOGO_BACKEND_URL || config.extra?.backendUrl,
+    backendLocked: process.env.EMOGO_BACKEND_LOCKED === "true",
+  },
+});
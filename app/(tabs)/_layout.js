@@ -10,6 +10,18 @@ export default function TabsLayout() {
           title: "Home",
         }}
       />
+      <Tabs.Screen
+        name="history"
+        options={{
+          title: "History",
+        }}
+      />
+      <Tabs.Screen
+        name="stats"
+        options={{
+          title: "Stats",
+        }}
+      />
       <Tabs.Screen
         name="settings"
         options={{
@@ -0,0 +1,256 @@
+import React, { useCallback, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  ActivityIndicator,
+  StyleSheet,
+} from "react-native";
+import { useFocusEffect, useRouter } from "expo-router";
+
+import VideoThumbnail from "../../components/VideoThumbnail";
+import UndoBar, { useDeletedLogIds } from "../../components/UndoBar";
+import UploadProgress from "../../components/UploadProgress";
+import { getLogRepository } from "../../lib/database";
+import { dateInputToIso } from "../../lib/dateInput";
+
+const PAGE_SIZE = 20;
+
+const VIDEO_FILTERS = [
+  { label: "全部", value: null },
+  { label: "有影片", value: true },
+  { label: "無影片", value: false },
+];
+
+export default function HistoryScreen() {
+  const router = useRouter();
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [moods, setMoods] = useState([]);
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  const [hasVideo, setHasVideo] = useState(null);
+  const [query, setQuery] = useState("");
+  // 篩選條件改變時，較早送出的查詢結果要丟掉
+  const requestIdRef = useRef(0);
+  // 剛刪除（還可以復原）的紀錄先藏起來
+  const deleted = useDeletedLogIds();
+
+  const filters = {
+    moods,
+    from: dateInputToIso(fromText, false),
+    to: dateInputToIso(toText, true),
+    hasVideo,
+    query,
+  };
+  const filtersKey = JSON.stringify(filters);
+
+  const loadPage = useCallback(
+    async (cursor) => {
+      const requestId = ++requestIdRef.current;
+      setLoading(true);
+      try {
+        const repo = await getLogRepository();
+        const page = await repo.paginate({
+          cursor,
+          limit: PAGE_SIZE,
+          filters: JSON.parse(filtersKey),
+        });
+        if (requestId !== requestIdRef.current) return;
+        setItems((prev) => (cursor === null ? page.items : [...prev, ...page.items]));
+        setNextCursor(page.nextCursor);
+      } catch (e) {
+        console.log("history load error:", e);
+      } finally {
+        if (requestId === requestIdRef.current) setLoading(false);
+      }
+    },
+    [filtersKey]
+  );
+
+  // 每次回到這個分頁（或篩選條件改變）都從第一頁重新讀取
+  useFocusEffect(
+    useCallback(() => {
+      loadPage(null);
+    }, [loadPage])
+  );
+
+  const loadMore = () => {
+    if (!loading && nextCursor !== null) {
+      loadPage(nextCursor);
+    }
+  };
+
+  const toggleMood = (value) => {
+    setMoods((prev) =>
+      prev.includes(value) ? prev.filter((m) => m !== value) : [...prev, value]
+    );
+  };
+
+  const renderItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.logItem}
+      onPress={() =>
+        router.push({ pathname: "/details", params: { id: String(item.id) } })
+      }
+    >
+      {item.videoUri ? (
+        <VideoThumbnail
+          log={item}
+          onPress={() =>
+            router.push({ pathname: "/player", params: { id: String(item.id) } })
+          }
+        />
+      ) : null}
+      <View style={{ flex: 1, marginLeft: item.videoUri ? 8 : 0 }}>
+        <Text style={styles.logLine}>
+          時間：{new Date(item.timestamp).toLocaleString()}
+        </Text>
+        <Text style={styles.logLine}>心情：{item.mood ?? "(未填)"}</Text>
+        <Text style={styles.logLine}>{item.videoUri ? "有 vlog" : "無 vlog"}</Text>
+        <UploadProgress log={item} />
+      </View>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.list}>
+      <FlatList
+        style={styles.list}
+        contentContainerStyle={styles.container}
+        data={items.filter((item) => !deleted.has(item.id))}
+        keyExtractor={(item) => String(item.id)}
+        renderItem={renderItem}
+        onEndReached={loadMore}
+        onEndReachedThreshold={0.5}
+        ListHeaderComponent={
+          <View>
+            <TouchableOpacity
+              style={[styles.chip, { marginHorizontal: 0 }]}
+              onPress={() => router.push("/map")}
+            >
+              <Text>在心情地圖上查看</Text>
+            </TouchableOpacity>
+
+            <Text style={styles.subtitle}>心情</Text>
+            <View style={styles.chipRow}>
+              {[1, 2, 3, 4, 5].map((value) => (
+                <TouchableOpacity
+                  key={value}
+                  style={[styles.chip, moods.includes(value) && styles.chipSelected]}
+                  onPress={() => toggleMood(value)}
+                >
+                  <Text>{value}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.subtitle}>日期範圍（YYYY-MM-DD）</Text>
+            <View style={styles.chipRow}>
+              <TextInput
+                style={styles.input}
+                placeholder="開始日期"
+                value={fromText}
+                onChangeText={setFromText}
+                autoCapitalize="none"
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="結束日期"
+                value={toText}
+                onChangeText={setToText}
+                autoCapitalize="none"
+              />
+            </View>
+
+            <Text style={styles.subtitle}>影片</Text>
+            <View style={styles.chipRow}>
+              {VIDEO_FILTERS.map((option) => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={[styles.chip, hasVideo === option.value && styles.chipSelected]}
+                  onPress={() => setHasVideo(option.value)}
+                >
+                  <Text>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.subtitle}>搜尋</Text>
+            <TextInput
+              style={[styles.input, { marginHorizontal: 0 }]}
+              placeholder="例如 2026-10 或 10-05T09"
+              value={query}
+              onChangeText={setQuery}
+              autoCapitalize="none"
+            />
+          </View>
+        }
+        ListEmptyComponent={
+          loading ? null : <Text style={{ marginTop: 16 }}>沒有符合條件的紀錄。</Text>
+        }
+        ListFooterComponent={
+          loading ? <ActivityIndicator style={{ marginVertical: 16 }} /> : null
+        }
+      />
+      <UndoBar />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  list: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+  },
+  subtitle: {
+    marginTop: 12,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  chipRow: {
+    flexDirection: "row",
+    marginTop: 6,
+  },
+  chip: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    alignItems: "center",
+  },
+  chipSelected: {
+    backgroundColor: "#8fd19e",
+    borderColor: "#4caf50",
+  },
+  input: {
+    flex: 1,
+    marginHorizontal: 4,
+    marginTop: 6,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  logItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  logLine: {
+    fontSize: 12,
+  },
+});
@@ -8,8 +8,8 @@ export default function HomeScreen() {
       <Text style={styles.title}>Home tab</Text>
 
       {/* Link component performs client side navigation to another route */}
-      <Link href="/details" style={styles.link}>
-        Go to details screen (Stack)
+      <Link href="/(tabs)/history" style={styles.link}>
+        Go to History tab
       </Link>
 
       {/* Link to another tab by using its path */}
@@ -18,8 +18,8 @@ export default function HomeScreen() {
       </Link>
 
       {/* Button can also navigate by using Link as child */}
-      <Link href="/details" asChild>
-        <Button title="Open details as stack screen" />
+      <Link href="/(tabs)/history" asChild>
+        <Button title="Browse all logs" />
       </Link>
     </View>
   );
@@ -1,22 +1,855 @@
-import { View, Text, StyleSheet } from "react-native";
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Button,
+  Switch,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Platform,
+} from "react-native";
+import * as Location from "expo-location";
+import * as Notifications from "expo-notifications";
 import { Link } from "expo-router";
 
+import { checkBackendHealth } from "../../lib/api";
+import {
+  getBackendOverride,
+  getBuildEnvironment,
+  getDefaultBackendUrl,
+  isBackendLocked,
+  normalizeBackendUrl,
+  saveBackendOverride,
+} from "../../lib/backendConfig";
+import { loadConsentRecord } from "../../lib/consentStore";
+import { MAX_ESM_DAYS, MAX_ESM_WINDOWS } from "../../lib/esmSchedule";
+import {
+  GRID_METERS_OPTIONS,
+  JITTER_METERS_OPTIONS,
+  LOCATION_PRIVACY,
+  LOCATION_PRIVACY_LABELS,
+  PLACE_LABELS,
+  PLACE_RADIUS_METERS,
+  describeLocationPrivacy,
+} from "../../lib/locationPrivacy";
+import {
+  loadLocationSettings,
+  saveLocationSettings,
+} from "../../lib/locationSettings";
+import {
+  applySamplingPlan,
+  disablePassiveSensing,
+  enablePassiveSensing,
+  getPassiveSensingStatus,
+} from "../../lib/passiveSensing";
+import {
+  CLIP_SECONDS_OPTIONS,
+  COUNTDOWN_SECONDS_OPTIONS,
+  loadRecordingSettings,
+  saveRecordingSettings,
+} from "../../lib/recordingSettings";
+import { describeSamplingPlan } from "../../lib/sensingPolicy";
+import {
+  ALL_WEEKDAYS,
+  MAX_REMINDER_TIMES,
+  REMINDER_MODES,
+  WEEKDAY_LABELS,
+  isPaused,
+  parseTime,
+} from "../../lib/reminderSchedule";
+import {
+  loadReminderSettings,
+  saveReminderSettings,
+  syncReminders,
+} from "../../lib/reminders";
+import { getStudyConfig } from "../../lib/studyConfigStore";
+
+const PAUSE_OPTIONS = [1, 3, 7];
+
+const MODE_OPTIONS = [
+  { label: "固定時間", value: REMINDER_MODES.FIXED },
+  { label: "隨機（ESM）", value: REMINDER_MODES.ESM },
+];
+
 export default function SettingsScreen() {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [recording, setRecording] = useState(null);
+  const [location, setLocation] = useState(null);
+  const [locating, setLocating] = useState(null); // 正在取得座標的地點（home / work）
+  const [passive, setPassive] = useState(null);
+  const [switchingPassive, setSwitchingPassive] = useState(false);
+  const [backendText, setBackendText] = useState("");
+  const [backendOverride, setBackendOverride] = useState(null);
+  const [healthResult, setHealthResult] = useState(null);
+  const [checkingHealth, setCheckingHealth] = useState(false);
+  const [consent, setConsent] = useState(null);
+  const [studyConfig, setStudyConfig] = useState(null);
+
+  useEffect(() => {
+    loadReminderSettings()
+      .then(setSettings)
+      .catch((e) => console.log("load reminder settings error:", e));
+    loadRecordingSettings()
+      .then(setRecording)
+      .catch((e) => console.log("load recording settings error:", e));
+    loadLocationSettings()
+      .then(setLocation)
+      .catch((e) => console.log("load location settings error:", e));
+    getPassiveSensingStatus()
+      .then(setPassive)
+      .catch((e) => console.log("load passive sensing status error:", e));
+    getBackendOverride()
+      .then((url) => {
+        setBackendOverride(url);
+        setBackendText(url ?? "");
+      })
+      .catch((e) => console.log("load backend override error:", e));
+    loadConsentRecord()
+      .then(setConsent)
+      .catch((e) => console.log("load consent record error:", e));
+    getStudyConfig()
+      .then(setStudyConfig)
+      .catch((e) => console.log("load study config error:", e));
+  }, []);
+
+  if (!settings) {
+    return (
+      <View style={styles.center}>
+        <Text>讀取中...</Text>
+      </View>
+    );
+  }
+
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+
+  const updateTime = (index, text) => {
+    const times = [...settings.times];
+    times[index] = text;
+    update({ times });
+  };
+
+  const removeTime = (index) => {
+    update({ times: settings.times.filter((_, i) => i !== index) });
+  };
+
+  const addTime = () => {
+    if (settings.times.length >= MAX_REMINDER_TIMES) {
+      Alert.alert("提醒太多了", `最多只能設定 ${MAX_REMINDER_TIMES} 個提醒時間。`);
+      return;
+    }
+    update({ times: [...settings.times, "12:00"] });
+  };
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = settings.weekdays.includes(weekday)
+      ? settings.weekdays.filter((d) => d !== weekday)
+      : [...settings.weekdays, weekday];
+    update({ weekdays });
+  };
+
+  const updateQuietHours = (patch) => {
+    update({ quietHours: { ...settings.quietHours, ...patch } });
+  };
+
+  const updateEsm = (patch) => {
+    update({ esm: { ...settings.esm, ...patch } });
+  };
+
+  const updateWindow = (index, patch) => {
+    const windows = settings.esm.windows.map((w, i) =>
+      i === index ? { ...w, ...patch } : w
+    );
+    updateEsm({ windows });
+  };
+
+  const addWindow = () => {
+    if (settings.esm.windows.length >= MAX_ESM_WINDOWS) {
+      Alert.alert("時間窗太多了", `最多只能設定 ${MAX_ESM_WINDOWS} 個時間窗。`);
+      return;
+    }
+    updateEsm({ windows: [...settings.esm.windows, { start: "12:00", end: "14:00" }] });
+  };
+
+  const removeWindow = (index) => {
+    updateEsm({ windows: settings.esm.windows.filter((_, i) => i !== index) });
+  };
+
+  // 存檔並同步系統排程；pausedUntil 可另外指定（暫停 / 恢復按鈕用）
+  const save = async (overrides = {}) => {
+    const next = { ...settings, ...overrides };
+
+    const invalid = next.times.filter((t) => !parseTime(t));
+    if (invalid.length > 0) {
+      Alert.alert("時間格式錯誤", `請用 HH:MM 格式：${invalid.join("、")}`);
+      return;
+    }
+    const badWindow = next.esm.windows.find(
+      (w) =>
+        !parseTime(w.start) ||
+        !parseTime(w.end) ||
+        w.start.padStart(5, "0") >= w.end.padStart(5, "0")
+    );
+    if (next.mode === REMINDER_MODES.ESM && badWindow) {
+      Alert.alert("時間窗錯誤", "請用 HH:MM 格式，且開始時間要早於結束時間。");
+      return;
+    }
+    if (
+      next.quietHours.enabled &&
+      (!parseTime(next.quietHours.start) || !parseTime(next.quietHours.end))
+    ) {
+      Alert.alert("勿擾時段格式錯誤", "請用 HH:MM 格式。");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveReminderSettings(next);
+      setSettings(saved);
+
+      if (Platform.OS === "web") {
+        Alert.alert("已儲存", "Web 預覽不會發出通知。");
+        return;
+      }
+
+      const perm = await Notifications.requestPermissionsAsync();
+      if (perm.status !== "granted") {
+        Alert.alert("已儲存", "尚未允許通知權限，提醒不會發出。");
+        return;
+      }
+
+      // ESM 設定可能改了時間窗，尚未發出的隨機提醒整批重新產生
+      const { scheduled, cancelled } = await syncReminders(saved, {
+        regenerate: saved.mode === REMINDER_MODES.ESM,
+      });
+      Alert.alert("已儲存", `新增 ${scheduled} 個、取消 ${cancelled} 個提醒。`);
+    } catch (e) {
+      console.log("save reminder settings error:", e);
+      Alert.alert("儲存失敗", "請再試一次。");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // 錄影設定不影響排程，點選後直接存檔
+  const updateRecording = async (patch) => {
+    try {
+      setRecording(await saveRecordingSettings({ ...recording, ...patch }));
+    } catch (e) {
+      console.log("save recording settings error:", e);
+      Alert.alert("儲存失敗", "請再試一次。");
+    }
+  };
+
+  // 位置隱私也是點選後直接存檔，下一筆紀錄開始生效
+  const updateLocation = async (patch) => {
+    try {
+      setLocation(await saveLocationSettings({ ...location, ...patch }));
+      // 改成「不記錄位置」時，被動感測也要停止背景定位
+      await applySamplingPlan();
+    } catch (e) {
+      console.log("save location settings error:", e);
+      Alert.alert("儲存失敗", "請再試一次。");
+    }
+  };
+
+  // 把目前位置存成住家 / 工作地點（只存在手機上，不會上傳）
+  const setPlaceHere = async (label) => {
+    setLocating(label);
+    try {
+      const perm = await Location.requestForegroundPermissionsAsync();
+      if (perm.status !== "granted") {
+        Alert.alert("需要位置權限", "設定地點需要讀取目前位置一次。");
+        return;
+      }
+      const loc = await Location.getCurrentPositionAsync({});
+      await updateLocation({
+        places: {
+          ...location.places,
+          [label]: {
+            lat: loc.coords.latitude,
+            lng: loc.coords.longitude,
+            radiusMeters: PLACE_RADIUS_METERS,
+          },
+        },
+      });
+    } catch (e) {
+      console.log("set place error:", e);
+      Alert.alert("取得位置失敗", "請稍後再試。");
+    } finally {
+      setLocating(null);
+    }
+  };
+
+  const clearPlace = (label) => {
+    const places = { ...location.places };
+    delete places[label];
+    updateLocation({ places });
+  };
+
+  // 開關之後重新讀取實際狀態；讀取失敗也要讓開關恢復可以操作
+  const refreshPassive = async () => {
+    try {
+      setPassive(await getPassiveSensingStatus());
+    } catch (e) {
+      console.log("load passive sensing status error:", e);
+    } finally {
+      setSwitchingPassive(false);
+    }
+  };
+
+  const turnOnPassive = async () => {
+    setSwitchingPassive(true);
+    try {
+      const result = await enablePassiveSensing();
+      if (!result.enabled) {
+        Alert.alert(
+          "沒有開啟被動感測",
+          result.reason === "background"
+            ? "需要「永遠允許」位置權限才能在背景記錄。可以到系統設定修改後再試一次。"
+            : "需要位置權限才能記錄位置。"
+        );
+      }
+    } catch (e) {
+      console.log("enable passive sensing error:", e);
+      Alert.alert("開啟失敗", "請再試一次。");
+    } finally {
+      await refreshPassive();
+    }
+  };
+
+  const turnOffPassive = async () => {
+    setSwitchingPassive(true);
+    try {
+      await disablePassiveSensing();
+    } catch (e) {
+      console.log("disable passive sensing error:", e);
+      Alert.alert("關閉失敗", "請再試一次。");
+    } finally {
+      await refreshPassive();
+    }
+  };
+
+  // 開啟前再說明一次耗電與背景定位，讓參與者確定要開
+  const togglePassive = async (value) => {
+    if (!value) {
+      await turnOffPassive();
+      return;
+    }
+    Alert.alert(
+      "開啟被動感測？",
+      "App 會在背景定期記錄位置與動作，會比平常更耗電。隨時可以在這裡關閉。",
+      [
+        { text: "取消", style: "cancel" },
+        { text: "開啟", onPress: turnOnPassive },
+      ]
+    );
+  };
+
+  // 後端網址：留白表示使用預設值
+  const saveBackend = async (text) => {
+    const trimmed = text.trim();
+    if (trimmed && !normalizeBackendUrl(trimmed)) {
+      Alert.alert("網址格式錯誤", "請輸入 http:// 或 https:// 開頭的網址。");
+      return;
+    }
+    try {
+      await saveBackendOverride(trimmed ? trimmed : null);
+      const saved = trimmed ? normalizeBackendUrl(trimmed) : null;
+      setBackendOverride(saved);
+      setBackendText(saved ?? "");
+      setHealthResult(null);
+      Alert.alert("已儲存", `之後的上傳會送到 ${saved ?? getDefaultBackendUrl()}`);
+    } catch (e) {
+      console.log("save backend override error:", e);
+      Alert.alert("儲存失敗", e?.message ?? "請再試一次。");
+    }
+  };
+
+  // 測試輸入框裡的網址（還沒儲存也可以測）
+  const testConnection = async () => {
+    const target =
+      normalizeBackendUrl(backendText) ?? backendOverride ?? getDefaultBackendUrl();
+    setCheckingHealth(true);
+    setHealthResult(null);
+    try {
+      setHealthResult({ url: target, ...(await checkBackendHealth(target)) });
+    } finally {
+      setCheckingHealth(false);
+    }
+  };
+
+  const pauseFor = (days) => {
+    const until = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    save({ pausedUntil: until.toISOString() });
+  };
+
+  const paused = isPaused(settings);
+  // 研究設定（後端下發）指定的項目不給參與者改
+  const remindersLocked = Boolean(studyConfig?.reminders);
+  const clipLocked = Boolean(studyConfig?.recording.clipSeconds);
+  const locationRequired = Boolean(studyConfig?.location.required);
+
   return (
-    <View style={styles.container}>
-      {/* Second tab content */}
-      <Text style={styles.title}>Settings tab</Text>
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Text style={styles.title}>提醒設定</Text>
+
+      {remindersLocked ? (
+        <>
+          <Text style={styles.subtitle}>提醒時間（由研究設定）</Text>
+          <Text style={styles.hint}>
+            {settings.mode === REMINDER_MODES.ESM
+              ? `每個時間窗內隨機提醒一次：${settings.esm.windows
+                  .map((w) => `${w.start}–${w.end}`)
+                  .join("、")}`
+              : settings.times.join("、")}
+            ；星期{settings.weekdays.map((d) => WEEKDAY_LABELS[d]).join("、")}
+          </Text>
+          <Text style={styles.hint}>
+            這個研究指定了提醒時間，研究人員調整後會自動更新；勿擾時段與暫停仍可自己設定。
+          </Text>
+        </>
+      ) : (
+        <>
+          <Text style={styles.subtitle}>提醒模式</Text>
+          <View style={styles.row}>
+            {MODE_OPTIONS.map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.chip, settings.mode === option.value && styles.chipSelected]}
+                onPress={() => update({ mode: option.value })}
+              >
+                <Text>{option.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {settings.mode === REMINDER_MODES.FIXED ? (
+            <>
+              {/* 1. 提醒時間 */}
+              <Text style={styles.subtitle}>提醒時間（HH:MM）</Text>
+              {settings.times.map((time, index) => (
+                <View key={index} style={styles.row}>
+                  <TextInput
+                    style={styles.input}
+                    value={time}
+                    onChangeText={(text) => updateTime(index, text)}
+                    placeholder="09:00"
+                    keyboardType="numbers-and-punctuation"
+                  />
+                  <Button color="#cc3333" title="刪除" onPress={() => removeTime(index)} />
+                </View>
+              ))}
+              <View style={{ marginTop: 8 }}>
+                <Button title="新增提醒時間" onPress={addTime} />
+              </View>
+            </>
+          ) : (
+            <>
+              {/* 1. ESM：每個時間窗內隨機提醒一次 */}
+              <Text style={styles.subtitle}>時間窗（每個時間窗內隨機提醒一次）</Text>
+              {settings.esm.windows.map((window, index) => (
+                <View key={index} style={styles.row}>
+                  <TextInput
+                    style={styles.input}
+                    value={window.start}
+                    onChangeText={(start) => updateWindow(index, { start })}
+                    placeholder="08:00"
+                  />
+                  <Text> 到 </Text>
+                  <TextInput
+                    style={styles.input}
+                    value={window.end}
+                    onChangeText={(end) => updateWindow(index, { end })}
+                    placeholder="11:00"
+                  />
+                  <Button color="#cc3333" title="刪除" onPress={() => removeWindow(index)} />
+                </View>
+              ))}
+              <View style={{ marginTop: 8 }}>
+                <Button title="新增時間窗" onPress={addWindow} />
+              </View>
+
+              <View style={styles.row}>
+                <Text style={{ flex: 2 }}>提醒之間最少間隔（分鐘）</Text>
+                <TextInput
+                  style={styles.input}
+                  value={String(settings.esm.minGapMinutes)}
+                  onChangeText={(text) => updateEsm({ minGapMinutes: text })}
+                  keyboardType="number-pad"
+                />
+              </View>
+              <View style={styles.row}>
+                <Text style={{ flex: 2 }}>預先排定天數（最多 {MAX_ESM_DAYS} 天）</Text>
+                <TextInput
+                  style={styles.input}
+                  value={String(settings.esm.daysAhead)}
+                  onChangeText={(text) => updateEsm({ daysAhead: text })}
+                  keyboardType="number-pad"
+                />
+              </View>
+              <Text style={styles.hint}>每次打開 App 都會自動補排之後幾天的提醒。</Text>
+            </>
+          )}
+
+          {/* 2. 星期 */}
+          <Text style={styles.subtitle}>提醒的星期</Text>
+          <View style={styles.row}>
+            {ALL_WEEKDAYS.map((weekday) => (
+              <TouchableOpacity
+                key={weekday}
+                style={[
+                  styles.chip,
+                  settings.weekdays.includes(weekday) && styles.chipSelected,
+                ]}
+                onPress={() => toggleWeekday(weekday)}
+              >
+                <Text>{WEEKDAY_LABELS[weekday]}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </>
+      )}
+
+      {/* 3. 勿擾時段 */}
+      <View style={[styles.row, { justifyContent: "space-between" }]}>
+        <Text style={styles.subtitle}>勿擾時段</Text>
+        <Switch
+          value={settings.quietHours.enabled}
+          onValueChange={(enabled) => updateQuietHours({ enabled })}
+        />
+      </View>
+      {settings.quietHours.enabled && (
+        <View style={styles.row}>
+          <TextInput
+            style={styles.input}
+            value={settings.quietHours.start}
+            onChangeText={(start) => updateQuietHours({ start })}
+            placeholder="22:00"
+          />
+          <Text> 到 </Text>
+          <TextInput
+            style={styles.input}
+            value={settings.quietHours.end}
+            onChangeText={(end) => updateQuietHours({ end })}
+            placeholder="08:00"
+          />
+        </View>
+      )}
+      <Text style={styles.hint}>落在勿擾時段內的提醒時間不會發出通知。</Text>
+
+      <View style={{ marginTop: 16 }}>
+        <Button
+          title={saving ? "儲存中..." : "儲存提醒設定"}
+          onPress={() => save()}
+          disabled={saving}
+        />
+      </View>
+
+      {/* 4. 暫停提醒 */}
+      <Text style={styles.subtitle}>暫停提醒</Text>
+      {paused ? (
+        <>
+          <Text style={styles.hint}>
+            提醒已暫停到 {new Date(settings.pausedUntil).toLocaleString()}
+          </Text>
+          <View style={{ marginTop: 8 }}>
+            <Button
+              title="立即恢復提醒"
+              onPress={() => save({ pausedUntil: null })}
+              disabled={saving}
+            />
+          </View>
+        </>
+      ) : (
+        <View style={styles.row}>
+          {PAUSE_OPTIONS.map((days) => (
+            <TouchableOpacity
+              key={days}
+              style={styles.chip}
+              onPress={() => pauseFor(days)}
+              disabled={saving}
+            >
+              <Text>{days} 天</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      {/* 5. 錄影 */}
+      {recording && (
+        <>
+          <Text style={[styles.title, { marginTop: 32 }]}>錄影設定</Text>
+          <Text style={styles.subtitle}>vlog 片長（秒）</Text>
+          {clipLocked ? (
+            <Text style={styles.hint}>
+              {recording.clipSeconds} 秒（由研究設定，研究人員調整後會自動更新）
+            </Text>
+          ) : (
+            <View style={styles.row}>
+              {CLIP_SECONDS_OPTIONS.map((seconds) => (
+                <TouchableOpacity
+                  key={seconds}
+                  style={[
+                    styles.chip,
+                    recording.clipSeconds === seconds && styles.chipSelected,
+                  ]}
+                  onPress={() => updateRecording({ clipSeconds: seconds })}
+                >
+                  <Text>{seconds}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+          <Text style={styles.subtitle}>開始前倒數（秒）</Text>
+          <View style={styles.row}>
+            {COUNTDOWN_SECONDS_OPTIONS.map((seconds) => (
+              <TouchableOpacity
+                key={seconds}
+                style={[
+                  styles.chip,
+                  recording.countdownSeconds === seconds && styles.chipSelected,
+                ]}
+                onPress={() => updateRecording({ countdownSeconds: seconds })}
+              >
+                <Text>{seconds === 0 ? "不倒數" : seconds}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.hint}>每段 vlog 都會錄滿固定長度後自動停止。</Text>
+        </>
+      )}
+
+      {/* 6. 位置隱私 */}
+      {location && (
+        <>
+          <Text style={[styles.title, { marginTop: 32 }]}>位置隱私</Text>
+          <Text style={styles.hint}>選擇儲存紀錄時要記錄多少位置資訊。</Text>
+          {Object.values(LOCATION_PRIVACY)
+            .filter((privacy) => !locationRequired || privacy !== LOCATION_PRIVACY.NONE)
+            .map((privacy) => (
+              <TouchableOpacity
+                key={privacy}
+                style={[
+                  styles.chip,
+                  styles.option,
+                  location.privacy === privacy && styles.chipSelected,
+                ]}
+                onPress={() => updateLocation({ privacy })}
+              >
+                <Text>{LOCATION_PRIVACY_LABELS[privacy]}</Text>
+              </TouchableOpacity>
+            ))}
+
+          {location.privacy === LOCATION_PRIVACY.GRID && (
+            <>
+              <Text style={styles.subtitle}>方格大小（公尺）</Text>
+              <View style={styles.row}>
+                {GRID_METERS_OPTIONS.map((meters) => (
+                  <TouchableOpacity
+                    key={meters}
+                    style={[
+                      styles.chip,
+                      location.gridMeters === meters && styles.chipSelected,
+                    ]}
+                    onPress={() => updateLocation({ gridMeters: meters })}
+                  >
+                    <Text>{meters}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          {location.privacy === LOCATION_PRIVACY.JITTER && (
+            <>
+              <Text style={styles.subtitle}>最大偏移距離（公尺）</Text>
+              <View style={styles.row}>
+                {JITTER_METERS_OPTIONS.map((meters) => (
+                  <TouchableOpacity
+                    key={meters}
+                    style={[
+                      styles.chip,
+                      location.jitterMeters === meters && styles.chipSelected,
+                    ]}
+                    onPress={() => updateLocation({ jitterMeters: meters })}
+                  >
+                    <Text>{meters}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          {location.privacy === LOCATION_PRIVACY.PLACES &&
+            ["home", "work"].map((label) => (
+              <View key={label} style={styles.row}>
+                <Text style={{ flex: 1 }}>
+                  {PLACE_LABELS[label]}：{location.places[label] ? "已設定" : "未設定"}
+                </Text>
+                <View style={{ marginRight: 8 }}>
+                  <Button
+                    title={locating === label ? "定位中..." : "設為目前位置"}
+                    onPress={() => setPlaceHere(label)}
+                    disabled={locating !== null}
+                  />
+                </View>
+                {location.places[label] && (
+                  <Button color="#cc3333" title="清除" onPress={() => clearPlace(label)} />
+                )}
+              </View>
+            ))}
+
+          <Text style={styles.hint}>{describeLocationPrivacy(location)}</Text>
+          {location.privacy === LOCATION_PRIVACY.PLACES && (
+            <Text style={styles.hint}>
+              住家與工作地點的座標只存在這支手機上，不會上傳；
+              紀錄只會標記在 {PLACE_RADIUS_METERS} 公尺內的哪個地點。
+            </Text>
+          )}
+          <Text style={styles.hint}>
+            {locationRequired
+              ? "這個研究的紀錄一定要有位置，所以不能選「不記錄位置」，也要允許位置權限才能儲存。"
+              : "沒有允許位置權限時也可以儲存紀錄，只是那筆紀錄不會有位置。"}
+          </Text>
+        </>
+      )}
+
+      {/* 7. 被動感測（預設關閉） */}
+      {passive && (
+        <>
+          <View style={[styles.row, { justifyContent: "space-between", marginTop: 32 }]}>
+            <Text style={[styles.title, { marginBottom: 0 }]}>被動感測</Text>
+            <Switch
+              value={passive.enabled}
+              onValueChange={togglePassive}
+              disabled={switchingPassive || Platform.OS === "web"}
+            />
+          </View>
+          <Text style={styles.hint}>
+            開啟後，App 會在兩次紀錄之間於背景定期記錄位置（依上方的位置隱私設定處理）
+            與幾秒鐘的動作資料，幫助研究了解你當時的情境。
+          </Text>
+          <Text style={styles.hint}>
+            耗電：背景定位會比平常更耗電，視手機而定一天可能多用幾個百分比。
+            電量低於 50% 時會自動放慢，低於 20% 或開啟省電模式時暫停；
+            Android 會在通知列顯示「被動感測中」。
+          </Text>
+          {passive.enabled && (
+            <>
+              <Text style={styles.hint}>目前：{describeSamplingPlan(passive.plan)}</Text>
+              {location?.privacy === LOCATION_PRIVACY.NONE && (
+                <Text style={styles.hint}>位置隱私設為「不記錄位置」，只會記錄動作。</Text>
+              )}
+              <Text style={styles.hint}>
+                待上傳 {passive.pending} 筆
+                {passive.lastSampleAt
+                  ? `，最近一次記錄：${new Date(passive.lastSampleAt).toLocaleString()}`
+                  : "，還沒有記錄"}
+              </Text>
+            </>
+          )}
+        </>
+      )}
+
+      {/* 8. 研究參與 */}
+      <Text style={[styles.title, { marginTop: 32 }]}>研究參與</Text>
+      <Link href="/enroll" asChild>
+        <Button title="加入研究 / 查看參與狀態" />
+      </Link>
+      {consent?.consentedAt && (
+        <Text style={styles.hint}>
+          已於 {new Date(consent.consentedAt).toLocaleString()} 同意研究說明第{" "}
+          {consent.version} 版
+          {consent.syncedAt ? "" : "（加入研究後會送到後端）"}
+        </Text>
+      )}
+      {studyConfig && (
+        <Text style={styles.hint}>
+          研究設定：{studyConfig.id} 第 {studyConfig.version} 版（每次打開 App 時更新）
+        </Text>
+      )}
+      <View style={{ marginTop: 8 }}>
+        <Link href={{ pathname: "/onboarding", params: { review: "1" } }} asChild>
+          <Button title="重新閱讀研究說明" />
+        </Link>
+      </View>
+
+      {/* 9. 後端連線 */}
+      <Text style={[styles.title, { marginTop: 32 }]}>後端連線</Text>
+      <Text style={styles.hint}>建置環境：{getBuildEnvironment()}</Text>
+      {isBackendLocked() ? (
+        <Text style={styles.hint}>
+          這個版本固定使用 {getDefaultBackendUrl()}，無法在這裡修改。
+        </Text>
+      ) : (
+        <>
+          <Text style={styles.subtitle}>後端網址（留白使用預設值）</Text>
+          <TextInput
+            style={[styles.input, { marginTop: 8, marginRight: 0 }]}
+            value={backendText}
+            onChangeText={setBackendText}
+            placeholder={getDefaultBackendUrl()}
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <Text style={styles.hint}>
+            目前使用：{backendOverride ?? `${getDefaultBackendUrl()}（預設）`}
+          </Text>
+          <View style={styles.row}>
+            <View style={{ flex: 1, marginRight: 8 }}>
+              <Button title="儲存網址" onPress={() => saveBackend(backendText)} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Button
+                title="還原預設"
+                onPress={() => saveBackend("")}
+                disabled={!backendOverride}
+              />
+            </View>
+          </View>
+        </>
+      )}
+      <View style={{ marginTop: 8 }}>
+        <Button
+          title={checkingHealth ? "測試中..." : "測試連線"}
+          onPress={testConnection}
+          disabled={checkingHealth}
+        />
+      </View>
+      {healthResult && (
+        <Text
+          style={[styles.hint, { color: healthResult.ok ? "#2e7d32" : "#cc3333" }]}
+        >
+          {healthResult.ok
+            ? `連線成功（${healthResult.latencyMs} ms）：${healthResult.url}`
+            : `連線失敗（${healthResult.error}）：${healthResult.url}`}
+        </Text>
+      )}
 
-      {/* Link back to the home tab */}
-      <Link href="/(tabs)" style={styles.link}>
-        Back to Home tab
+      {/* 10. 資料 */}
+      <Text style={[styles.title, { marginTop: 32 }]}>資料</Text>
+      <Link href="/backup" asChild>
+        <Button title="匯出 / 還原紀錄與影片（ZIP）" />
       </Link>
-    </View>
+    </ScrollView>
   );
 }
 
 const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
   container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  center: {
     flex: 1,
     alignItems: "center",
     justifyContent: "center",
@@ -24,11 +857,49 @@ const styles = StyleSheet.create({
   },
   title: {
     fontSize: 24,
-    marginBottom: 24,
+    fontWeight: "bold",
+    marginBottom: 8,
   },
-  link: {
+  subtitle: {
+    marginTop: 16,
     fontSize: 16,
-    marginBottom: 12,
-    textDecorationLine: "underline",
+    fontWeight: "600",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    marginRight: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  chip: {
+    flex: 1,
+    marginHorizontal: 2,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    alignItems: "center",
+  },
+  option: {
+    flex: 0,
+    marginTop: 4,
+    marginHorizontal: 0,
+  },
+  chipSelected: {
+    backgroundColor: "#8fd19e",
+    borderColor: "#4caf50",
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#666",
   },
 });
@@ -0,0 +1,233 @@
+import React, { useCallback, useState } from "react";
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from "react-native";
+import { useFocusEffect } from "expo-router";
+
+import { getLogRepository } from "../../lib/database";
+import { addDays, dateRange, summarizeMood, toDateKey } from "../../lib/moodStats";
+import { loadEsmPromptHours } from "../../lib/prompts";
+import { REMINDER_MODES, fixedPromptHoursOn } from "../../lib/reminderSchedule";
+import { loadReminderSettings } from "../../lib/reminders";
+
+const RANGES = [7, 30, 90];
+const CHART_HEIGHT = 120;
+
+const formatNumber = (value, digits = 1) =>
+  value === null ? "-" : value.toFixed(digits);
+
+export default function StatsScreen() {
+  const [rangeDays, setRangeDays] = useState(7);
+  const [summary, setSummary] = useState(null);
+
+  // 每次回到這個分頁都重新計算（可能剛新增了紀錄）
+  useFocusEffect(
+    useCallback(() => {
+      (async () => {
+        try {
+          const today = new Date();
+          // 連續天數要看全部歷史，所以讀取全部紀錄
+          const repo = await getLogRepository();
+          const logs = await repo.list({ limit: null });
+          // 每天應該有的提醒依實際排程計算：
+          // 固定時間看提醒星期與勿擾時段，ESM 看當天實際排定的隨機提醒
+          const reminders = await loadReminderSettings();
+          let promptHours;
+          if (reminders.mode === REMINDER_MODES.ESM) {
+            const keys = dateRange(today, rangeDays);
+            const esmHours = await loadEsmPromptHours(keys[0], keys[keys.length - 1]);
+            promptHours = (date) => esmHours[toDateKey(date)] ?? [];
+          } else {
+            promptHours = (date) => fixedPromptHoursOn(reminders, date);
+          }
+          setSummary(summarizeMood(logs, { rangeDays, today, promptHours }));
+        } catch (e) {
+          console.log("stats load error:", e);
+        }
+      })();
+    }, [rangeDays])
+  );
+
+  const rangeStart = addDays(new Date(), -(rangeDays - 1));
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <View style={styles.rangeRow}>
+        {RANGES.map((days) => (
+          <TouchableOpacity
+            key={days}
+            style={[styles.rangeButton, rangeDays === days && styles.rangeSelected]}
+            onPress={() => setRangeDays(days)}
+          >
+            <Text>{days} 天</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {!summary ? (
+        <Text style={{ marginTop: 16 }}>讀取中...</Text>
+      ) : (
+        <>
+          <View style={styles.cardRow}>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>{formatNumber(summary.mean)}</Text>
+              <Text style={styles.cardLabel}>平均心情</Text>
+            </View>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>
+                {formatNumber(summary.variance, 2)}
+              </Text>
+              <Text style={styles.cardLabel}>變異數</Text>
+            </View>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>{summary.logCount}</Text>
+              <Text style={styles.cardLabel}>紀錄筆數</Text>
+            </View>
+          </View>
+
+          <View style={styles.cardRow}>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>
+                {summary.promptsCompleted}/{summary.promptsExpected}
+              </Text>
+              <Text style={styles.cardLabel}>
+                完成提醒（{Math.round(summary.completionRate * 100)}%）
+              </Text>
+            </View>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>{summary.streaks.current}</Text>
+              <Text style={styles.cardLabel}>目前連續天數</Text>
+            </View>
+            <View style={styles.card}>
+              <Text style={styles.cardValue}>{summary.streaks.longest}</Text>
+              <Text style={styles.cardLabel}>最長連續天數</Text>
+            </View>
+          </View>
+
+          <Text style={styles.dayLine}>
+            從提醒點進來的紀錄：{summary.promptResponses.promptedCount} 筆，平均回應延遲{" "}
+            {formatNumber(summary.promptResponses.meanLatencyMinutes)} 分鐘
+          </Text>
+
+          {/* 每日平均心情長條圖（1~5），沒有紀錄的日子留空 */}
+          <Text style={styles.subtitle}>每日平均心情</Text>
+          <View style={styles.chart}>
+            {summary.series.map((day) => (
+              <View key={day.date} style={styles.barSlot}>
+                {day.mean !== null && (
+                  <View
+                    style={[
+                      styles.bar,
+                      { height: (day.mean / 5) * CHART_HEIGHT },
+                    ]}
+                  />
+                )}
+              </View>
+            ))}
+          </View>
+          <View style={styles.axisRow}>
+            <Text style={styles.axisLabel}>{rangeStart.toLocaleDateString()}</Text>
+            <Text style={styles.axisLabel}>今天</Text>
+          </View>
+
+          <Text style={styles.subtitle}>每日明細</Text>
+          {[...summary.series].reverse().map((day) => (
+            <Text key={day.date} style={styles.dayLine}>
+              {day.date}　平均 {formatNumber(day.mean)}　變異數{" "}
+              {formatNumber(day.variance, 2)}　提醒 {day.promptsCompleted}/{day.promptsExpected}　共{" "}
+              {day.count} 筆
+            </Text>
+          ))}
+        </>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+  },
+  rangeRow: {
+    flexDirection: "row",
+  },
+  rangeButton: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    alignItems: "center",
+  },
+  rangeSelected: {
+    backgroundColor: "#8fd19e",
+    borderColor: "#4caf50",
+  },
+  cardRow: {
+    flexDirection: "row",
+    marginTop: 12,
+  },
+  card: {
+    flex: 1,
+    marginHorizontal: 4,
+    padding: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    alignItems: "center",
+  },
+  cardValue: {
+    fontSize: 20,
+    fontWeight: "bold",
+  },
+  cardLabel: {
+    fontSize: 11,
+    color: "#666",
+    marginTop: 2,
+  },
+  subtitle: {
+    marginTop: 20,
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  chart: {
+    flexDirection: "row",
+    alignItems: "flex-end",
+    height: CHART_HEIGHT,
+    marginTop: 8,
+    borderBottomWidth: 1,
+    borderColor: "#ccc",
+  },
+  barSlot: {
+    flex: 1,
+    marginHorizontal: 1,
+    justifyContent: "flex-end",
+  },
+  bar: {
+    backgroundColor: "#4caf50",
+    borderTopLeftRadius: 2,
+    borderTopRightRadius: 2,
+  },
+  axisRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 4,
+  },
+  axisLabel: {
+    fontSize: 11,
+    color: "#666",
+  },
+  dayLine: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+});
@@ -1,6 +1,116 @@
-import { Stack } from "expo-router";
+import { useEffect } from "react";
+import { Platform } from "react-native";
+import { Stack, router } from "expo-router";
+import * as Notifications from "expo-notifications";
+
+import {
+  getConsentDocument,
+  isConsentRequired,
+  refreshConsentDocument,
+} from "../lib/consentStore";
+// 背景定位 task 要在 App 一啟動就定義好，所以從最上層的 layout 載入
+import {
+  applySamplingPlan,
+  startPassiveSensingSession,
+} from "../lib/passiveSensing";
+import {
+  isNewNotificationResponse,
+  promptFromNotificationResponse,
+  recordPromptOpened,
+} from "../lib/prompts";
+import { syncReminders } from "../lib/reminders";
+import { refreshStudyConfig, subscribeStudyConfig } from "../lib/studyConfigStore";
+
+// 點開提醒通知：記錄送達 / 點開時間，並直接帶到記錄畫面
+// 還沒同意（或同意書改版）時什麼都不做，留在 onboarding（見 checkConsent）
+const openPromptResponse = async (response) => {
+  if (await isConsentRequired()) return;
+  if (!isNewNotificationResponse(response)) return;
+
+  const prompt = promptFromNotificationResponse(response);
+  if (!prompt) {
+    router.navigate("/");
+    return;
+  }
+
+  recordPromptOpened(prompt).catch((e) =>
+    console.log("recordPromptOpened error:", e)
+  );
+  router.navigate({
+    pathname: "/",
+    params: {
+      promptId: prompt.promptId,
+      promptScheduledAt: prompt.scheduledAt,
+      promptDeliveredAt: prompt.deliveredAt,
+      promptOpenedAt: prompt.openedAt,
+    },
+  });
+};
+
+// 第一次使用、或同意書改了版本：先到 onboarding 同意後才能使用
+// 先用本機的同意書判斷，不用等網路；再用後端的最新版本確認一次
+const checkConsent = async () => {
+  if (await isConsentRequired(await getConsentDocument())) {
+    router.replace("/onboarding");
+    return;
+  }
+  if (await isConsentRequired(await refreshConsentDocument())) {
+    router.replace("/onboarding");
+  }
+};
+
+// 研究設定換了：提醒排程與背景定位照新的設定重排（問卷等由各畫面自己重新讀取）
+const applyStudyConfigChange = async () => {
+  if (Platform.OS === "web") return;
+  const perm = await Notifications.getPermissionsAsync();
+  if (perm.status === "granted") {
+    await syncReminders(undefined, { regenerate: true });
+  }
+  await applySamplingPlan();
+};
 
 export default function RootLayout() {
+  useEffect(() => {
+    checkConsent().catch((e) => console.log("check consent error:", e));
+  }, []);
+
+  // 啟動時下載研究設定；失敗時繼續用快取的上一份設定
+  useEffect(() => {
+    const unsubscribe = subscribeStudyConfig(() => {
+      applyStudyConfigChange().catch((e) =>
+        console.log("apply study config error:", e)
+      );
+    });
+    refreshStudyConfig().catch((e) => console.log("refresh study config error:", e));
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    if (Platform.OS === "web") return undefined;
+
+    // App 被通知冷啟動時，listener 還沒註冊，要另外讀取最後一次的回應
+    Notifications.getLastNotificationResponseAsync()
+      .then(async (response) => {
+        if (response) {
+          await openPromptResponse(response);
+          Notifications.clearLastNotificationResponseAsync();
+        }
+      })
+      .catch((e) => console.log("getLastNotificationResponse error:", e));
+
+    const subscription = Notifications.addNotificationResponseReceivedListener(
+      (response) => {
+        openPromptResponse(response).catch((e) =>
+          console.log("open prompt response error:", e)
+        );
+      }
+    );
+    return () => subscription.remove();
+  }, []);
+
+  // 被動感測（設定頁開啟時才有作用）：前景時取樣動作，並依電量調整背景定位頻率
+  useEffect(() => startPassiveSensingSession(), []);
+
   return (
     <>
       {/* Root stack controls screen transitions for the whole app */}
@@ -10,10 +120,44 @@ export default function RootLayout() {
           name="(tabs)"
           options={{ headerShown: false }}
         />
-        {/* This screen is pushed on top of tabs when you navigate to /details */}
+        {/* First-run onboarding: study information, consent and one step per permission */}
+        <Stack.Screen
+          name="onboarding"
+          options={{ title: "歡迎", headerBackVisible: false, gestureEnabled: false }}
+        />
+        {/* Log detail, pushed on top of tabs from the History tab (/details?id=) */}
         <Stack.Screen
           name="details"
-          options={{ title: "Details" }}
+          options={{ title: "紀錄詳情" }}
+        />
+        {/* In-app camera, pushed from the log form; returns the clip via /?recordedUri= */}
+        <Stack.Screen
+          name="record"
+          options={{ title: "錄製 vlog" }}
+        />
+        {/* Study enrollment: enter / scan a study code, or leave the study */}
+        <Stack.Screen
+          name="enroll"
+          options={{ title: "研究參與" }}
+        />
+        {/* Opt-in offline map of the participant's own logs, clustered and colored by mood */}
+        <Stack.Screen
+          name="map"
+          options={{ title: "心情地圖" }}
+        />
+        {/* Export / restore of all logs as a ZIP archive */}
+        <Stack.Screen
+          name="backup"
+          options={{ title: "資料備份" }}
+        />
+        {/* Full-screen player for reviewing clips (/player?id=), steps through logs */}
+        <Stack.Screen
+          name="player"
+          options={{
+            title: "播放 vlog",
+            headerStyle: { backgroundColor: "#000" },
+            headerTintColor: "#fff",
+          }}
         />
       </Stack>
     </>
@@ -0,0 +1,247 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  Button,
+  ScrollView,
+  StyleSheet,
+  Alert,
+} from "react-native";
+
+import { getLogRepository } from "../lib/database";
+import { dateInputToIso } from "../lib/dateInput";
+import { createExportArchive, shareExportArchive } from "../lib/exporter";
+import {
+  IMPORT_ERROR,
+  MAX_IMPORT_BYTES,
+  importExportArchive,
+  pickExportArchive,
+} from "../lib/importer";
+
+// 資料備份：把紀錄與影片打包成 ZIP，透過分享選單存到雲端硬碟、寄給自己或傳到新手機；
+// 重新安裝或換手機後再從 ZIP 還原
+export default function BackupScreen() {
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [lastExport, setLastExport] = useState(null);
+  const [importing, setImporting] = useState(false);
+  const [importReport, setImportReport] = useState(null);
+
+  const runExport = async () => {
+    const from = dateInputToIso(fromText, false);
+    const to = dateInputToIso(toText, true);
+    if ((fromText && !from) || (toText && !to)) {
+      Alert.alert("日期格式錯誤", "請用 YYYY-MM-DD 格式，或留白表示不限。");
+      return;
+    }
+
+    setExporting(true);
+    setProgress(null);
+    try {
+      const repo = await getLogRepository();
+      const archive = await createExportArchive(repo, {
+        from,
+        to,
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setLastExport(archive.manifest);
+
+      if (archive.manifest.logCount === 0) {
+        Alert.alert("沒有紀錄", "這個日期範圍內沒有任何紀錄。");
+        return;
+      }
+      await shareExportArchive(archive);
+    } catch (e) {
+      console.log("export error:", e);
+      Alert.alert("匯出失敗", e?.message ?? "請再試一次。");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const runImport = async () => {
+    let asset;
+    try {
+      asset = await pickExportArchive();
+    } catch (e) {
+      console.log("pick archive error:", e);
+      Alert.alert("無法開啟檔案", e?.message ?? "請再試一次。");
+      return;
+    }
+    if (!asset) return;
+
+    setImporting(true);
+    setProgress(null);
+    setImportReport(null);
+    try {
+      const repo = await getLogRepository();
+      const report = await importExportArchive(repo, asset.uri, {
+        onProgress: (done, total) => setProgress({ done, total }),
+      });
+      setImportReport(report);
+      Alert.alert(
+        "還原完成",
+        `匯入 ${report.imported} 筆、略過 ${report.skipped} 筆（已存在）、失敗 ${report.failed} 筆。`
+      );
+    } catch (e) {
+      console.log("import error:", e);
+      if (e?.code === IMPORT_ERROR.ARCHIVE_TOO_LARGE) {
+        Alert.alert(
+          "備份檔太大",
+          `一次最多只能還原 ${Math.round(MAX_IMPORT_BYTES / 1024 / 1024)} MB 的備份。請匯出時縮小日期範圍，分成幾個檔案再還原。`
+        );
+        return;
+      }
+      Alert.alert("無法還原", `這個檔案不是可用的 Emogo 備份：${e?.message ?? e}`);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const busy = exporting || importing;
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Text style={styles.title}>匯出紀錄</Text>
+      <Text style={styles.hint}>
+        所有紀錄會打包成一個 ZIP：logs.json、logs.csv（可用試算表開啟）與 videos/
+        影片資料夾。退出研究或換手機前，請先匯出一份完整備份。
+      </Text>
+
+      <Text style={styles.subtitle}>日期範圍（YYYY-MM-DD，留白表示不限）</Text>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          value={fromText}
+          onChangeText={setFromText}
+          placeholder="開始日期"
+        />
+        <Text> 到 </Text>
+        <TextInput
+          style={styles.input}
+          value={toText}
+          onChangeText={setToText}
+          placeholder="結束日期"
+        />
+      </View>
+
+      <View style={{ marginTop: 16 }}>
+        <Button
+          title={exporting ? "匯出中..." : "匯出並分享 ZIP"}
+          onPress={runExport}
+          disabled={busy}
+        />
+      </View>
+
+      {exporting && progress && (
+        <Text style={styles.hint}>
+          正在打包 {progress.done} / {progress.total} 筆紀錄...
+        </Text>
+      )}
+
+      {lastExport && !exporting && (
+        <View style={styles.summary}>
+          <Text>
+            上次匯出：{lastExport.logCount} 筆紀錄、{lastExport.videoCount} 段影片
+          </Text>
+          {lastExport.missingVideos.length > 0 && (
+            <Text style={{ color: "#cc3333", marginTop: 4 }}>
+              有 {lastExport.missingVideos.length} 筆紀錄的影片檔已不在手機上，沒有包含在 ZIP 中。
+            </Text>
+          )}
+        </View>
+      )}
+
+      <Text style={[styles.title, { marginTop: 32 }]}>從備份還原</Text>
+      <Text style={styles.hint}>
+        選擇之前匯出的 Emogo ZIP。手機上已經有的紀錄會略過，不會重複；
+        影片會複製回 App 裡。
+      </Text>
+      <View style={{ marginTop: 16 }}>
+        <Button
+          title={importing ? "還原中..." : "選擇備份檔並還原"}
+          onPress={runImport}
+          disabled={busy}
+        />
+      </View>
+
+      {importing && progress && (
+        <Text style={styles.hint}>
+          正在還原 {progress.done} / {progress.total} 筆紀錄...
+        </Text>
+      )}
+
+      {importReport && !importing && (
+        <View style={styles.summary}>
+          <Text>匯入：{importReport.imported} 筆</Text>
+          <Text>略過（已存在）：{importReport.skipped} 筆</Text>
+          <Text>失敗：{importReport.failed} 筆</Text>
+          {importReport.errors.slice(0, 5).map((error, index) => (
+            <Text key={index} style={styles.error}>
+              {error.clientId}：{error.message}
+            </Text>
+          ))}
+          {importReport.errors.length > 5 && (
+            <Text style={styles.error}>
+              ...還有 {importReport.errors.length - 5} 筆失敗
+            </Text>
+          )}
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  subtitle: {
+    marginTop: 16,
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+  },
+  input: {
+    flex: 1,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#666",
+  },
+  error: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#cc3333",
+  },
+  summary: {
+    marginTop: 16,
+    padding: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+});
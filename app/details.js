@@ -1,42 +1,295 @@
-import { View, Text, Button, StyleSheet } from "react-native";
-import { Link, useRouter } from "expo-router";
+import React, { useCallback, useEffect, useState } from "react";
+import { View, Text, Button, ScrollView, StyleSheet, Alert } from "react-native";
+import { Stack, useLocalSearchParams, useRouter } from "expo-router";
+import { VideoView, useVideoPlayer } from "expo-video";
 
+import Questionnaire from "../components/Questionnaire";
+import UndoBar, { usePendingDeletions } from "../components/UndoBar";
+import UploadProgress from "../components/UploadProgress";
+import { isEnrolled } from "../lib/authStore";
+import { getLogRepository } from "../lib/database";
+import {
+  DELETION_KINDS,
+  editLogAnswers,
+  scheduleDeletion,
+} from "../lib/logActions";
+import { formatLogLocation } from "../lib/locationPrivacy";
+import {
+  describeAnswers,
+  initialAnswers,
+  missingRequired,
+} from "../lib/questionnaire";
+import { getQuestionnaire } from "../lib/questionnaireStore";
+
+// 單筆紀錄的完整內容（從歷史紀錄點進來，網址帶 ?id=）
+// 可以修改心情與答案、只刪影片，或刪除整筆紀錄（刪除後幾秒內可以復原）
 export default function DetailsScreen() {
   const router = useRouter();
+  const { id } = useLocalSearchParams();
+  const [repository, setRepository] = useState(null);
+  const [log, setLog] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [questionnaire, setQuestionnaire] = useState(null);
+  const [draft, setDraft] = useState(null); // 編輯中的答案；沒在編輯時為 null
+  const [saving, setSaving] = useState(false);
+  const pending = usePendingDeletions();
+
+  const load = useCallback(async () => {
+    try {
+      const repo = await getLogRepository();
+      setRepository(repo);
+      setLog(await repo.getById(Number(id)));
+      setQuestionnaire(await getQuestionnaire());
+    } catch (e) {
+      console.log("details load error:", e);
+    } finally {
+      setLoaded(true);
+    }
+  }, [id]);
+
+  // 刪除影片執行（或復原）後重新讀取紀錄
+  const pendingKey = JSON.stringify(pending);
+  useEffect(() => {
+    load();
+  }, [load, pendingKey]);
+
+  const videoPending = pending.some(
+    (entry) => entry.logId === log?.id && entry.kind === DELETION_KINDS.VIDEO
+  );
+  const videoUri = videoPending ? null : log?.videoUri || null;
+
+  // source 為 null 時 player 不會載入任何影片
+  const player = useVideoPlayer(videoUri, (p) => {
+    p.loop = true;
+  });
+
+  // 已經上傳的紀錄，刪除時要說明後端也會刪
+  const confirmDelete = async (title, message, confirmText, kind) => {
+    const serverNote =
+      (await isEnrolled()) && log.syncStatus
+        ? "\n\n已經上傳到研究後端的資料也會一併刪除。"
+        : "";
+    Alert.alert(title, message + serverNote, [
+      { text: "取消", style: "cancel" },
+      {
+        text: confirmText,
+        style: "destructive",
+        onPress: () => {
+          scheduleDeletion(repository, log, kind);
+          if (kind === DELETION_KINDS.LOG) router.back();
+        },
+      },
+    ]);
+  };
+
+  const deleteVideo = () =>
+    confirmDelete(
+      "刪除影片？",
+      "只刪除這段影片，心情與答案會保留。",
+      "刪除影片",
+      DELETION_KINDS.VIDEO
+    );
+
+  const deleteLog = () =>
+    confirmDelete(
+      "刪除這筆紀錄？",
+      "心情、答案、位置與影片都會刪除。",
+      "刪除紀錄",
+      DELETION_KINDS.LOG
+    );
+
+  const startEditing = () => {
+    setDraft({ ...initialAnswers(questionnaire), ...(log.answers ?? {}) });
+  };
+
+  const saveEdits = async () => {
+    const missing = missingRequired(questionnaire, draft);
+    if (missing.length > 0) {
+      const labels = questionnaire.items
+        .filter((item) => missing.includes(item.id))
+        .map((item) => item.label);
+      Alert.alert("還有題目沒回答", labels.join("\n"));
+      return;
+    }
+    setSaving(true);
+    try {
+      setLog(await editLogAnswers(repository, log, questionnaire, draft));
+      setDraft(null);
+    } catch (e) {
+      console.log("edit log error:", e);
+      Alert.alert("儲存失敗", "無法寫入本機資料庫，請再試一次。");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!loaded) {
+    return (
+      <View style={styles.center}>
+        <Text>讀取中...</Text>
+      </View>
+    );
+  }
+
+  if (!log) {
+    return (
+      <View style={styles.center}>
+        <Text style={{ marginBottom: 16 }}>找不到這筆紀錄。</Text>
+        <Button title="返回" onPress={() => router.back()} />
+      </View>
+    );
+  }
 
   return (
-    <View style={styles.container}>
-      {/* This screen is shown on top of the Tabs stack */}
-      <Text style={styles.title}>Details screen</Text>
-
-      {/* Imperative navigation using the router hook */}
-      <Button
-        title="Go back (router.back())"
-        onPress={() => router.back()}
-      />
-
-      {/* Declarative navigation using a link back to the home tab */}
-      <Link href="/(tabs)" style={styles.link}>
-        Back to Home tab
-      </Link>
+    <View style={styles.scroll}>
+      <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+        <Stack.Screen
+          options={{ title: new Date(log.timestamp).toLocaleDateString() }}
+        />
+
+        {videoUri ? (
+          <VideoView
+            style={styles.video}
+            player={player}
+            nativeControls
+            contentFit="contain"
+          />
+        ) : (
+          <View style={[styles.video, styles.center]}>
+            <Text style={{ color: "#ccc" }}>這筆紀錄沒有影片</Text>
+          </View>
+        )}
+        {videoUri ? (
+          <Button
+            title="在播放器中瀏覽（可切換上一段 / 下一段）"
+            onPress={() =>
+              router.push({ pathname: "/player", params: { id: String(log.id) } })
+            }
+          />
+        ) : null}
+
+        <Text style={styles.line}>
+          時間：{new Date(log.timestamp).toLocaleString()}
+        </Text>
+        <Text style={styles.line}>心情：{log.mood ?? "(未填)"}</Text>
+        {/* 題目文字取自目前的問卷；舊版問卷已移除的題目不會顯示 */}
+        {log.answers && questionnaire
+          ? describeAnswers(questionnaire, log.answers)
+              .filter((entry) => entry.id !== "mood")
+              .map((entry) => (
+                <Text key={entry.id} style={styles.line}>
+                  {entry.label}：{entry.text}
+                </Text>
+              ))
+          : null}
+        <Text style={styles.line}>
+          位置：{formatLogLocation(log)}
+        </Text>
+        {log.promptScheduledAt ? (
+          <Text style={styles.line}>
+            回應提醒：{new Date(log.promptScheduledAt).toLocaleTimeString()}（延遲{" "}
+            {Math.round(
+              (new Date(log.timestamp) - new Date(log.promptScheduledAt)) / 60000
+            )}{" "}
+            分鐘）
+          </Text>
+        ) : null}
+        <Text style={styles.line}>
+          上傳：{log.confirmedAt ? "後端已確認" : log.syncStatus ?? "(僅本機)"}
+        </Text>
+        <UploadProgress log={log} />
+        <Text style={styles.meta} selectable>
+          ID：{log.clientId}
+        </Text>
+        {log.editedAt ? (
+          <Text style={styles.meta}>
+            最後修改：{new Date(log.editedAt).toLocaleString()}
+          </Text>
+        ) : null}
+
+        {/* 修改心情與答案（題目取自目前的問卷） */}
+        {draft ? (
+          <View style={styles.section}>
+            <Questionnaire
+              definition={questionnaire}
+              answers={draft}
+              onChange={(itemId, value) =>
+                setDraft((prev) => ({ ...prev, [itemId]: value }))
+              }
+            />
+            <View style={styles.row}>
+              <View style={{ flex: 1, marginRight: 8 }}>
+                <Button title="取消" onPress={() => setDraft(null)} disabled={saving} />
+              </View>
+              <View style={{ flex: 1 }}>
+                <Button
+                  title={saving ? "儲存中..." : "儲存修改"}
+                  onPress={saveEdits}
+                  disabled={saving}
+                />
+              </View>
+            </View>
+          </View>
+        ) : (
+          <View style={styles.section}>
+            <Button
+              title="修改心情與答案"
+              onPress={startEditing}
+              disabled={!questionnaire}
+            />
+            {videoUri ? (
+              <View style={{ marginTop: 8 }}>
+                <Button color="#cc3333" title="只刪除影片" onPress={deleteVideo} />
+              </View>
+            ) : null}
+            <View style={{ marginTop: 8 }}>
+              <Button color="#cc3333" title="刪除這筆紀錄" onPress={deleteLog} />
+            </View>
+          </View>
+        )}
+        <View style={{ height: 72 }} />
+      </ScrollView>
+      <UndoBar />
     </View>
   );
 }
 
 const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
   container: {
+    padding: 16,
+  },
+  center: {
     flex: 1,
     alignItems: "center",
     justifyContent: "center",
     padding: 16,
   },
-  title: {
-    fontSize: 24,
-    marginBottom: 24,
+  video: {
+    width: "100%",
+    height: 240,
+    borderRadius: 12,
+    overflow: "hidden",
+    backgroundColor: "#000",
+    marginBottom: 12,
+  },
+  line: {
+    fontSize: 14,
+    marginTop: 4,
+  },
+  meta: {
+    fontSize: 11,
+    color: "#888",
+    marginTop: 12,
+  },
+  section: {
+    marginTop: 24,
   },
-  link: {
-    fontSize: 16,
-    marginTop: 16,
-    textDecorationLine: "underline",
+  row: {
+    flexDirection: "row",
+    marginTop: 8,
   },
 });
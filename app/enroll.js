@@ -0,0 +1,260 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  Button,
+  ScrollView,
+  StyleSheet,
+  Alert,
+  Platform,
+} from "react-native";
+import { Link, useRouter } from "expo-router";
+import { CameraView, useCameraPermissions } from "expo-camera";
+
+import { enrollWithCode, leaveStudy } from "../lib/api";
+import { loadSession, subscribeSession } from "../lib/authStore";
+import { syncConsent } from "../lib/consentStore";
+import { getDatabase } from "../lib/database";
+import { disablePassiveSensing } from "../lib/passiveSensing";
+import { clearSamples } from "../lib/sensorSamples";
+import { parkPendingUploads, triggerUploadQueue } from "../lib/uploadQueue";
+
+// QR code 可能是純代碼，也可能是 emogo://enroll?code=XXXX 這種連結
+const parseStudyCode = (text) => {
+  const raw = String(text ?? "").trim();
+  const match = /[?&]code=([^&#]+)/i.exec(raw);
+  const code = match ? decodeURIComponent(match[1]) : raw;
+  return code.replace(/\s+/g, "").toUpperCase();
+};
+
+// 加入研究（/enroll）：輸入或掃描研究代碼，向後端換 token；已加入時可以離開研究
+export default function EnrollScreen() {
+  const router = useRouter();
+  const [session, setSession] = useState(undefined);
+  const [code, setCode] = useState("");
+  const [scanning, setScanning] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+  // 同一個 QR code 會連續觸發好幾次，只處理第一次
+  const scannedRef = useRef(false);
+
+  useEffect(() => {
+    loadSession().then(setSession);
+    return subscribeSession(setSession);
+  }, []);
+
+  const submit = async (rawCode) => {
+    const studyCode = parseStudyCode(rawCode);
+    if (!studyCode) {
+      Alert.alert("請輸入研究代碼", "研究代碼在研究人員給你的說明或 QR code 上。");
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const enrolled = await enrollWithCode(studyCode);
+      setCode("");
+      // 加入前的同意紀錄、還沒上傳的紀錄現在可以上傳了
+      syncConsent().catch((e) => console.log("sync consent error:", e));
+      triggerUploadQueue();
+      Alert.alert(
+        "已加入研究",
+        enrolled.studyName
+          ? `歡迎參加「${enrolled.studyName}」。`
+          : "之後的紀錄會上傳到研究後端。",
+        [{ text: "好", onPress: () => router.back() }]
+      );
+    } catch (e) {
+      console.log("enroll error:", e);
+      Alert.alert("加入失敗", `請確認研究代碼是否正確。（${e?.message ?? e}）`);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startScan = async () => {
+    if (!cameraPermission?.granted) {
+      const result = await requestCameraPermission();
+      if (!result.granted) {
+        Alert.alert("需要相機權限", "掃描 QR code 需要相機權限，也可以直接輸入代碼。");
+        return;
+      }
+    }
+    scannedRef.current = false;
+    setScanning(true);
+  };
+
+  const onScanned = ({ data }) => {
+    if (scannedRef.current) return;
+    scannedRef.current = true;
+    setScanning(false);
+    const scanned = parseStudyCode(data);
+    setCode(scanned);
+    submit(scanned);
+  };
+
+  const confirmLeave = () => {
+    Alert.alert(
+      "離開研究？",
+      "還沒上傳的紀錄與修改不會再上傳，已經存在手機上的紀錄不會刪除。之後新增的紀錄會先存在手機上，重新加入研究時才上傳。背景感測會關閉，還沒上傳的感測資料會刪除。建議先匯出一份備份。",
+      [
+        { text: "取消", style: "cancel" },
+        {
+          text: "離開研究",
+          style: "destructive",
+          onPress: async () => {
+            await leaveStudy();
+            // 還沒上傳的紀錄與修改屬於這次加入的研究，重新加入後不能用新的身分送出
+            try {
+              const db = await getDatabase();
+              if (db) await parkPendingUploads(db);
+            } catch (e) {
+              console.log("park pending uploads error:", e);
+            }
+            // 感測資料只為研究收集，離開後不再記錄，也不留在手機上
+            try {
+              await disablePassiveSensing();
+              const db = await getDatabase();
+              if (db) await clearSamples(db);
+            } catch (e) {
+              console.log("clear sensing data error:", e);
+            }
+            Alert.alert("已離開研究", "要重新加入時，再輸入一次研究代碼即可。");
+          },
+        },
+      ]
+    );
+  };
+
+  if (session === undefined) {
+    return (
+      <View style={styles.center}>
+        <Text>讀取中...</Text>
+      </View>
+    );
+  }
+
+  if (session) {
+    return (
+      <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+        <Text style={styles.title}>已加入研究</Text>
+        {session.studyName ? (
+          <Text style={styles.line}>研究：{session.studyName}</Text>
+        ) : null}
+        <Text style={styles.line}>參與者編號：{session.participantId ?? "(未提供)"}</Text>
+        {session.enrolledAt ? (
+          <Text style={styles.line}>
+            加入時間：{new Date(session.enrolledAt).toLocaleString()}
+          </Text>
+        ) : null}
+        <Text style={styles.hint}>
+          紀錄上傳時會附上你的參與者身分，研究人員才能分開每個人的資料。
+        </Text>
+
+        <Link href="/backup" style={styles.link}>
+          匯出紀錄與影片 →
+        </Link>
+        <View style={{ marginTop: 24 }}>
+          <Button color="#cc3333" title="離開研究" onPress={confirmLeave} />
+        </View>
+      </ScrollView>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Text style={styles.title}>加入研究</Text>
+      <Text style={styles.hint}>
+        輸入研究人員提供的研究代碼，或掃描 QR code。加入後紀錄才會上傳到研究後端；
+        在那之前紀錄會先存在手機上。
+      </Text>
+
+      <TextInput
+        style={styles.input}
+        value={code}
+        onChangeText={setCode}
+        placeholder="研究代碼"
+        autoCapitalize="characters"
+        autoCorrect={false}
+      />
+      <View style={{ marginTop: 8 }}>
+        <Button
+          title={submitting ? "加入中..." : "加入研究"}
+          onPress={() => submit(code)}
+          disabled={submitting}
+        />
+      </View>
+
+      {Platform.OS !== "web" && (
+        <View style={{ marginTop: 8 }}>
+          <Button
+            title={scanning ? "取消掃描" : "掃描 QR code"}
+            onPress={scanning ? () => setScanning(false) : startScan}
+            disabled={submitting}
+          />
+        </View>
+      )}
+
+      {scanning && (
+        <CameraView
+          style={styles.scanner}
+          facing="back"
+          barcodeScannerSettings={{ barcodeTypes: ["qr"] }}
+          onBarcodeScanned={onScanned}
+        />
+      )}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  line: {
+    fontSize: 14,
+    marginTop: 4,
+  },
+  hint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: "#666",
+  },
+  input: {
+    marginTop: 16,
+    paddingHorizontal: 8,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    fontSize: 18,
+    letterSpacing: 2,
+  },
+  scanner: {
+    marginTop: 12,
+    height: 280,
+    borderRadius: 12,
+    overflow: "hidden",
+  },
+  link: {
+    marginTop: 16,
+    fontSize: 14,
+    textDecorationLine: "underline",
+  },
+});
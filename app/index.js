@@ -1,9 +1,8 @@
-import React, { useEffect, useState } from "react";
+import React, { useCallback, useEffect, useRef, useState } from "react";
 import {
   View,
   Text,
   Button,
-  TouchableOpacity,
   StyleSheet,
   Alert,
   Platform,
@@ -12,13 +11,64 @@ import {
 } from "react-native";
 
 import * as Notifications from "expo-notifications";
-import * as SQLite from "expo-sqlite";
 import * as Location from "expo-location";
-import * as ImagePicker from "expo-image-picker";
+import * as Crypto from "expo-crypto";
+import {
+  Link,
+  useFocusEffect,
+  useLocalSearchParams,
+  useRouter,
+} from "expo-router";
+import { VideoView, useVideoPlayer } from "expo-video";
+
+import Questionnaire from "../components/Questionnaire";
+import { useDeletedLogIds } from "../components/UndoBar";
+import VideoThumbnail from "../components/VideoThumbnail";
+import UploadProgress from "../components/UploadProgress";
+import { uploadLogMetadata, uploadLogVideo } from "../lib/api";
+import {
+  loadSession,
+  studyRecordsAudio,
+  subscribeSession,
+} from "../lib/authStore";
+import { getLogRepository } from "../lib/database";
+import { clearAllLogs } from "../lib/logActions";
+import {
+  DEFAULT_LOCATION_SETTINGS,
+  applyLocationPrivacy,
+  describeLocationPrivacy,
+  needsCoordinates,
+} from "../lib/locationPrivacy";
+import {
+  isLocationRequired,
+  loadLocationSettings,
+} from "../lib/locationSettings";
+import {
+  DEFAULT_QUESTIONNAIRE,
+  initialAnswers,
+  missingRequired,
+  moodFromAnswers,
+  normalizeAnswers,
+} from "../lib/questionnaire";
+import { getQuestionnaire, refreshQuestionnaire } from "../lib/questionnaireStore";
+import { syncReminders } from "../lib/reminders";
+import { subscribeStudyConfig } from "../lib/studyConfigStore";
+import {
+  deleteClip,
+  persistClip,
+  tidyStoredClips,
+} from "../lib/videoStore";
+import { OUTBOX_STATUS, startUploadQueue } from "../lib/uploadQueue";
 
 const isWeb = Platform.OS === "web";
 
-const BACKEND_BASE_URL = "https://emogo-backend-csj011018.onrender.com";
+const SYNC_STATUS_LABELS = {
+  [OUTBOX_STATUS.PENDING]: "等待上傳",
+  [OUTBOX_STATUS.UPLOADING]: "上傳中",
+  [OUTBOX_STATUS.WAITING_FOR_WIFI]: "影片等 Wi-Fi 時上傳",
+  [OUTBOX_STATUS.SYNCED]: "已上傳",
+  [OUTBOX_STATUS.LEFT_STUDY]: "離開研究前沒有上傳完，不會再上傳",
+};
 
 // 通知處理：收到通知時顯示 alert（僅限原生）
 Notifications.setNotificationHandler({
@@ -30,80 +80,185 @@ Notifications.setNotificationHandler({
 });
 
 export default function EmogoScreen() {
-  const [db, setDb] = useState(null); // 只在非 web 使用 SQLite
-  const [mood, setMood] = useState(3);
+  const [repository, setRepository] = useState(null); // App：SQLite；Web：localStorage
+  const [questionnaire, setQuestionnaire] = useState(DEFAULT_QUESTIONNAIRE);
+  const [answers, setAnswers] = useState(() => initialAnswers(DEFAULT_QUESTIONNAIRE));
   const [hasLocationPermission, setHasLocationPermission] = useState(false);
-  const [hasCameraPermission, setHasCameraPermission] = useState(false);
+  const [locationSettings, setLocationSettings] = useState(DEFAULT_LOCATION_SETTINGS);
+  const [locationRequired, setLocationRequired] = useState(false); // 研究設定要求一定要有位置
   const [videoUri, setVideoUri] = useState(null);
-  const [isRecording, setIsRecording] = useState(false);
+  const [processing, setProcessing] = useState(null); // 存檔前轉檔的進度（0–1），沒在轉檔時為 null
   const [logs, setLogs] = useState([]); // 顯示最近 5 筆紀錄（web / app 都用）
+  const uploadQueueRef = useRef(null);
+  const router = useRouter();
+  // 從提醒通知點進來時，網址會帶著提醒資訊（見 app/_layout.js）
+  const params = useLocalSearchParams();
+  const [activePrompt, setActivePrompt] = useState(null);
+  // 還沒加入研究時紀錄只存在手機上（見 app/enroll.js）
+  const [enrolled, setEnrolled] = useState(true);
+  // 在詳情頁刪除（還可以復原）的紀錄先不顯示
+  const deletedLogIds = useDeletedLogIds();
 
-  // 初始化：SQLite、權限、通知
   useEffect(() => {
-    (async () => {
-      // 1. SQLite：只在非 web 建立 DB
+    loadSession().then((session) => setEnrolled(Boolean(session)));
+    return subscribeSession((session) => setEnrolled(Boolean(session)));
+  }, []);
+
+  useEffect(() => {
+    if (params.promptId) {
+      setActivePrompt({
+        promptId: params.promptId,
+        promptScheduledAt: params.promptScheduledAt ?? null,
+        promptDeliveredAt: params.promptDeliveredAt ?? null,
+        promptOpenedAt: params.promptOpenedAt ?? null,
+      });
+    }
+  }, [
+    params.promptId,
+    params.promptScheduledAt,
+    params.promptDeliveredAt,
+    params.promptOpenedAt,
+  ]);
+
+  // 錄影畫面（app/record.js）按「使用這段」後帶著影片回來
+  useEffect(() => {
+    if (params.recordedUri) {
+      setVideoUri(params.recordedUri);
+      router.setParams({ recordedUri: undefined });
+    }
+  }, [params.recordedUri, router]);
+
+  const clipPlayer = useVideoPlayer(videoUri, (p) => {
+    p.loop = true;
+    p.muted = true;
+    p.play();
+  });
+
+  // 位置隱私等級在設定頁修改，回到這個畫面時重新讀取
+  const reloadLocationSettings = useCallback(() => {
+    loadLocationSettings()
+      .then(setLocationSettings)
+      .catch((e) => console.log("load location settings error:", e));
+    isLocationRequired()
+      .then(setLocationRequired)
+      .catch((e) => console.log("load study config error:", e));
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      reloadLocationSettings();
+      // 只查詢、不跳出詢問（可能在設定頁或系統設定改過）
       if (!isWeb) {
-        try {
-          const database = await SQLite.openDatabaseAsync("emogo.db");
-          await database.execAsync(`
-            CREATE TABLE IF NOT EXISTS logs (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              timestamp TEXT,
-              mood INTEGER,
-              videoUri TEXT,
-              lat REAL,
-              lng REAL
-            );
-          `);
-          const rows = await database.getAllAsync(
-            "SELECT * FROM logs ORDER BY id DESC LIMIT 5;"
-          );
-          setDb(database);
-          setLogs(rows);
-        } catch (e) {
-          console.log("SQLite init error:", e);
-        }
-      } else {
-        console.log("Running on web: use in-memory logs only.");
+        Location.getForegroundPermissionsAsync()
+          .then((perm) => setHasLocationPermission(perm.status === "granted"))
+          .catch((e) => console.log("location permission error:", e));
       }
+    }, [reloadLocationSettings])
+  );
 
-      // 2. 權限（只在原生環境請求）
-      if (!isWeb) {
-        const locPerm = await Location.requestForegroundPermissionsAsync();
-        setHasLocationPermission(locPerm.status === "granted");
+  const reloadLogs = useCallback(async (repo) => {
+    setLogs(await repo.list({ limit: 5 }));
+  }, []);
+
+  // 從詳情頁修改或刪除紀錄後回到這裡，最近紀錄要重新讀取
+  useFocusEffect(
+    useCallback(() => {
+      if (repository) {
+        reloadLogs(repository).catch((e) => console.log("reload logs error:", e));
+      }
+    }, [repository, reloadLogs])
+  );
+
+  // 問卷：先用本機快取，再向後端取得最新版本（版本不同時重設答案）
+  // 啟動時下載到新的研究設定（見 app/_layout.js）時，問卷與位置規定也重新讀取
+  useEffect(() => {
+    let shown = null;
+    const show = (definition) => {
+      if (definition.id === shown?.id && definition.version === shown?.version) return;
+      shown = definition;
+      setQuestionnaire(definition);
+      setAnswers(initialAnswers(definition));
+    };
+
+    (async () => {
+      show(await getQuestionnaire());
+      show(await refreshQuestionnaire());
+    })().catch((e) => console.log("questionnaire load error:", e));
+
+    return subscribeStudyConfig(() => {
+      getQuestionnaire()
+        .then(show)
+        .catch((e) => console.log("questionnaire load error:", e));
+      reloadLocationSettings();
+    });
+  }, [reloadLocationSettings]);
 
-        const camPerm = await ImagePicker.requestCameraPermissionsAsync();
-        setHasCameraPermission(camPerm.status === "granted");
+  // 初始化：SQLite、權限、通知
+  useEffect(() => {
+    (async () => {
+      // 1. 資料庫：App 開啟 SQLite（含 schema migration），Web 使用 localStorage
+      try {
+        const repo = await getLogRepository();
+        setRepository(repo);
+        await reloadLogs(repo);
+
+        // 舊紀錄的影片搬進 App 目錄、刪掉沒人引用的影片檔（背景執行）
+        tidyStoredClips(repo, { keepAudio: await studyRecordsAudio() })
+          .then(({ adopted, removed }) => {
+            if (adopted || removed) {
+              console.log(`Stored clips: adopted ${adopted}, removed ${removed}`);
+              return reloadLogs(repo);
+            }
+            return undefined;
+          })
+          .catch((e) => console.log("tidyStoredClips error:", e));
+      } catch (e) {
+        console.log("Storage init error:", e);
+      }
 
-        const notiPerm = await Notifications.requestPermissionsAsync();
+      // 2. 通知：權限在 onboarding 說明時才請求（見 app/onboarding.js），這裡只查詢
+      if (!isWeb) {
+        const notiPerm = await Notifications.getPermissionsAsync();
         if (notiPerm.status === "granted") {
-          await scheduleDailyNotifications();
+          // 依設定頁的提醒排程同步，只更新有變動的通知
+          try {
+            await syncReminders();
+          } catch (e) {
+            console.log("syncReminders error:", e);
+          }
         }
       }
     })();
   }, []);
 
-  // 每日三次通知：9:00 / 15:00 / 21:00
-  const scheduleDailyNotifications = async () => {
-    await Notifications.cancelAllScheduledNotificationsAsync();
-    const hours = [9, 15, 21];
-    for (const hour of hours) {
-      await Notifications.scheduleNotificationAsync({
-        content: {
-          title: "Emogo 記錄時間到了",
-          body: "請打開 App 填寫心情、錄 1 秒 vlog，並收集 GPS。",
-        },
-        trigger: { hour, minute: 0, repeats: true },
-      });
-    }
-  };
+  // 上傳佇列：回到前景或網路恢復時自動補傳
+  useEffect(() => {
+    if (!repository?.db) return undefined;
+    const queue = startUploadQueue(repository.db, {
+      onChange: () => reloadLogs(repository).catch((e) => console.log(e)),
+    });
+    uploadQueueRef.current = queue;
+    return () => {
+      queue.stop();
+      uploadQueueRef.current = null;
+    };
+  }, [repository, reloadLogs]);
 
-  // 🔍 在「儲存」當下默默取得 GPS（不顯示在畫面）
+  // 儲存當下依位置隱私等級取得位置（畫面上有說明會記錄什麼，見「3. 位置」）
+  // 回傳 { location, problem }：沒有權限或定位失敗時 location 沒有座標，
+  // problem 說明原因，紀錄照樣儲存
   const getLocationForSave = async () => {
+    const settings = await loadLocationSettings();
+    setLocationSettings(settings);
+    if (!needsCoordinates(settings)) {
+      return { location: applyLocationPrivacy(null, settings), problem: null };
+    }
+
     try {
       if (isWeb) {
-        // Web 模式：給一個固定示意值，主要方便開發測試，不顯示在 UI
-        return { lat: 25.033968, lng: 121.564468 };
+        // Web 模式：給一個固定示意值，主要方便開發測試
+        const coords = { lat: 25.033968, lng: 121.564468 };
+        return { location: applyLocationPrivacy(coords, settings), problem: null };
       }
 
       let granted = hasLocationPermission;
@@ -112,147 +267,159 @@ export default function EmogoScreen() {
         granted = perm.status === "granted";
         setHasLocationPermission(granted);
       }
-
       if (!granted) {
-        Alert.alert("需要位置權限", "請到設定開啟位置權限才能儲存紀錄。");
-        return null;
+        return {
+          location: applyLocationPrivacy(null, settings),
+          problem: "沒有位置權限",
+        };
       }
 
       const loc = await Location.getCurrentPositionAsync({});
-      return { lat: loc.coords.latitude, lng: loc.coords.longitude };
+      const coords = { lat: loc.coords.latitude, lng: loc.coords.longitude };
+      return { location: applyLocationPrivacy(coords, settings), problem: null };
     } catch (e) {
       console.log("getLocationForSave error:", e);
-      Alert.alert("取得 GPS 失敗", "請稍後再試。");
-      return null;
+      return { location: applyLocationPrivacy(null, settings), problem: "定位失敗" };
     }
   };
 
-  // 錄 1 秒 vlog
-  const recordOneSecondVlog = async () => {
+  // 開啟 App 內錄影畫面（倒數、固定片長、預覽後才帶回來）
+  const openRecorder = () => {
     if (isWeb) {
       Alert.alert("Web 模式", "瀏覽器無法錄製 vlog，請在手機上測試。");
       return;
     }
+    router.push("/record");
+  };
 
-    const camPerm = await ImagePicker.requestCameraPermissionsAsync();
-    if (camPerm.status !== "granted") {
-      Alert.alert("需要相機權限", "若要錄製 vlog，請允許相機權限。");
+  // 儲存紀錄到本機，再交給上傳佇列送到後端（含影片檔）
+  const saveLog = async () => {
+    // 1. 要有 vlog
+    if (!videoUri) {
+      Alert.alert("請先錄製 vlog", "儲存前請先錄製 vlog。");
       return;
     }
-    setHasCameraPermission(true);
 
+    // 2. 必填題都要回答
+    const missing = missingRequired(questionnaire, answers);
+    if (missing.length > 0) {
+      const labels = questionnaire.items
+        .filter((item) => missing.includes(item.id))
+        .map((item) => item.label);
+      Alert.alert("還有題目沒回答", labels.join("\n"));
+      return;
+    }
+    const savedAnswers = normalizeAnswers(questionnaire, answers);
+
+    // 3. 位置：取不到也照樣儲存（研究要求位置時除外），儲存後告訴使用者這筆沒有位置
+    const { location, problem: locationProblem } = await getLocationForSave();
+    // 研究要求一定要有位置（研究設定的 location.required）時，取不到就先不儲存
+    if (locationProblem && (await isLocationRequired())) {
+      Alert.alert(
+        "這個研究需要位置",
+        `${locationProblem}，還不能儲存。請允許位置權限、或到收訊較好的地方後再試一次。`
+      );
+      return;
+    }
+    const locationNote = locationProblem
+      ? `\n\n${locationProblem}，這筆紀錄沒有位置資訊。`
+      : "";
+
+    const timestamp = new Date().toISOString();
+    const clientId = Crypto.randomUUID(); // 建立當下就固定，重試時沿用同一個
+
+    // 4. 影片轉檔（縮小解析度、省上傳流量）後放到 App 自己的目錄（相機快取可能被系統清掉）
+    let stored;
+    setProcessing(0);
     try {
-      setIsRecording(true);
-      const result = await ImagePicker.launchCameraAsync({
-        mediaTypes: ImagePicker.MediaTypeOptions.Videos,
-        videoMaxDuration: 1,
-        allowsEditing: false,
+      stored = await persistClip(videoUri, clientId, {
+        onProgress: setProcessing,
+        // 研究不收錄聲音：存檔前移除音軌
+        keepAudio: await studyRecordsAudio(),
       });
-
-      if (!result.canceled && result.assets && result.assets.length > 0) {
-        const uri = result.assets[0].uri;
-        setVideoUri(uri);
-        Alert.alert("錄製完成", "已錄製 1 秒 vlog！");
-      } else {
-        console.log("User canceled camera");
-      }
     } catch (e) {
-      console.log("record error:", e);
-      Alert.alert("錄影失敗", "請再試一次");
+      console.log("persistClip error:", e);
+      Alert.alert("儲存失敗", "找不到剛錄好的影片、或影片無法處理，請重新錄製。");
+      setVideoUri(null);
+      return;
     } finally {
-      setIsRecording(false);
+      setProcessing(null);
     }
-  };
 
-  // 儲存紀錄到 SQLite + 自動上傳到後端（含影片檔）
-  const saveLog = async () => {
-    // 1. 要有 vlog
-    if (!videoUri) {
-      Alert.alert("請先錄製 vlog", "儲存前請先錄製 1 秒 vlog。");
+    // 5. 寫入本機（App：SQLite；Web：localStorage）
+    let newLog;
+    try {
+      newLog = await repository.create({
+        clientId,
+        timestamp,
+        mood: moodFromAnswers(savedAnswers),
+        answers: savedAnswers,
+        questionnaireId: questionnaire.id,
+        questionnaireVersion: questionnaire.version,
+        ...stored,
+        ...location,
+        ...(activePrompt ?? {}),
+      });
+      await reloadLogs(repository);
+    } catch (e) {
+      console.log("Insert error:", e);
+      await deleteClip(stored.videoUri);
+      Alert.alert("儲存失敗", "無法寫入本機資料庫，請再試一次。");
       return;
     }
 
-    // 2. 在這裡「默默」取得 GPS
-    const loc = await getLocationForSave();
-    if (!loc) {
-      return; // 無法取得位置就不要繼續
-    }
-
-    const timestamp = new Date().toISOString();
-    const newLog = {
-      id: Date.now(), // web demo 用；原生會被 SQLite 的 id 覆蓋
-      timestamp,
-      mood,
-      videoUri: videoUri || "",
-      lat: loc.lat,
-      lng: loc.lng,
-    };
+    setAnswers(initialAnswers(questionnaire));
+    setVideoUri(null);
 
-    // 更新畫面上的 logs
-    setLogs((prev) => [newLog, ...prev].slice(0, 5));
+    // 這次提醒已經回應過了，下一筆紀錄不再連到同一個提醒
+    if (activePrompt) {
+      setActivePrompt(null);
+      router.setParams({
+        promptId: undefined,
+        promptScheduledAt: undefined,
+        promptDeliveredAt: undefined,
+        promptOpenedAt: undefined,
+      });
+    }
 
-    // 3. 寫入 SQLite（只在 App 上）
-    if (!isWeb && db) {
-      try {
-        await db.runAsync(
-          "INSERT INTO logs (timestamp, mood, videoUri, lat, lng) VALUES (?, ?, ?, ?, ?)",
-          timestamp,
-          mood,
-          videoUri || "",
-          loc.lat,
-          loc.lng
-        );
-      } catch (e) {
-        console.log("Insert error:", e);
-      }
+    // 6. App：repository.create 已經把紀錄放進上傳佇列，這裡只要叫佇列開始
+    //    上傳失敗不會遺失：佇列會在回到前景 / 網路恢復時自動重試
+    if (repository.db) {
+      uploadQueueRef.current?.trigger();
+      Alert.alert(
+        "已儲存",
+        (enrolled
+          ? "紀錄已存在手機上，會在有網路時自動上傳到後端。"
+          : "紀錄已存在手機上；加入研究後會自動上傳。") + locationNote
+      );
+      return;
     }
 
-    // 4. 上傳 metadata 到後端（JSON，寫進 MongoDB）
+    // Web 預覽：沒有上傳佇列，加入研究後直接上傳一次
+    if (!enrolled) {
+      Alert.alert("已儲存", `紀錄已存在瀏覽器中；加入研究後才會上傳。${locationNote}`);
+      return;
+    }
     try {
-      await fetch(`${BACKEND_BASE_URL}/api/logs`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          timestamp,
-          mood,
-          videoUri: videoUri || "", // 若後端只拿來對應，可保留
-          lat: loc.lat,
-          lng: loc.lng,
-        }),
-      });
+      await uploadLogMetadata(newLog);
     } catch (e) {
       console.log("Upload metadata error:", e);
-      Alert.alert("上傳資料失敗", "無法上傳情緒 / GPS 資料到後端。");
+      Alert.alert("上傳資料失敗", "無法上傳情緒 / 位置資料到後端。");
       return;
     }
 
-    // 5. 上傳「影片本體」到後端（multipart/form-data）
     try {
-      const formData = new FormData();
-      formData.append("timestamp", timestamp);
-      formData.append("mood", String(mood));
-      formData.append("lat", String(loc.lat));
-      formData.append("lng", String(loc.lng));
-      formData.append("video", {
-        uri: videoUri,
-        name: `emogo_vlog_${Date.now()}.mp4`,
-        type: "video/mp4",
-      });
-
-      await fetch(`${BACKEND_BASE_URL}/api/upload-video`, {
-        method: "POST",
-        body: formData,
-        // 不要自己設 Content-Type，讓 fetch 自動帶 boundary
-      });
+      await uploadLogVideo(newLog);
     } catch (e) {
       console.log("Upload video error:", e);
-      Alert.alert("上傳影片失敗", "情緒與 GPS 已上傳，但影片上傳失敗。");
+      Alert.alert("上傳影片失敗", "情緒與位置已上傳，但影片上傳失敗。");
       return;
     }
 
-    Alert.alert("已儲存並上傳", "這次的心情、GPS 與 vlog 影片已上傳到後端。");
+    Alert.alert(
+      "已儲存並上傳",
+      `這次的心情、位置與 vlog 影片已上傳到後端。${locationNote}`
+    );
   };
 
   // 分享單一 vlog（選用）
@@ -273,105 +440,194 @@ export default function EmogoScreen() {
     }
   };
 
-  // 清除所有紀錄
-  const clearLogs = async () => {
-    if (!isWeb && db) {
-      try {
-        await db.runAsync("DELETE FROM logs");
-      } catch (e) {
-        console.log("clear error:", e);
-        Alert.alert("清除失敗", "請查看 console log。");
-        return;
-      }
+  // 清除所有紀錄（連同存在手機上的影片檔與感測樣本）；已加入研究時可以選擇連後端的資料一起刪除
+  const clearLogs = async (includeServer) => {
+    try {
+      await clearAllLogs(repository, { includeServer });
+    } catch (e) {
+      console.log("clear error:", e);
+      Alert.alert("清除失敗", "請查看 console log。");
+      return;
     }
 
     setLogs([]);
     setVideoUri(null);
-    Alert.alert("已清除", "所有紀錄已清除。");
+    Alert.alert(
+      "已清除",
+      includeServer
+        ? "所有紀錄已從手機清除，研究後端的資料會在有網路時刪除。"
+        : "所有紀錄已從手機清除。"
+    );
+  };
+
+  const confirmClearLogs = () => {
+    const buttons = [
+      { text: "取消", style: "cancel" },
+      {
+        text: "只清除手機",
+        style: "destructive",
+        onPress: () => clearLogs(false),
+      },
+    ];
+    if (enrolled) {
+      buttons.push({
+        text: "手機與後端都清除",
+        style: "destructive",
+        onPress: () => clearLogs(true),
+      });
+    }
+    Alert.alert(
+      "清除所有紀錄？",
+      (enrolled
+        ? "手機上的所有紀錄、影片與背景感測資料都會刪除，無法復原。已經上傳到研究後端的紀錄可以選擇保留或一併刪除。"
+        : "手機上的所有紀錄、影片與背景感測資料都會刪除，無法復原。") +
+        "\n\n建議先匯出備份。",
+      buttons
+    );
   };
 
+  const visibleLogs = logs.filter((log) => !deletedLogIds.has(log.id));
+
   return (
     <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
       <Text style={styles.title}>Emogo 日常記錄</Text>
 
       {isWeb && (
         <Text style={{ color: "red", marginBottom: 8 }}>
-          （目前在 Web 預覽：SQLite / 相機 / GPS 皆以示意為主）
+          （目前在 Web 預覽：紀錄存在瀏覽器 localStorage，相機 / GPS 以示意為主）
         </Text>
       )}
 
-      {/* 1. 心情量表 */}
-      <Text style={styles.subtitle}>1. 簡單情緒量表（1 = 很糟，5 = 很好）</Text>
-      <View style={styles.moodRow}>
-        {[1, 2, 3, 4, 5].map((value) => (
-          <TouchableOpacity
-            key={value}
-            style={[
-              styles.moodButton,
-              mood === value && styles.moodButtonSelected,
-            ]}
-            onPress={() => setMood(value)}
-          >
-            <Text style={styles.moodText}>{value}</Text>
-          </TouchableOpacity>
-        ))}
-      </View>
-      <Text style={{ marginTop: 4 }}>目前選擇心情：{mood}</Text>
+      {!enrolled && (
+        <Link href="/enroll" style={styles.enrollBanner}>
+          尚未加入研究：紀錄會先存在手機上。點這裡輸入研究代碼 →
+        </Link>
+      )}
 
-      {/* 2. 1 秒 vlog */}
-      <Text style={styles.subtitle}>2. 1 秒 vlog 錄影</Text>
-      <View style={styles.cameraContainer}>
-        <Text style={{ color: "#ccc", textAlign: "center", paddingHorizontal: 8 }}>
-          按下下方按鈕會開啟系統相機錄製 1 秒 vlog。
+      {activePrompt && (
+        <Text style={styles.promptBanner}>
+          正在回應{" "}
+          {activePrompt.promptScheduledAt
+            ? new Date(activePrompt.promptScheduledAt).toLocaleTimeString()
+            : ""}{" "}
+          的提醒
         </Text>
+      )}
+
+      {/* 1. 問卷（題目由 JSON 定義，見 lib/questionnaire.js） */}
+      <Text style={styles.subtitle}>1. {questionnaire.title ?? "心情問卷"}</Text>
+      <Questionnaire
+        definition={questionnaire}
+        answers={answers}
+        onChange={(itemId, value) =>
+          setAnswers((prev) => ({ ...prev, [itemId]: value }))
+        }
+      />
+
+      {/* 2. vlog：錄好的片段在這裡靜音循環播放 */}
+      <Text style={styles.subtitle}>2. vlog 錄影</Text>
+      <View style={styles.cameraContainer}>
+        {videoUri ? (
+          <VideoView
+            style={StyleSheet.absoluteFill}
+            player={clipPlayer}
+            contentFit="cover"
+            nativeControls={false}
+          />
+        ) : (
+          <Text style={{ color: "#ccc", textAlign: "center", paddingHorizontal: 8 }}>
+            按下下方按鈕開始錄製 vlog（片長可在 Settings 調整）。
+          </Text>
+        )}
       </View>
       <View style={{ marginTop: 8 }}>
         <Button
-          title={isRecording ? "錄影中..." : "錄製 1 秒 VLOG"}
-          onPress={recordOneSecondVlog}
-          disabled={isRecording}
+          title={videoUri ? "重新錄製 VLOG" : "錄製 VLOG"}
+          onPress={openRecorder}
         />
       </View>
-      {videoUri && (
-        <Text style={{ marginTop: 4, fontSize: 12 }} numberOfLines={1}>
-          目前 vlog URI：{videoUri}
+
+      {/* 3. 位置：儲存時依設定頁的隱私等級記錄，這裡明確告知會記錄什麼 */}
+      <Text style={styles.subtitle}>3. 位置</Text>
+      <Text style={styles.hint}>
+        {describeLocationPrivacy(locationSettings)}可以在 Settings 的「位置隱私」更改。
+      </Text>
+      {!isWeb && needsCoordinates(locationSettings) && !hasLocationPermission && (
+        <Text style={styles.hint}>
+          {locationRequired
+            ? "尚未允許位置權限：儲存時會再詢問一次，這個研究的紀錄一定要有位置。"
+            : "尚未允許位置權限：儲存時會再詢問一次，不允許也可以儲存，只是沒有位置。"}
         </Text>
       )}
 
-      {/* 3. GPS：不再有按鈕 & 不顯示座標，改成在儲存時默默取得 */}
-
       <View style={{ height: 16 }} />
-      <Button title="儲存這次紀錄" onPress={saveLog} />
+      <Button
+        title={
+          processing === null
+            ? "儲存這次紀錄"
+            : `處理影片中... ${Math.round(processing * 100)}%`
+        }
+        onPress={saveLog}
+        disabled={processing !== null}
+      />
 
-      {/* 只保留「清除所有紀錄」，移除 JSON 匯出按鈕 */}
+      {/* 匯出（ZIP，含影片）在獨立的備份畫面；清除前建議先匯出 */}
       <View style={{ marginTop: 16 }}>
-        <Button color="#cc3333" title="清除所有紀錄" onPress={clearLogs} />
+        <Button title="匯出紀錄與影片" onPress={() => router.push("/backup")} />
+      </View>
+      <View style={{ marginTop: 8 }}>
+        <Button color="#cc3333" title="清除所有紀錄" onPress={confirmClearLogs} />
       </View>
 
       {/* 最近 5 筆紀錄（不顯示 GPS 座標） */}
       <Text style={[styles.subtitle, { marginTop: 24 }]}>
-        最近 5 筆紀錄（Web：示意；App：來自 SQLite）
+        最近 5 筆紀錄（Web：來自 localStorage；App：來自 SQLite）
       </Text>
-      {logs.length === 0 ? (
+      <Link href="/(tabs)/history" style={styles.link}>
+        查看全部紀錄 →
+      </Link>
+      {visibleLogs.length === 0 ? (
         <Text style={{ marginTop: 4 }}>目前尚無任何紀錄。</Text>
       ) : (
-        logs.map((log) => (
+        visibleLogs.map((log) => (
           <View key={log.id} style={styles.logItem}>
             <Text style={styles.logLine}>
               時間：{new Date(log.timestamp).toLocaleString()}
             </Text>
-            <Text style={styles.logLine}>心情：{log.mood}</Text>
-            <Text style={styles.logLine} numberOfLines={1}>
-              vlog：{log.videoUri || "(無)"}
-            </Text>
+            <Text style={styles.logLine}>心情：{log.mood ?? "(未填)"}</Text>
+            {log.syncStatus ? (
+              <Text style={styles.logLine}>
+                上傳狀態：
+                {log.confirmedAt
+                  ? "後端已確認"
+                  : SYNC_STATUS_LABELS[log.syncStatus] ?? log.syncStatus}
+                {log.syncStatus === OUTBOX_STATUS.PENDING && log.syncAttempts > 0
+                  ? `（已重試 ${log.syncAttempts} 次）`
+                  : ""}
+              </Text>
+            ) : null}
+            <UploadProgress log={log} />
             {log.videoUri ? (
-              <View style={{ marginTop: 4 }}>
-                <Button
-                  title="分享這段影片"
-                  onPress={() => shareVideo(log.videoUri)}
+              <View style={styles.clipRow}>
+                <VideoThumbnail
+                  log={log}
+                  onPress={() =>
+                    router.push({
+                      pathname: "/player",
+                      params: { id: String(log.id) },
+                    })
+                  }
                 />
+                <View style={{ flex: 1, marginLeft: 8 }}>
+                  <Button
+                    title="分享這段影片"
+                    onPress={() => shareVideo(log.videoUri)}
+                  />
+                </View>
               </View>
-            ) : null}
+            ) : (
+              <Text style={styles.logLine}>vlog：(無)</Text>
+            )}
           </View>
         ))
       )}
@@ -400,26 +656,10 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: "600",
   },
-  moodRow: {
-    flexDirection: "row",
-    marginTop: 8,
-    justifyContent: "space-between",
-  },
-  moodButton: {
-    flex: 1,
-    marginHorizontal: 4,
-    paddingVertical: 10,
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: "#ccc",
-    alignItems: "center",
-  },
-  moodButtonSelected: {
-    backgroundColor: "#8fd19e",
-    borderColor: "#4caf50",
-  },
-  moodText: {
-    fontSize: 16,
+  hint: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#666",
   },
   cameraContainer: {
     marginTop: 8,
@@ -440,4 +680,28 @@ const styles = StyleSheet.create({
   logLine: {
     fontSize: 12,
   },
+  clipRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 4,
+  },
+  promptBanner: {
+    marginTop: 4,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: "#e8f5e9",
+    color: "#2e7d32",
+  },
+  enrollBanner: {
+    marginTop: 4,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: "#fff3e0",
+    color: "#e65100",
+  },
+  link: {
+    marginTop: 4,
+    fontSize: 14,
+    textDecorationLine: "underline",
+  },
 });
@@ -0,0 +1,372 @@
+import React, { useCallback, useMemo, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Button,
+  ScrollView,
+  StyleSheet,
+} from "react-native";
+import { useFocusEffect, useRouter } from "expo-router";
+
+import { useDeletedLogIds } from "../components/UndoBar";
+import { getLogRepository } from "../lib/database";
+import { dateInputToIso } from "../lib/dateInput";
+import { formatLogLocation } from "../lib/locationPrivacy";
+import {
+  MOOD_COLORS,
+  clusterPoints,
+  formatSpan,
+  hasCoordinates,
+  moodColor,
+  projectLogs,
+} from "../lib/mapClusters";
+import { loadMapEnabled, saveMapEnabled } from "../lib/mapSettings";
+
+const MAP_HEIGHT = 320;
+// 分群半徑（像素）：圓圈大約這麼大，靠得更近就會重疊
+const CLUSTER_RADIUS = 24;
+const GRID_LINES = 4;
+
+// 圓圈大小隨筆數變大，但不超過分群半徑太多
+const markerSize = (count) => Math.min(16 + Math.sqrt(count) * 6, 44);
+
+// 心情地圖（預設關閉）：把自己的紀錄依位置畫出來，顏色代表心情
+// 完全離線：沒有底圖，只用本機資料庫裡的紀錄
+export default function MapScreen() {
+  const router = useRouter();
+  const [enabled, setEnabled] = useState(null);
+  const [logs, setLogs] = useState([]);
+  const [fromText, setFromText] = useState("");
+  const [toText, setToText] = useState("");
+  const [width, setWidth] = useState(0);
+  const [selectedId, setSelectedId] = useState(null);
+  // 日期改變時，較早送出的查詢結果要丟掉
+  const requestIdRef = useRef(0);
+  const deletedLogIds = useDeletedLogIds();
+
+  const from = dateInputToIso(fromText, false);
+  const to = dateInputToIso(toText, true);
+
+  const load = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    try {
+      const isEnabled = await loadMapEnabled();
+      if (requestId !== requestIdRef.current) return;
+      setEnabled(isEnabled);
+      if (!isEnabled) return;
+      const repo = await getLogRepository();
+      const items = await repo.list({ limit: null, filters: { from, to } });
+      if (requestId !== requestIdRef.current) return;
+      setLogs(items);
+    } catch (e) {
+      console.log("map load error:", e);
+    }
+  }, [from, to]);
+
+  // 回到這個畫面（例如刪除紀錄後）或日期改變時重新讀取
+  useFocusEffect(
+    useCallback(() => {
+      load();
+    }, [load])
+  );
+
+  // 在詳情頁刪除（還可以復原）的紀錄不畫出來
+  const visibleLogs = useMemo(
+    () => logs.filter((log) => !deletedLogIds.has(log.id)),
+    [logs, deletedLogIds]
+  );
+
+  const { clusters, spanMeters } = useMemo(() => {
+    const projected = projectLogs(visibleLogs, { width, height: MAP_HEIGHT });
+    return {
+      clusters: clusterPoints(projected.points, CLUSTER_RADIUS),
+      spanMeters: projected.spanMeters,
+    };
+  }, [visibleLogs, width]);
+
+  const unmapped = visibleLogs.filter((log) => !hasCoordinates(log)).length;
+  const selected = clusters.find((cluster) => cluster.id === selectedId) ?? null;
+
+  const enableMap = async () => {
+    await saveMapEnabled(true);
+    load();
+  };
+
+  const disableMap = async () => {
+    await saveMapEnabled(false);
+    setLogs([]);
+    setSelectedId(null);
+    setEnabled(false);
+  };
+
+  if (enabled === null) {
+    return (
+      <View style={styles.center}>
+        <Text>讀取中...</Text>
+      </View>
+    );
+  }
+
+  if (!enabled) {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.title}>心情地圖</Text>
+        <Text style={[styles.hint, { textAlign: "center", marginBottom: 16 }]}>
+          在地圖上依位置顯示你自己的紀錄，顏色代表當時的心情。
+          地圖只使用這支手機上的資料，不會下載地圖、也不會把位置送到任何地方；
+          位置依你在設定頁選的「位置隱私」等級記錄，只記地點標籤的紀錄不會出現在地圖上。
+        </Text>
+        <Button title="開啟心情地圖" onPress={enableMap} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Text style={styles.subtitle}>日期範圍（YYYY-MM-DD）</Text>
+      <View style={styles.row}>
+        <TextInput
+          style={styles.input}
+          placeholder="開始日期"
+          value={fromText}
+          onChangeText={setFromText}
+          autoCapitalize="none"
+        />
+        <TextInput
+          style={styles.input}
+          placeholder="結束日期"
+          value={toText}
+          onChangeText={setToText}
+          autoCapitalize="none"
+        />
+      </View>
+
+      <View
+        style={styles.map}
+        onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      >
+        {/* 淡色格線，只是讓距離感清楚一點，不代表實際的經緯線 */}
+        {Array.from({ length: GRID_LINES - 1 }, (_, i) => {
+          const position = `${((i + 1) * 100) / GRID_LINES}%`;
+          return (
+            <React.Fragment key={i}>
+              <View style={[styles.gridLine, styles.gridColumn, { left: position }]} />
+              <View style={[styles.gridLine, styles.gridRow, { top: position }]} />
+            </React.Fragment>
+          );
+        })}
+        {clusters.map((cluster) => {
+          const size = markerSize(cluster.logs.length);
+          return (
+            <TouchableOpacity
+              key={cluster.id}
+              style={[
+                styles.marker,
+                {
+                  left: cluster.x - size / 2,
+                  top: cluster.y - size / 2,
+                  width: size,
+                  height: size,
+                  borderRadius: size / 2,
+                  backgroundColor: moodColor(cluster.meanMood),
+                },
+                cluster.id === selectedId && styles.markerSelected,
+              ]}
+              onPress={() =>
+                setSelectedId((prev) => (prev === cluster.id ? null : cluster.id))
+              }
+            >
+              {cluster.logs.length > 1 && (
+                <Text style={styles.markerText}>{cluster.logs.length}</Text>
+              )}
+            </TouchableOpacity>
+          );
+        })}
+        {clusters.length === 0 && (
+          <View style={styles.mapEmpty}>
+            <Text style={styles.hint}>這段期間沒有帶座標的紀錄。</Text>
+          </View>
+        )}
+      </View>
+
+      <View style={[styles.row, { justifyContent: "space-between" }]}>
+        <View style={styles.row}>
+          {Object.entries(MOOD_COLORS).map(([mood, color]) => (
+            <View key={mood} style={styles.legendItem}>
+              <View style={[styles.legendDot, { backgroundColor: color }]} />
+              <Text style={styles.hint}>{mood}</Text>
+            </View>
+          ))}
+        </View>
+        {spanMeters > 0 && (
+          <Text style={styles.hint}>寬度{formatSpan(spanMeters)}</Text>
+        )}
+      </View>
+      <Text style={styles.hint}>
+        共 {visibleLogs.length} 筆
+        {unmapped > 0
+          ? `，其中 ${unmapped} 筆沒有座標（未記錄位置或只記地點），不在地圖上`
+          : ""}
+      </Text>
+
+      {selected ? (
+        <>
+          <Text style={styles.subtitle}>
+            這裡的紀錄（{selected.logs.length} 筆
+            {selected.meanMood !== null
+              ? `，平均心情 ${selected.meanMood.toFixed(1)}`
+              : ""}
+            ）
+          </Text>
+          {selected.logs.map((log) => (
+            <TouchableOpacity
+              key={log.id}
+              style={styles.logItem}
+              onPress={() =>
+                router.push({ pathname: "/details", params: { id: String(log.id) } })
+              }
+            >
+              <View
+                style={[styles.legendDot, { backgroundColor: moodColor(log.mood) }]}
+              />
+              <View style={{ flex: 1, marginLeft: 8 }}>
+                <Text style={styles.logLine}>
+                  時間：{new Date(log.timestamp).toLocaleString()}
+                </Text>
+                <Text style={styles.logLine}>
+                  心情：{log.mood ?? "(未填)"}　{log.videoUri ? "有 vlog" : "無 vlog"}
+                </Text>
+                <Text style={styles.logLine}>位置：{formatLogLocation(log)}</Text>
+              </View>
+            </TouchableOpacity>
+          ))}
+        </>
+      ) : (
+        clusters.length > 0 && (
+          <Text style={[styles.hint, { marginTop: 12 }]}>
+            點地圖上的圓圈可以看到那裡的紀錄。
+          </Text>
+        )
+      )}
+
+      <View style={{ marginTop: 32 }}>
+        <Button title="關閉心情地圖" onPress={disableMap} />
+      </View>
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+    backgroundColor: "#fff",
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  subtitle: {
+    marginTop: 12,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 6,
+  },
+  input: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  map: {
+    height: MAP_HEIGHT,
+    marginTop: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+    backgroundColor: "#f5f7f5",
+    overflow: "hidden",
+  },
+  gridLine: {
+    position: "absolute",
+    backgroundColor: "#e3e7e3",
+  },
+  gridColumn: {
+    top: 0,
+    bottom: 0,
+    width: 1,
+  },
+  gridRow: {
+    left: 0,
+    right: 0,
+    height: 1,
+  },
+  mapEmpty: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  marker: {
+    position: "absolute",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 2,
+    borderColor: "#fff",
+  },
+  markerSelected: {
+    borderColor: "#333",
+  },
+  markerText: {
+    color: "#fff",
+    fontSize: 12,
+    fontWeight: "bold",
+  },
+  legendItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginRight: 8,
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 4,
+  },
+  hint: {
+    marginTop: 4,
+    fontSize: 12,
+    color: "#666",
+  },
+  logItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ddd",
+  },
+  logLine: {
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,369 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  Platform,
+} from "react-native";
+import { Stack, useLocalSearchParams, useRouter } from "expo-router";
+import * as Location from "expo-location";
+import * as Notifications from "expo-notifications";
+import { useCameraPermissions, useMicrophonePermissions } from "expo-camera";
+
+import { studyRecordsAudio } from "../lib/authStore";
+import { PERMISSION_STEPS } from "../lib/consent";
+import {
+  getConsentDocument,
+  loadConsentRecord,
+  recordConsent,
+  refreshConsentDocument,
+} from "../lib/consentStore";
+import {
+  describeLocationPrivacy,
+  needsCoordinates,
+} from "../lib/locationPrivacy";
+import { loadLocationSettings } from "../lib/locationSettings";
+import { syncReminders } from "../lib/reminders";
+
+const isWeb = Platform.OS === "web";
+
+// 步驟：研究說明 -> 同意 -> 每個權限各一步（第一次使用才有）
+const STEPS = {
+  INFO: "info",
+  CONSENT: "consent",
+};
+
+// 第一次使用（或同意書改版）時的 onboarding（/onboarding）
+// 權限只在說明它的那一步才請求，不會一打開 App 就全部跳出來
+// 從設定頁帶 ?review=1 進來時只顯示內容，可以重新閱讀
+export default function OnboardingScreen() {
+  const router = useRouter();
+  const { review } = useLocalSearchParams();
+  const reviewing = review === "1";
+  const [document, setDocument] = useState(null);
+  const [previous, setPrevious] = useState(undefined); // 之前的同意紀錄；undefined 表示還沒讀
+  const [stepIndex, setStepIndex] = useState(0);
+  const [checked, setChecked] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [declined, setDeclined] = useState(false);
+  const [locationSettings, setLocationSettings] = useState(null);
+  const [recordAudio, setRecordAudio] = useState(true);
+  const [locationStatus, setLocationStatus] = useState(null);
+  const [notificationStatus, setNotificationStatus] = useState(null);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+  const [micPermission, requestMicPermission] = useMicrophonePermissions();
+
+  useEffect(() => {
+    (async () => {
+      // 先顯示本機的版本，再換成後端的最新版本
+      setDocument(await getConsentDocument());
+      setPrevious(await loadConsentRecord());
+      setLocationSettings(await loadLocationSettings());
+      setRecordAudio(await studyRecordsAudio());
+      const latest = await refreshConsentDocument();
+      setDocument((current) =>
+        current?.id === latest.id && current?.version === latest.version
+          ? current
+          : latest
+      );
+    })().catch((e) => console.log("onboarding load error:", e));
+  }, []);
+
+  // 同意書換了版本（例如剛從後端拿到新版），要重新勾選
+  useEffect(() => {
+    if (document) setChecked(document.agreements.map(() => false));
+  }, [document]);
+
+  if (!document || previous === undefined) {
+    return (
+      <View style={styles.center}>
+        <Text>讀取中...</Text>
+      </View>
+    );
+  }
+
+  // 重新同意（改版）時權限在第一次已經說明過了，不再逐一詢問
+  const firstRun = !previous?.consentedAt;
+  const steps = [
+    STEPS.INFO,
+    ...(reviewing ? [] : [STEPS.CONSENT]),
+    ...(firstRun && !reviewing && !isWeb ? PERMISSION_STEPS : []),
+  ];
+  const step = steps[Math.min(stepIndex, steps.length - 1)];
+  const isLastStep = stepIndex >= steps.length - 1;
+
+  const finish = () => {
+    if (reviewing) {
+      router.back();
+    } else {
+      router.replace("/");
+    }
+  };
+
+  const next = () => {
+    if (isLastStep) {
+      finish();
+    } else {
+      setStepIndex((index) => index + 1);
+    }
+  };
+
+  const agree = async () => {
+    setSubmitting(true);
+    try {
+      await recordConsent(document);
+      next();
+    } catch (e) {
+      console.log("record consent error:", e);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const requestCamera = async () => {
+    await requestCameraPermission();
+    if (recordAudio) await requestMicPermission();
+    next();
+  };
+
+  const requestLocation = async () => {
+    const perm = await Location.requestForegroundPermissionsAsync();
+    setLocationStatus(perm.status);
+    next();
+  };
+
+  const requestNotifications = async () => {
+    const perm = await Notifications.requestPermissionsAsync();
+    setNotificationStatus(perm.status);
+    if (perm.status === "granted") {
+      // 依設定頁的提醒排程建立通知
+      try {
+        await syncReminders();
+      } catch (e) {
+        console.log("syncReminders error:", e);
+      }
+    }
+    next();
+  };
+
+  // status："granted" 已允許、"notNeeded" 目前的設定用不到，其他值顯示「允許」按鈕
+  const renderPermission = (permission, status, onAllow, extra = null) => (
+    <>
+      <Text style={styles.title}>{permission.title}</Text>
+      <Text style={styles.body}>{permission.body}</Text>
+      {extra}
+      {status === "granted" || status === "notNeeded" ? (
+        <>
+          <Text style={styles.hint}>
+            {status === "granted" ? "已經允許。" : "目前的設定用不到這個權限。"}
+          </Text>
+          <View style={styles.actions}>
+            <Button title={isLastStep ? "開始使用" : "下一步"} onPress={next} />
+          </View>
+        </>
+      ) : (
+        <View style={styles.actions}>
+          <Button title="允許" onPress={onAllow} />
+          <View style={{ marginTop: 8 }}>
+            <Button title="先不要" color="#888" onPress={next} />
+          </View>
+          <Text style={styles.hint}>之後也可以到系統設定或 App 的設定頁更改。</Text>
+        </View>
+      )}
+    </>
+  );
+
+  let content;
+  switch (step) {
+    case STEPS.INFO:
+      content = (
+        <>
+          <Text style={styles.title}>{document.title}</Text>
+          {!firstRun && !reviewing && (
+            <Text style={styles.notice}>
+              研究說明已經更新（第 {document.version} 版），請重新閱讀並同意後再繼續使用。
+            </Text>
+          )}
+          {document.sections.map((section) => (
+            <View key={section.title} style={styles.section}>
+              <Text style={styles.subtitle}>{section.title}</Text>
+              <Text style={styles.body}>{section.body}</Text>
+            </View>
+          ))}
+          <Text style={styles.hint}>
+            第 {document.version} 版
+            {previous?.consentedAt
+              ? `；你在 ${new Date(previous.consentedAt).toLocaleString()} ` +
+                `同意了第 ${previous.version} 版`
+              : ""}
+          </Text>
+          <View style={styles.actions}>
+            <Button title={reviewing ? "返回" : "下一步"} onPress={next} />
+          </View>
+        </>
+      );
+      break;
+
+    case STEPS.CONSENT:
+      content = (
+        <>
+          <Text style={styles.title}>參與同意</Text>
+          {document.agreements.map((text, index) => (
+            <TouchableOpacity
+              key={text}
+              style={styles.agreement}
+              onPress={() =>
+                setChecked((prev) =>
+                  prev.map((value, i) => (i === index ? !value : value))
+                )
+              }
+            >
+              <View style={[styles.checkbox, checked[index] && styles.checkboxOn]}>
+                {checked[index] && <Text style={styles.checkmark}>✓</Text>}
+              </View>
+              <Text style={[styles.body, { flex: 1, marginTop: 0 }]}>{text}</Text>
+            </TouchableOpacity>
+          ))}
+          <View style={styles.actions}>
+            <Button
+              title={submitting ? "儲存中..." : "我同意"}
+              onPress={agree}
+              disabled={submitting || !checked.every(Boolean)}
+            />
+            <View style={{ marginTop: 8 }}>
+              <Button title="不同意" color="#888" onPress={() => setDeclined(true)} />
+            </View>
+          </View>
+          {declined && (
+            <Text style={styles.notice}>
+              沒有同意就不能參加研究，App 也不會記錄任何資料。
+              改變主意時，回到這裡勾選並按「我同意」即可。
+            </Text>
+          )}
+          <View style={styles.actions}>
+            <Button title="上一步" color="#888" onPress={() => setStepIndex(0)} />
+          </View>
+        </>
+      );
+      break;
+
+    case "camera":
+      content = renderPermission(
+        document.permissions.camera,
+        cameraPermission?.granted && (!recordAudio || micPermission?.granted)
+          ? "granted"
+          : null,
+        requestCamera
+      );
+      break;
+
+    case "location":
+      content = renderPermission(
+        document.permissions.location,
+        // 選擇「不記錄位置」時不需要位置權限
+        locationSettings && !needsCoordinates(locationSettings)
+          ? "notNeeded"
+          : locationStatus,
+        requestLocation,
+        locationSettings && (
+          <Text style={styles.hint}>
+            目前的位置隱私：{describeLocationPrivacy(locationSettings)}
+          </Text>
+        )
+      );
+      break;
+
+    default:
+      content = renderPermission(
+        document.permissions.notifications,
+        notificationStatus,
+        requestNotifications
+      );
+  }
+
+  return (
+    <ScrollView style={styles.scroll} contentContainerStyle={styles.container}>
+      <Stack.Screen
+        options={{
+          title: reviewing ? "研究說明" : `歡迎（${stepIndex + 1} / ${steps.length}）`,
+        }}
+      />
+      {content}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  scroll: {
+    flex: 1,
+    backgroundColor: "#fff",
+  },
+  container: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: "bold",
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  section: {
+    marginTop: 12,
+  },
+  body: {
+    marginTop: 4,
+    fontSize: 14,
+    lineHeight: 20,
+  },
+  hint: {
+    marginTop: 8,
+    fontSize: 12,
+    color: "#666",
+  },
+  notice: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 8,
+    backgroundColor: "#fff4e5",
+    fontSize: 13,
+  },
+  actions: {
+    marginTop: 24,
+  },
+  agreement: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginTop: 12,
+  },
+  checkbox: {
+    width: 24,
+    height: 24,
+    marginRight: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: "#888",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  checkboxOn: {
+    backgroundColor: "#8fd19e",
+    borderColor: "#4caf50",
+  },
+  checkmark: {
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
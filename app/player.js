@@ -0,0 +1,195 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  TouchableOpacity,
+  StyleSheet,
+} from "react-native";
+import { Stack, useLocalSearchParams, useRouter } from "expo-router";
+import { VideoView, useVideoPlayer } from "expo-video";
+
+import { getLogRepository } from "../lib/database";
+
+// 只在有影片的紀錄之間切換
+const WITH_VIDEO = { hasVideo: true };
+
+// App 內播放器（/player?id=）：循環、靜音、切換上一段 / 下一段 vlog
+export default function PlayerScreen() {
+  const router = useRouter();
+  const { id } = useLocalSearchParams();
+  const [log, setLog] = useState(null);
+  const [older, setOlder] = useState(null);
+  const [newer, setNewer] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const [loop, setLoop] = useState(true);
+  const [muted, setMuted] = useState(false);
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const repo = await getLogRepository();
+        const current = await repo.getById(Number(id));
+        setLog(current);
+        if (current) {
+          setOlder(
+            await repo.adjacent(current.id, { direction: "older", filters: WITH_VIDEO })
+          );
+          setNewer(
+            await repo.adjacent(current.id, { direction: "newer", filters: WITH_VIDEO })
+          );
+        }
+      } catch (e) {
+        console.log("player load error:", e);
+      } finally {
+        setLoaded(true);
+      }
+    })();
+  }, [id]);
+
+  const player = useVideoPlayer(log?.videoUri || null, (p) => {
+    p.loop = loop;
+    p.muted = muted;
+    p.play();
+  });
+
+  useEffect(() => {
+    player.loop = loop;
+    player.muted = muted;
+  }, [player, loop, muted]);
+
+  // 換到另一筆紀錄：只改網址參數，留在同一個畫面
+  const goTo = (target) => {
+    if (target) router.setParams({ id: String(target.id) });
+  };
+
+  if (!loaded) {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.light}>讀取中...</Text>
+      </View>
+    );
+  }
+
+  if (!log?.videoUri) {
+    return (
+      <View style={styles.center}>
+        <Text style={[styles.light, { marginBottom: 16 }]}>這筆紀錄沒有影片。</Text>
+        <Button title="返回" onPress={() => router.back()} />
+      </View>
+    );
+  }
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen
+        options={{ title: new Date(log.timestamp).toLocaleString() }}
+      />
+
+      <VideoView
+        style={styles.video}
+        player={player}
+        contentFit="contain"
+        nativeControls={false}
+      />
+
+      <Text style={styles.caption}>心情：{log.mood ?? "(未填)"}</Text>
+
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.toggle, loop && styles.toggleOn]}
+          onPress={() => setLoop((v) => !v)}
+        >
+          <Text style={styles.light}>{loop ? "循環：開" : "循環：關"}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.toggle, muted && styles.toggleOn]}
+          onPress={() => setMuted((v) => !v)}
+        >
+          <Text style={styles.light}>{muted ? "靜音：開" : "靜音：關"}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.toggle}
+          onPress={() => {
+            player.currentTime = 0;
+            player.play();
+          }}
+        >
+          <Text style={styles.light}>重播</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.row}>
+        <TouchableOpacity
+          style={[styles.step, !older && styles.disabled]}
+          onPress={() => goTo(older)}
+          disabled={!older}
+        >
+          <Text style={styles.light}>← 上一段</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.step, !newer && styles.disabled]}
+          onPress={() => goTo(newer)}
+          disabled={!newer}
+        >
+          <Text style={styles.light}>下一段 →</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+    paddingBottom: 24,
+  },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+    backgroundColor: "#000",
+  },
+  light: {
+    color: "#fff",
+  },
+  video: {
+    flex: 1,
+  },
+  caption: {
+    color: "#ccc",
+    textAlign: "center",
+    marginTop: 8,
+  },
+  row: {
+    flexDirection: "row",
+    marginTop: 12,
+    paddingHorizontal: 12,
+  },
+  toggle: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#555",
+    alignItems: "center",
+  },
+  toggleOn: {
+    backgroundColor: "#2e7d32",
+    borderColor: "#4caf50",
+  },
+  step: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 14,
+    borderRadius: 8,
+    backgroundColor: "#333",
+    alignItems: "center",
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
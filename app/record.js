@@ -0,0 +1,319 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  View,
+  Text,
+  Button,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  Platform,
+} from "react-native";
+import { Stack, useRouter } from "expo-router";
+import {
+  CameraView,
+  useCameraPermissions,
+  useMicrophonePermissions,
+} from "expo-camera";
+import { VideoView, useVideoPlayer } from "expo-video";
+
+import { studyRecordsAudio } from "../lib/authStore";
+import {
+  DEFAULT_RECORDING_SETTINGS,
+  loadRecordingSettings,
+  saveRecordingSettings,
+} from "../lib/recordingSettings";
+
+// 錄影流程：idle -> countdown -> recording -> preview（重錄回到 idle）
+const PHASE = {
+  IDLE: "idle",
+  COUNTDOWN: "countdown",
+  RECORDING: "recording",
+  PREVIEW: "preview",
+};
+
+// App 內錄影畫面：固定片長、倒數、前後鏡頭切換，錄完先預覽再決定是否使用。
+// 按「使用這段」會帶著影片 URI 回到記錄畫面（/?recordedUri=）。
+export default function RecordScreen() {
+  const router = useRouter();
+  const cameraRef = useRef(null);
+  const stopTimerRef = useRef(null);
+  const [cameraPermission, requestCameraPermission] = useCameraPermissions();
+  const [micPermission, requestMicPermission] = useMicrophonePermissions();
+  const [settings, setSettings] = useState(DEFAULT_RECORDING_SETTINGS);
+  const [facing, setFacing] = useState(DEFAULT_RECORDING_SETTINGS.facing);
+  const [cameraReady, setCameraReady] = useState(false);
+  const [phase, setPhase] = useState(PHASE.IDLE);
+  const [countdown, setCountdown] = useState(0);
+  const [clipUri, setClipUri] = useState(null);
+  // 研究設定不收錄聲音時，錄影關掉麥克風，也不需要麥克風權限
+  const [recordAudio, setRecordAudio] = useState(null);
+
+  useEffect(() => {
+    studyRecordsAudio().then(setRecordAudio);
+  }, []);
+
+  useEffect(() => {
+    loadRecordingSettings()
+      .then((loaded) => {
+        setSettings(loaded);
+        setFacing(loaded.facing);
+      })
+      .catch((e) => console.log("load recording settings error:", e));
+  }, []);
+
+  // 離開畫面時停止還在進行的錄影
+  useEffect(
+    () => () => {
+      clearTimeout(stopTimerRef.current);
+      cameraRef.current?.stopRecording();
+    },
+    []
+  );
+
+  const player = useVideoPlayer(clipUri, (p) => {
+    p.loop = true;
+    p.play();
+  });
+
+  const startRecording = async () => {
+    if (!cameraRef.current) {
+      setPhase(PHASE.IDLE);
+      return;
+    }
+    setPhase(PHASE.RECORDING);
+    // maxDuration 在部分 Android 機型不準，另外用計時器準時停下
+    stopTimerRef.current = setTimeout(
+      () => cameraRef.current?.stopRecording(),
+      settings.clipSeconds * 1000
+    );
+    try {
+      const video = await cameraRef.current.recordAsync({
+        maxDuration: settings.clipSeconds,
+      });
+      if (video?.uri) {
+        setClipUri(video.uri);
+        setPhase(PHASE.PREVIEW);
+      } else {
+        setPhase(PHASE.IDLE);
+      }
+    } catch (e) {
+      console.log("record error:", e);
+      Alert.alert("錄影失敗", "請再試一次");
+      setPhase(PHASE.IDLE);
+    } finally {
+      clearTimeout(stopTimerRef.current);
+    }
+  };
+
+  // 倒數：每秒減一，到 0 開始錄影
+  useEffect(() => {
+    if (phase !== PHASE.COUNTDOWN) return undefined;
+    if (countdown <= 0) {
+      startRecording();
+      return undefined;
+    }
+    const timer = setTimeout(() => setCountdown((c) => c - 1), 1000);
+    return () => clearTimeout(timer);
+    // startRecording 只在倒數結束時呼叫一次，不放進依賴
+  }, [phase, countdown]);
+
+  const begin = () => {
+    setClipUri(null);
+    setCountdown(settings.countdownSeconds);
+    setPhase(PHASE.COUNTDOWN);
+  };
+
+  const toggleFacing = () => {
+    const next = facing === "front" ? "back" : "front";
+    setFacing(next);
+    setCameraReady(false);
+    // 記住使用者習慣的鏡頭，下次直接使用
+    saveRecordingSettings({ ...settings, facing: next }).catch((e) =>
+      console.log("save recording settings error:", e)
+    );
+  };
+
+  const retake = () => {
+    setClipUri(null);
+    setPhase(PHASE.IDLE);
+  };
+
+  const accept = () => {
+    router.navigate({ pathname: "/", params: { recordedUri: clipUri } });
+  };
+
+  if (Platform.OS === "web") {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.message}>瀏覽器無法錄製 vlog，請在手機上測試。</Text>
+        <Button title="返回" onPress={() => router.back()} />
+      </View>
+    );
+  }
+
+  if (!cameraPermission || !micPermission || recordAudio === null) {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.message}>讀取中...</Text>
+      </View>
+    );
+  }
+
+  if (!cameraPermission.granted || (recordAudio && !micPermission.granted)) {
+    return (
+      <View style={styles.center}>
+        <Text style={styles.message}>
+          {recordAudio ? "錄製 vlog 需要相機與麥克風權限。" : "錄製 vlog 需要相機權限。"}
+        </Text>
+        <Button
+          title="允許權限"
+          onPress={async () => {
+            await requestCameraPermission();
+            if (recordAudio) await requestMicPermission();
+          }}
+        />
+      </View>
+    );
+  }
+
+  const busy = phase === PHASE.COUNTDOWN || phase === PHASE.RECORDING;
+
+  return (
+    <View style={styles.container}>
+      <Stack.Screen options={{ title: `錄製 ${settings.clipSeconds} 秒 vlog` }} />
+
+      {phase === PHASE.PREVIEW && clipUri ? (
+        <>
+          <VideoView style={styles.camera} player={player} contentFit="cover" />
+          <View style={styles.controls}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={retake}>
+              <Text style={styles.buttonText}>重錄</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.primaryButton} onPress={accept}>
+              <Text style={styles.buttonText}>使用這段</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      ) : (
+        <>
+          <CameraView
+            ref={cameraRef}
+            style={styles.camera}
+            mode="video"
+            mute={!recordAudio}
+            facing={facing}
+            onCameraReady={() => setCameraReady(true)}
+          />
+          {phase === PHASE.COUNTDOWN && (
+            <View style={styles.overlay} pointerEvents="none">
+              <Text style={styles.countdown}>{countdown}</Text>
+            </View>
+          )}
+          {phase === PHASE.RECORDING && (
+            <View style={styles.recordingBadge} pointerEvents="none">
+              <Text style={styles.recordingText}>
+                {recordAudio ? "● 錄影中" : "● 錄影中（無聲音）"}
+              </Text>
+            </View>
+          )}
+          <View style={styles.controls}>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={toggleFacing}
+              disabled={busy}
+            >
+              <Text style={styles.buttonText}>
+                {facing === "front" ? "切換後鏡頭" : "切換前鏡頭"}
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.primaryButton, (busy || !cameraReady) && styles.disabled]}
+              onPress={begin}
+              disabled={busy || !cameraReady}
+            >
+              <Text style={styles.buttonText}>
+                {phase === PHASE.RECORDING
+                  ? "錄影中..."
+                  : phase === PHASE.COUNTDOWN
+                  ? "準備中..."
+                  : "開始錄影"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#000",
+  },
+  center: {
+    flex: 1,
+    alignItems: "center",
+    justifyContent: "center",
+    padding: 16,
+  },
+  message: {
+    marginBottom: 16,
+    textAlign: "center",
+  },
+  camera: {
+    flex: 1,
+  },
+  overlay: {
+    ...StyleSheet.absoluteFillObject,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  countdown: {
+    fontSize: 96,
+    fontWeight: "bold",
+    color: "#fff",
+  },
+  recordingBadge: {
+    position: "absolute",
+    top: 16,
+    alignSelf: "center",
+    paddingHorizontal: 12,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: "rgba(204, 51, 51, 0.8)",
+  },
+  recordingText: {
+    color: "#fff",
+    fontWeight: "600",
+  },
+  controls: {
+    flexDirection: "row",
+    padding: 16,
+    paddingBottom: 32,
+    backgroundColor: "#000",
+  },
+  primaryButton: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: "center",
+    backgroundColor: "#4caf50",
+  },
+  secondaryButton: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 14,
+    borderRadius: 8,
+    alignItems: "center",
+    backgroundColor: "#555",
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+  },
+});
@@ -0,0 +1,187 @@
+import React from "react";
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from "react-native";
+import Slider from "@react-native-community/slider";
+
+// 依問卷定義（lib/questionnaire.js）畫出所有題目
+// answers / onChange 由外層管理：onChange(itemId, value)
+export default function Questionnaire({ definition, answers, onChange }) {
+  return (
+    <View>
+      {definition.items.map((item, index) => (
+        <View key={item.id} style={styles.item}>
+          <Text style={styles.label}>
+            {index + 1}. {item.label}
+            {item.required ? " *" : ""}
+          </Text>
+          <QuestionItem
+            item={item}
+            value={answers[item.id]}
+            onChange={(value) => onChange(item.id, value)}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+function QuestionItem({ item, value, onChange }) {
+  switch (item.type) {
+    case "likert":
+      return <LikertItem item={item} value={value} onChange={onChange} />;
+    case "slider":
+      return <SliderItem item={item} value={value} onChange={onChange} />;
+    case "multiselect":
+      return <MultiSelectItem item={item} value={value} onChange={onChange} />;
+    default:
+      return (
+        <TextInput
+          style={[styles.input, item.multiline && { minHeight: 64 }]}
+          value={value ?? ""}
+          onChangeText={onChange}
+          placeholder={item.placeholder}
+          maxLength={item.maxLength}
+          multiline={Boolean(item.multiline)}
+        />
+      );
+  }
+}
+
+function ScaleLabels({ item }) {
+  if (!item.minLabel && !item.maxLabel) return null;
+  return (
+    <View style={styles.scaleLabels}>
+      <Text style={styles.hint}>{item.minLabel}</Text>
+      <Text style={styles.hint}>{item.maxLabel}</Text>
+    </View>
+  );
+}
+
+function LikertItem({ item, value, onChange }) {
+  const points = [];
+  for (let v = item.min; v <= item.max; v += 1) points.push(v);
+  return (
+    <>
+      <View style={styles.row}>
+        {points.map((point) => (
+          <TouchableOpacity
+            key={point}
+            style={[styles.option, value === point && styles.optionSelected]}
+            onPress={() => onChange(point)}
+          >
+            <Text style={styles.optionText}>{point}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <ScaleLabels item={item} />
+    </>
+  );
+}
+
+function SliderItem({ item, value, onChange }) {
+  return (
+    <>
+      <Slider
+        style={{ marginTop: 4 }}
+        minimumValue={item.min}
+        maximumValue={item.max}
+        step={item.step ?? 0}
+        value={value ?? (item.min + item.max) / 2}
+        onSlidingComplete={onChange}
+        minimumTrackTintColor="#4caf50"
+      />
+      <ScaleLabels item={item} />
+      <Text style={styles.hint}>
+        {value === null || value === undefined ? "尚未作答" : `目前：${value}`}
+      </Text>
+    </>
+  );
+}
+
+function MultiSelectItem({ item, value, onChange }) {
+  const selected = Array.isArray(value) ? value : [];
+  const toggle = (optionValue) => {
+    if (selected.includes(optionValue)) {
+      onChange(selected.filter((v) => v !== optionValue));
+    } else if (!item.maxSelected || selected.length < item.maxSelected) {
+      onChange([...selected, optionValue]);
+    }
+  };
+  return (
+    <View style={[styles.row, styles.wrap]}>
+      {item.options.map((option) => (
+        <TouchableOpacity
+          key={option.value}
+          style={[
+            styles.tag,
+            selected.includes(option.value) && styles.optionSelected,
+          ]}
+          onPress={() => toggle(option.value)}
+        >
+          <Text>{option.label}</Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  item: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  row: {
+    flexDirection: "row",
+    marginTop: 8,
+    justifyContent: "space-between",
+  },
+  wrap: {
+    flexWrap: "wrap",
+    justifyContent: "flex-start",
+  },
+  option: {
+    flex: 1,
+    marginHorizontal: 4,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+    alignItems: "center",
+  },
+  optionSelected: {
+    backgroundColor: "#8fd19e",
+    borderColor: "#4caf50",
+  },
+  optionText: {
+    fontSize: 16,
+  },
+  tag: {
+    marginRight: 8,
+    marginBottom: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+  scaleLabels: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 4,
+    paddingHorizontal: 4,
+  },
+  hint: {
+    fontSize: 12,
+    color: "#666",
+  },
+  input: {
+    marginTop: 8,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#ccc",
+  },
+});
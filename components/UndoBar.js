@@ -0,0 +1,70 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { View, Text, TouchableOpacity, StyleSheet } from "react-native";
+
+import {
+  DELETION_KINDS,
+  getDeletedLogIds,
+  getPendingDeletions,
+  subscribePendingDeletions,
+  undoDeletion,
+} from "../lib/logActions";
+
+// 等待中的刪除 [{ logId, kind }]
+export const usePendingDeletions = () => {
+  const [pending, setPending] = useState(getPendingDeletions);
+  useEffect(() => {
+    setPending(getPendingDeletions());
+    return subscribePendingDeletions(setPending);
+  }, []);
+  return pending;
+};
+
+// 已刪除或正在等待刪除（還可以復原）的紀錄 id；列表不顯示這些紀錄
+export const useDeletedLogIds = () => {
+  const pending = usePendingDeletions();
+  return useMemo(() => getDeletedLogIds(), [pending]);
+};
+
+// 剛刪除時出現在畫面底部的「復原」列，刪除真正執行後自動消失
+export default function UndoBar({ style }) {
+  const pending = usePendingDeletions();
+  const latest = pending[pending.length - 1];
+  if (!latest) return null;
+
+  return (
+    <View style={[styles.bar, style]}>
+      <Text style={styles.text}>
+        {latest.kind === DELETION_KINDS.VIDEO ? "已刪除影片" : "已刪除紀錄"}
+        {pending.length > 1 ? `（共 ${pending.length} 項）` : ""}
+      </Text>
+      <TouchableOpacity onPress={() => undoDeletion(latest.logId)}>
+        <Text style={styles.action}>復原</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  bar: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderRadius: 8,
+    backgroundColor: "#333",
+  },
+  text: {
+    color: "#fff",
+    fontSize: 14,
+  },
+  action: {
+    color: "#8fd19e",
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+});
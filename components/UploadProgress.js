@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from "react";
+import { View, Text, StyleSheet } from "react-native";
+
+import { OUTBOX_STATUS, subscribeUploadProgress } from "../lib/uploadQueue";
+
+const formatMb = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+// 單筆紀錄的影片上傳進度條
+// 平常用 outbox 存的 offset（中斷後也看得到傳到哪裡），上傳中再即時更新
+export default function UploadProgress({ log, style }) {
+  const [live, setLive] = useState(null);
+
+  // 畫面重新讀取紀錄（例如這一輪上傳結束）時改回用 outbox 的進度
+  useEffect(() => {
+    setLive(null);
+    return subscribeUploadProgress((event) => {
+      if (event.logId === log.id) setLive(event);
+    });
+  }, [log.id, log.syncStatus, log.uploadOffset]);
+
+  const total = live?.total ?? log.uploadSize;
+  const sent = live?.sent ?? log.uploadOffset ?? 0;
+  if (
+    !log.videoUri ||
+    !total ||
+    log.confirmedAt ||
+    log.syncStatus === OUTBOX_STATUS.SYNCED ||
+    log.syncStatus === OUTBOX_STATUS.LEFT_STUDY
+  ) {
+    return null;
+  }
+
+  const percent = Math.min(100, Math.floor((sent / total) * 100));
+  const active = log.syncStatus === OUTBOX_STATUS.UPLOADING || live !== null;
+
+  return (
+    <View style={[styles.container, style]}>
+      <View style={styles.track}>
+        <View style={[styles.bar, { width: `${percent}%` }]} />
+      </View>
+      <Text style={styles.label}>
+        {active ? "影片上傳中" : "影片上傳暫停，連上網路後會從這裡繼續"}：{percent}%（
+        {formatMb(sent)} / {formatMb(total)} MB）
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 4,
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#e5e5e5",
+    overflow: "hidden",
+  },
+  bar: {
+    height: 6,
+    backgroundColor: "#4a90e2",
+  },
+  label: {
+    marginTop: 2,
+    fontSize: 11,
+    color: "#666",
+  },
+});
@@ -0,0 +1,59 @@
+import React, { useEffect, useState } from "react";
+import { View, Text, Image, TouchableOpacity, StyleSheet } from "react-native";
+
+import { getThumbnail } from "../lib/thumbnails";
+
+// 紀錄的 vlog 縮圖；還沒產生好（或 Web）時顯示播放符號
+export default function VideoThumbnail({ log, onPress, style }) {
+  const [uri, setUri] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setUri(null);
+    getThumbnail(log).then((result) => {
+      if (!cancelled) setUri(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [log.clientId, log.videoUri]);
+
+  return (
+    <TouchableOpacity
+      style={[styles.frame, style]}
+      onPress={onPress}
+      disabled={!onPress}
+    >
+      {uri ? (
+        <Image source={{ uri }} style={StyleSheet.absoluteFill} resizeMode="cover" />
+      ) : null}
+      <View style={styles.badge}>
+        <Text style={styles.play}>▶</Text>
+      </View>
+    </TouchableOpacity>
+  );
+}
+
+const styles = StyleSheet.create({
+  frame: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    overflow: "hidden",
+    backgroundColor: "#222",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  badge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  play: {
+    color: "#fff",
+    fontSize: 12,
+  },
+});
@@ -0,0 +1,65 @@
+import { generateEsmDay } from "../esmSchedule";
+
+const DAY = new Date(2026, 9, 12);
+
+const hhmm = (times) =>
+  times.map(
+    (t) => `${String(t.getHours()).padStart(2, "0")}:${String(t.getMinutes()).padStart(2, "0")}`
+  );
+
+// 依序回傳固定的亂數
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+describe("generateEsmDay", () => {
+  const settings = {
+    windows: [
+      { start: "07:00", end: "10:00" },
+      { start: "12:00", end: "14:00" },
+    ],
+    minGapMinutes: 60,
+  };
+
+  it("picks one time per window", () => {
+    expect(hhmm(generateEsmDay(DAY, settings, { random: sequence(0, 0.999) }))).toEqual([
+      "07:00",
+      "14:00",
+    ]);
+  });
+
+  it("draws only from the part of a window outside quiet hours", () => {
+    const quietHours = { enabled: true, start: "22:00", end: "09:00" };
+    // 07:00–10:00 只剩 09:00–10:00 可以排
+    expect(
+      hhmm(generateEsmDay(DAY, settings, { random: sequence(0), quietHours }))
+    ).toEqual(["09:00", "12:00"]);
+    expect(
+      hhmm(generateEsmDay(DAY, settings, { random: sequence(0.999), quietHours }))
+    ).toEqual(["10:00", "14:00"]);
+
+    // 不會因為隨機時間落在勿擾時段就整個時間窗跳過
+    for (const value of [0, 0.1, 0.3, 0.5, 0.7, 0.9]) {
+      const times = generateEsmDay(DAY, settings, { random: sequence(value), quietHours });
+      expect(times).toHaveLength(2);
+      expect(times[0].getHours()).toBeGreaterThanOrEqual(9);
+    }
+  });
+
+  it("skips a window that lies entirely in quiet hours", () => {
+    const quietHours = { enabled: true, start: "06:00", end: "11:00" };
+    expect(
+      hhmm(generateEsmDay(DAY, settings, { random: sequence(0), quietHours }))
+    ).toEqual(["12:00"]);
+  });
+
+  it("keeps the minimum gap between prompts", () => {
+    const times = generateEsmDay(
+      DAY,
+      { ...settings, windows: [{ start: "09:00", end: "10:00" }, { start: "09:30", end: "11:00" }] },
+      { random: sequence(0.999, 0) }
+    );
+    expect(hhmm(times)).toEqual(["10:00", "11:00"]);
+  });
+});
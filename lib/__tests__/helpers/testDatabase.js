@@ -0,0 +1,63 @@
+// 測試用的 SQLite：用 sql.js（純 WebAssembly）實作 App 用到的 expo-sqlite 非同步 API，
+// 讓 migration 與 repository 可以直接在 Node 跑真正的 SQL
+// 用 asm.js 版本：react-native 的 jest setup 把 window 設成 global，wasm 版本會誤判成瀏覽器
+import initSqlJs from "sql.js/dist/sql-asm.js";
+
+// expo-sqlite 的參數可以是展開的多個值，也可以是一個陣列
+const toParams = (params) =>
+  params.length === 1 && Array.isArray(params[0]) ? params[0] : params;
+
+export const openTestDatabase = async () => {
+  const SQL = await initSqlJs();
+  const raw = new SQL.Database();
+
+  const all = (sql, params) => {
+    const statement = raw.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+
+  const db = {
+    execAsync: async (sql) => {
+      raw.exec(sql);
+    },
+    runAsync: async (sql, ...params) => {
+      raw.run(sql, toParams(params));
+      const changes = raw.getRowsModified();
+      const [{ id }] = all("SELECT last_insert_rowid() AS id", []);
+      return { lastInsertRowId: id, changes };
+    },
+    getAllAsync: async (sql, ...params) => all(sql, toParams(params)),
+    getFirstAsync: async (sql, ...params) => all(sql, toParams(params))[0] ?? null,
+    withTransactionAsync: async (task) => {
+      raw.exec("BEGIN");
+      try {
+        await task();
+        raw.exec("COMMIT");
+      } catch (e) {
+        raw.exec("ROLLBACK");
+        throw e;
+      }
+    },
+    withExclusiveTransactionAsync: async (task) => {
+      raw.exec("BEGIN EXCLUSIVE");
+      try {
+        await task(db);
+        raw.exec("COMMIT");
+      } catch (e) {
+        raw.exec("ROLLBACK");
+        throw e;
+      }
+    },
+    closeAsync: async () => {
+      raw.close();
+    },
+  };
+  return db;
+};
@@ -0,0 +1,265 @@
+import {
+  createMemoryStorage,
+  createSqliteLogRepository,
+  createStorageLogRepository,
+} from "../logRepository";
+import { runMigrations } from "../migrations";
+import { openTestDatabase } from "./helpers/testDatabase";
+
+jest.mock("expo-crypto", () => ({ randomUUID: () => require("crypto").randomUUID() }));
+
+// 依時間先後建立；id 會是 1..6
+const FIXTURES = [
+  { clientId: "c1", timestamp: "2026-09-01T08:00:00.000Z", mood: 1, videoUri: "file:///1.mp4", answers: { mood: 1, activity: "通勤" } },
+  { clientId: "c2", timestamp: "2026-09-02T12:00:00.000Z", mood: 3, videoUri: "", answers: { mood: 3 } },
+  { clientId: "c3", timestamp: "2026-09-15T21:00:00.000Z", mood: 5, videoUri: "file:///3.mp4", answers: { mood: 5, activity: "運動" } },
+  { clientId: "c4", timestamp: "2026-10-01T09:30:00.000Z", mood: 2, videoUri: null, answers: null },
+  { clientId: "c5", timestamp: "2026-10-05T18:00:00.000Z", mood: 5, videoUri: "file:///5.mp4", answers: { mood: 5, activity: "通勤" } },
+  { clientId: "c6", timestamp: "2026-10-10T23:59:00.000Z", mood: 4, videoUri: "", answers: { mood: 4 } },
+];
+
+const ids = (logs) => logs.map((log) => log.id);
+
+const IMPLEMENTATIONS = [
+  ["memory storage", async () => createStorageLogRepository(createMemoryStorage())],
+  [
+    "SQLite",
+    async () => {
+      const db = await openTestDatabase();
+      await runMigrations(db);
+      return createSqliteLogRepository(db);
+    },
+  ],
+];
+
+describe.each(IMPLEMENTATIONS)("log repository (%s)", (_name, open) => {
+  let repository;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    repository = await open();
+    for (const log of FIXTURES) {
+      await repository.create(log);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("create", () => {
+    it("assigns increasing ids and fills missing fields with null", async () => {
+      const created = await repository.create({
+        clientId: "c7",
+        timestamp: "2026-10-11T00:00:00.000Z",
+        mood: 3,
+        ignored: "not a log field",
+      });
+      expect(created).toMatchObject({
+        id: 7,
+        clientId: "c7",
+        mood: 3,
+        videoUri: null,
+        lat: null,
+        answers: null,
+        confirmedAt: null,
+      });
+      expect(created).not.toHaveProperty("ignored");
+    });
+  });
+
+  describe("list", () => {
+    it("returns the newest logs first, up to the limit", async () => {
+      expect(ids(await repository.list({ limit: 3 }))).toEqual([6, 5, 4]);
+    });
+
+    it("returns every matching log when limit is null", async () => {
+      expect(ids(await repository.list({ limit: null }))).toEqual([6, 5, 4, 3, 2, 1]);
+      expect(
+        ids(await repository.list({ limit: null, filters: { moods: [5] } }))
+      ).toEqual([5, 3]);
+    });
+  });
+
+  describe("getById", () => {
+    it("returns the log with its answers as an object", async () => {
+      expect(await repository.getById(3)).toMatchObject({
+        id: 3,
+        clientId: "c3",
+        answers: { mood: 5, activity: "運動" },
+      });
+    });
+
+    it("returns null for an unknown id", async () => {
+      expect(await repository.getById(99)).toBeNull();
+    });
+  });
+
+  describe("paginate", () => {
+    it("walks every page with the cursor", async () => {
+      const first = await repository.paginate({ limit: 4 });
+      expect(ids(first.items)).toEqual([6, 5, 4, 3]);
+      expect(first.nextCursor).toBe(3);
+
+      const second = await repository.paginate({ cursor: first.nextCursor, limit: 4 });
+      expect(ids(second.items)).toEqual([2, 1]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it("has no next page when the last page is exactly full", async () => {
+      const page = await repository.paginate({ cursor: 3, limit: 2 });
+      expect(ids(page.items)).toEqual([2, 1]);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    it("filters by mood", async () => {
+      const page = await repository.paginate({ filters: { moods: [1, 2] } });
+      expect(ids(page.items)).toEqual([4, 1]);
+    });
+
+    it("filters by an inclusive date range", async () => {
+      const page = await repository.paginate({
+        filters: { from: "2026-09-02T12:00:00.000Z", to: "2026-10-01T09:30:00.000Z" },
+      });
+      expect(ids(page.items)).toEqual([4, 3, 2]);
+    });
+
+    it("filters by whether the log has a video", async () => {
+      expect(ids((await repository.paginate({ filters: { hasVideo: true } })).items)).toEqual([
+        5, 3, 1,
+      ]);
+      expect(ids((await repository.paginate({ filters: { hasVideo: false } })).items)).toEqual([
+        6, 4, 2,
+      ]);
+    });
+
+    it("searches timestamps and answers", async () => {
+      expect(ids((await repository.paginate({ filters: { query: "通勤" } })).items)).toEqual([
+        5, 1,
+      ]);
+      expect(ids((await repository.paginate({ filters: { query: "2026-09" } })).items)).toEqual([
+        3, 2, 1,
+      ]);
+      expect(ids((await repository.paginate({ filters: { query: "  " } })).items)).toHaveLength(6);
+    });
+
+    it("combines filters with the cursor", async () => {
+      const filters = { hasVideo: true, query: "通勤" };
+      const first = await repository.paginate({ limit: 1, filters });
+      expect(ids(first.items)).toEqual([5]);
+      const second = await repository.paginate({ cursor: first.nextCursor, limit: 1, filters });
+      expect(ids(second.items)).toEqual([1]);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+
+  describe("adjacent", () => {
+    it("finds the next older and newer log", async () => {
+      expect((await repository.adjacent(4)).id).toBe(3);
+      expect((await repository.adjacent(4, { direction: "newer" })).id).toBe(5);
+    });
+
+    it("skips logs that do not match the filters", async () => {
+      const filters = { hasVideo: true };
+      expect((await repository.adjacent(5, { filters })).id).toBe(3);
+      expect((await repository.adjacent(1, { direction: "newer", filters })).id).toBe(3);
+    });
+
+    it("returns null at either end", async () => {
+      expect(await repository.adjacent(1)).toBeNull();
+      expect(await repository.adjacent(6, { direction: "newer" })).toBeNull();
+    });
+  });
+
+  describe("update", () => {
+    it("changes only the given fields and keeps the clientId", async () => {
+      const updated = await repository.update(2, {
+        mood: 4,
+        answers: { mood: 4 },
+        editedAt: "2026-10-12T10:00:00.000Z",
+        clientId: "changed",
+      });
+      expect(updated).toMatchObject({
+        id: 2,
+        clientId: "c2",
+        mood: 4,
+        answers: { mood: 4 },
+        editedAt: "2026-10-12T10:00:00.000Z",
+        timestamp: FIXTURES[1].timestamp,
+      });
+      expect(await repository.getById(2)).toMatchObject({ mood: 4, clientId: "c2" });
+    });
+
+    it("returns null for an unknown id", async () => {
+      expect(await repository.update(99, { mood: 1 })).toBeNull();
+    });
+  });
+
+  describe("delete and clear", () => {
+    it("deletes a single log", async () => {
+      await repository.delete(3);
+      expect(await repository.getById(3)).toBeNull();
+      expect(ids(await repository.list({ limit: null }))).toEqual([6, 5, 4, 2, 1]);
+    });
+
+    it("clears every log without reusing ids", async () => {
+      await repository.clear();
+      expect(await repository.list({ limit: null })).toEqual([]);
+      expect((await repository.create({ clientId: "c7" })).id).toBe(7);
+    });
+  });
+});
+
+describe("createStorageLogRepository", () => {
+  it("keeps logs in the given storage", async () => {
+    const storage = createMemoryStorage();
+    await createStorageLogRepository(storage).create({ clientId: "c1", mood: 2 });
+
+    const reopened = createStorageLogRepository(storage);
+    expect(await reopened.getById(1)).toMatchObject({ clientId: "c1", mood: 2 });
+  });
+
+  it("starts empty when the stored data is corrupted", async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    const repository = createStorageLogRepository(
+      createMemoryStorage({ "emogo.logs": "{not json" })
+    );
+    expect(await repository.list()).toEqual([]);
+    jest.restoreAllMocks();
+  });
+});
+
+describe("createSqliteLogRepository", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("queues every new log for upload in the same write", async () => {
+    const db = await openTestDatabase();
+    await runMigrations(db);
+    const repository = createSqliteLogRepository(db);
+
+    const created = await repository.create({ clientId: "c1", mood: 2 });
+    expect(await db.getAllAsync("SELECT logId, status FROM outbox")).toEqual([
+      { logId: created.id, status: "pending" },
+    ]);
+    expect((await repository.getById(created.id)).syncStatus).toBe("pending");
+  });
+
+  it("writes neither the log nor the outbox row when the insert fails", async () => {
+    const db = await openTestDatabase();
+    await runMigrations(db);
+    const repository = createSqliteLogRepository(db);
+    await db.execAsync(`
+      CREATE TRIGGER reject_outbox BEFORE INSERT ON outbox
+      BEGIN SELECT RAISE(ABORT, 'outbox is full'); END;
+    `);
+
+    await expect(repository.create({ clientId: "c1" })).rejects.toThrow("outbox is full");
+    expect(await repository.list({ limit: null })).toEqual([]);
+  });
+});
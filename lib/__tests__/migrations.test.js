@@ -0,0 +1,172 @@
+import { randomUUID } from "crypto";
+
+import {
+  LATEST_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  runMigrations,
+} from "../migrations";
+import { openTestDatabase } from "./helpers/testDatabase";
+
+jest.mock("expo-crypto", () => ({ randomUUID: () => require("crypto").randomUUID() }));
+
+// 最初版本（v1）的 logs 表與幾筆真實形狀的紀錄
+const V1_ROWS = [
+  { timestamp: "2025-11-01T08:00:00.000Z", mood: 4, videoUri: "file:///a.mov", lat: 25.03, lng: 121.56 },
+  { timestamp: "2025-11-02T21:30:00.000Z", mood: 2, videoUri: "", lat: null, lng: null },
+  { timestamp: "2025-11-03T12:15:00.000Z", mood: 5, videoUri: "file:///c.mov", lat: 24.99, lng: 121.3 },
+];
+
+const openV1Database = async () => {
+  const db = await openTestDatabase();
+  await db.execAsync(`
+    CREATE TABLE logs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      timestamp TEXT,
+      mood INTEGER,
+      videoUri TEXT,
+      lat REAL,
+      lng REAL
+    );
+    PRAGMA user_version = 1;
+  `);
+  for (const row of V1_ROWS) {
+    await db.runAsync(
+      "INSERT INTO logs (timestamp, mood, videoUri, lat, lng) VALUES (?, ?, ?, ?, ?)",
+      row.timestamp,
+      row.mood,
+      row.videoUri,
+      row.lat,
+      row.lng
+    );
+  }
+  return db;
+};
+
+const columnsOf = async (db, table) =>
+  (await db.getAllAsync(`PRAGMA table_info(${table});`)).map((c) => c.name);
+
+describe("runMigrations", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("upgrades a v1 database to the latest version", async () => {
+    const db = await openV1Database();
+
+    expect(await runMigrations(db)).toBe(LATEST_VERSION);
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION);
+
+    const logColumns = await columnsOf(db, "logs");
+    for (const column of [
+      "clientId",
+      "confirmedAt",
+      "promptId",
+      "answers",
+      "questionnaireVersion",
+      "videoSize",
+      "videoChecksum",
+      "locationPrivacy",
+      "locationLabel",
+      "editedAt",
+    ]) {
+      expect(logColumns).toContain(column);
+    }
+    expect(await columnsOf(db, "outbox")).toEqual(
+      expect.arrayContaining(["logId", "status", "uploadId", "uploadOffset"])
+    );
+    for (const table of ["settings", "prompts", "samples", "log_changes"]) {
+      expect((await columnsOf(db, table)).length).toBeGreaterThan(0);
+    }
+  });
+
+  it("keeps the rows that were already there", async () => {
+    const db = await openV1Database();
+    await runMigrations(db);
+
+    const rows = await db.getAllAsync("SELECT * FROM logs ORDER BY id ASC");
+    expect(rows).toHaveLength(V1_ROWS.length);
+    rows.forEach((row, index) => {
+      expect(row).toMatchObject({ id: index + 1, ...V1_ROWS[index] });
+      expect(row.answers).toBeNull();
+    });
+
+    // 舊紀錄補上了不重複的 clientId，之後才能和後端對帳
+    const clientIds = rows.map((row) => row.clientId);
+    expect(clientIds.every(Boolean)).toBe(true);
+    expect(new Set(clientIds).size).toBe(rows.length);
+  });
+
+  it("queues the old rows for upload", async () => {
+    const db = await openV1Database();
+    await runMigrations(db);
+
+    expect(
+      await db.getAllAsync("SELECT logId, status FROM outbox ORDER BY logId ASC")
+    ).toEqual(V1_ROWS.map((_row, index) => ({ logId: index + 1, status: "pending" })));
+  });
+
+  it("does not touch logs that are already in the outbox", async () => {
+    const db = await openV1Database();
+    await runMigrations(db, MIGRATIONS.slice(0, -1));
+    await db.runAsync(
+      "INSERT INTO outbox (logId, status, attempts) VALUES (?, ?, ?)",
+      2,
+      "synced",
+      1
+    );
+
+    await runMigrations(db);
+    expect(
+      await db.getAllAsync("SELECT logId, status, attempts FROM outbox ORDER BY logId ASC")
+    ).toEqual([
+      { logId: 1, status: "pending", attempts: 0 },
+      { logId: 2, status: "synced", attempts: 1 },
+      { logId: 3, status: "pending", attempts: 0 },
+    ]);
+  });
+
+  it("does nothing when the database is already up to date", async () => {
+    const db = await openV1Database();
+    await runMigrations(db);
+    const before = await db.getAllAsync("SELECT * FROM logs ORDER BY id ASC");
+
+    expect(await runMigrations(db)).toBe(LATEST_VERSION);
+    expect(await db.getAllAsync("SELECT * FROM logs ORDER BY id ASC")).toEqual(before);
+  });
+
+  it("refuses to downgrade a database from a newer app", async () => {
+    const db = await openV1Database();
+    await runMigrations(db);
+    await db.execAsync(`PRAGMA user_version = ${LATEST_VERSION + 1};`);
+    const before = await db.getAllAsync("SELECT * FROM logs ORDER BY id ASC");
+
+    await expect(runMigrations(db)).rejects.toThrow(/newer than this app/);
+    expect(await getSchemaVersion(db)).toBe(LATEST_VERSION + 1);
+    expect(await db.getAllAsync("SELECT * FROM logs ORDER BY id ASC")).toEqual(before);
+  });
+
+  it("rolls back a migration that fails halfway", async () => {
+    const db = await openV1Database();
+    const migrations = [
+      { version: 1, name: "v1", up: async () => {} },
+      {
+        version: 2,
+        name: "broken",
+        up: async (txn) => {
+          await txn.execAsync("ALTER TABLE logs ADD COLUMN note TEXT;");
+          await txn.runAsync("UPDATE logs SET note = ?", randomUUID());
+          throw new Error("boom");
+        },
+      },
+    ];
+
+    await expect(runMigrations(db, migrations)).rejects.toThrow("boom");
+    expect(await getSchemaVersion(db)).toBe(1);
+    expect(await columnsOf(db, "logs")).not.toContain("note");
+  });
+});
@@ -0,0 +1,184 @@
+import {
+  dailyMoodStats,
+  dailyPromptCompletion,
+  promptSlotFor,
+  summarizeMood,
+} from "../moodStats";
+
+// 「一天」以當地時間計算，fixture 也用當地時間建立，不受測試機器時區影響
+const at = (day, hour, minute = 0) =>
+  new Date(2026, 9, day, hour, minute).toISOString();
+
+const TODAY = new Date(2026, 9, 10, 22, 0); // 2026-10-10 22:00
+
+// 2026-10-04 ~ 2026-10-10 是最近 7 天
+const FIXTURE_LOGS = [
+  // 範圍外（前一天與太舊的紀錄）
+  { timestamp: at(3, 23, 59), mood: 1 },
+  { timestamp: at(1, 10), mood: 1 },
+  // 10-04：09 時段兩筆只算一次、15 時段一筆
+  { timestamp: at(4, 9, 5), mood: 2 },
+  { timestamp: at(4, 10, 30), mood: 4 },
+  { timestamp: at(4, 15, 0), mood: 3 },
+  // 10-06：比第一個提醒還早，不算任何時段
+  { timestamp: at(6, 7, 0), mood: 5 },
+  // 10-09：三個時段都有
+  { timestamp: at(9, 9, 0), mood: 4 },
+  { timestamp: at(9, 16, 0), mood: 4 },
+  { timestamp: at(9, 21, 30), mood: 5, promptScheduledAt: at(9, 21, 0) },
+  // 10-10：12:00 那筆沒有心情（問卷沒有 mood 題目），只有平均不算
+  { timestamp: at(10, 0, 0), mood: 3 },
+  { timestamp: at(10, 12, 0), mood: null },
+  // 時間不合法的資料不列入
+  { timestamp: "not a date", mood: 3 },
+];
+
+const dayOf = (summary, date) => summary.series.find((d) => d.date === date);
+
+describe("summarizeMood", () => {
+  it("buckets logs into the last rangeDays local days", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, { rangeDays: 7, today: TODAY });
+
+    expect(summary.series.map((d) => d.date)).toEqual([
+      "2026-10-04",
+      "2026-10-05",
+      "2026-10-06",
+      "2026-10-07",
+      "2026-10-08",
+      "2026-10-09",
+      "2026-10-10",
+    ]);
+    // 10-03 23:59 與 10-01 不在範圍內；時間不合法的也不算
+    expect(summary.logCount).toBe(9);
+    expect(summary.series.map((d) => d.count)).toEqual([3, 0, 1, 0, 0, 3, 2]);
+  });
+
+  it("averages mood per day and over the range", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, { rangeDays: 7, today: TODAY });
+
+    expect(dayOf(summary, "2026-10-04")).toMatchObject({ count: 3, mean: 3 });
+    expect(dayOf(summary, "2026-10-04").variance).toBeCloseTo(2 / 3);
+    expect(dayOf(summary, "2026-10-09").mean).toBeCloseTo(13 / 3);
+    expect(dayOf(summary, "2026-10-05")).toMatchObject({
+      count: 0,
+      mean: null,
+      variance: null,
+    });
+    // 10-10 的兩筆只有一筆有心情
+    expect(dayOf(summary, "2026-10-10")).toMatchObject({ count: 2, mean: 3, variance: 0 });
+    expect(summary.mean).toBeCloseTo(30 / 8);
+  });
+
+  it("counts each prompt slot at most once per day", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, { rangeDays: 7, today: TODAY });
+
+    expect(dayOf(summary, "2026-10-04")).toMatchObject({
+      promptsCompleted: 2,
+      promptsExpected: 3,
+    });
+    expect(dayOf(summary, "2026-10-06").promptsCompleted).toBe(0);
+    expect(dayOf(summary, "2026-10-09").promptsCompleted).toBe(3);
+    expect(dayOf(summary, "2026-10-10").promptsCompleted).toBe(1);
+    expect(summary.promptsCompleted).toBe(6);
+    expect(summary.promptsExpected).toBe(21);
+    expect(summary.completionRate).toBeCloseTo(6 / 21);
+  });
+
+  it("uses the given prompt hours", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, {
+      rangeDays: 7,
+      today: TODAY,
+      promptHours: [9.5, 20],
+    });
+
+    // 10-04 09:05 還沒到 09:30，10:30 才算進 9.5 時段
+    expect(dayOf(summary, "2026-10-04").promptsCompleted).toBe(1);
+    expect(dayOf(summary, "2026-10-09").promptsCompleted).toBe(1 + 1);
+    expect(summary.promptsExpected).toBe(14);
+  });
+
+  it("takes each day's prompts from a schedule function", () => {
+    // 只有 10-09 有兩個提醒（例如 ESM 當天排了 09:00 與 20:00）
+    const promptHours = (date) => (date.getDate() === 9 ? [9, 20] : []);
+    const summary = summarizeMood(FIXTURE_LOGS, { rangeDays: 7, today: TODAY, promptHours });
+
+    expect(dayOf(summary, "2026-10-09")).toMatchObject({
+      promptsCompleted: 2,
+      promptsExpected: 2,
+    });
+    expect(dayOf(summary, "2026-10-04")).toMatchObject({
+      promptsCompleted: 0,
+      promptsExpected: 0,
+    });
+    expect(summary.promptsExpected).toBe(2);
+    expect(summary.completionRate).toBe(1);
+  });
+
+  it("reports streaks and prompt response latency", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, { rangeDays: 7, today: TODAY });
+
+    // 10-09、10-10 連續；10-03、10-04 連續
+    expect(summary.streaks).toEqual({ current: 2, longest: 2 });
+    expect(summary.promptResponses).toEqual({
+      promptedCount: 1,
+      meanLatencyMinutes: 30,
+    });
+  });
+
+  it("counts logs without a mood toward completion and streaks", () => {
+    // 研究的問卷沒有 mood 題目：每筆的 mood 都是 null
+    const logs = FIXTURE_LOGS.map((log) => ({ ...log, mood: null }));
+    const summary = summarizeMood(logs, { rangeDays: 7, today: TODAY });
+
+    expect(summary.logCount).toBe(9);
+    expect(summary.promptsCompleted).toBe(6);
+    expect(summary.streaks).toEqual({ current: 2, longest: 2 });
+    expect(summary.promptResponses.promptedCount).toBe(1);
+    expect(summary.mean).toBeNull();
+    expect(summary.series.every((d) => d.mean === null)).toBe(true);
+  });
+
+  it("handles no logs at all", () => {
+    const summary = summarizeMood([], { rangeDays: 30, today: TODAY });
+
+    expect(summary.series).toHaveLength(30);
+    expect(summary.series.every((d) => d.count === 0 && d.mean === null)).toBe(true);
+    expect(summary).toMatchObject({
+      logCount: 0,
+      mean: null,
+      variance: null,
+      promptsCompleted: 0,
+      promptsExpected: 90,
+      completionRate: 0,
+      streaks: { current: 0, longest: 0 },
+      promptResponses: { promptedCount: 0, meanLatencyMinutes: null },
+    });
+  });
+
+  it("does not divide by zero without prompt hours", () => {
+    const summary = summarizeMood(FIXTURE_LOGS, {
+      rangeDays: 7,
+      today: TODAY,
+      promptHours: [],
+    });
+    expect(summary.promptsExpected).toBe(0);
+    expect(summary.completionRate).toBe(0);
+  });
+});
+
+describe("daily helpers", () => {
+  it("groups daily stats by local date", () => {
+    expect(dailyMoodStats(FIXTURE_LOGS)["2026-10-09"]).toMatchObject({ count: 3 });
+    expect(dailyPromptCompletion(FIXTURE_LOGS)["2026-10-01"]).toEqual({
+      completed: 1,
+      expected: 3,
+    });
+  });
+
+  it("assigns a log to the latest prompt that has already passed", () => {
+    expect(promptSlotFor(new Date(2026, 9, 1, 8, 59))).toBeNull();
+    expect(promptSlotFor(new Date(2026, 9, 1, 9, 0))).toBe(9);
+    expect(promptSlotFor(new Date(2026, 9, 1, 20, 59))).toBe(15);
+    expect(promptSlotFor(new Date(2026, 9, 1, 23, 0), [21, 9])).toBe(21);
+  });
+});
@@ -0,0 +1,154 @@
+import { stripAudioTracks } from "../mp4Audio";
+
+// ---------- 組出一個最小的 MP4 ----------
+
+const u32 = (n) => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, n);
+  return bytes;
+};
+
+const concat = (...parts) => {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+};
+
+const ascii = (text) => Uint8Array.from(text, (c) => c.charCodeAt(0));
+
+const box = (type, ...content) => {
+  const body = concat(...content);
+  return concat(u32(body.length + 8), ascii(type), body);
+};
+
+// full box：version / flags 都是 0
+const fullBox = (type, ...content) => box(type, u32(0), ...content);
+
+// 一個軌：chunks 是 [[sample 大小, ...], ...]，offsets 是每個 chunk 在檔案裡的位置
+const trak = (handler, chunks, offsets) =>
+  box(
+    "trak",
+    box(
+      "mdia",
+      fullBox("hdlr", u32(0), ascii(handler), u32(0), u32(0), u32(0)),
+      box(
+        "minf",
+        box(
+          "stbl",
+          fullBox(
+            "stsz",
+            u32(0),
+            u32(chunks.flat().length),
+            ...chunks.flat().map(u32)
+          ),
+          fullBox(
+            "stsc",
+            u32(chunks.length),
+            ...chunks.flatMap((samples, i) => [u32(i + 1), u32(samples.length), u32(1)])
+          ),
+          fullBox("stco", u32(offsets.length), ...offsets.map(u32))
+        )
+      )
+    )
+  );
+
+const VIDEO_CHUNKS = [[6, 4], [5]];
+const AUDIO_CHUNKS = [[3, 3, 2], [4]];
+
+// 影像和聲音交錯存放在 mdat：V(10) A(8) V(5) A(4)
+const buildMp4 = ({ moovFirst = false } = {}) => {
+  const ftyp = box("ftyp", ascii("isom"), u32(0), ascii("isom"));
+  const payload = concat(
+    new Uint8Array(10).fill(0x56),
+    new Uint8Array(8).fill(0x41),
+    new Uint8Array(5).fill(0x56),
+    new Uint8Array(4).fill(0x41)
+  );
+  const moovFor = (dataStart) =>
+    box(
+      "moov",
+      fullBox("mvhd", new Uint8Array(96)),
+      trak("vide", VIDEO_CHUNKS, [dataStart, dataStart + 18]),
+      trak("soun", AUDIO_CHUNKS, [dataStart + 10, dataStart + 23])
+    );
+
+  if (!moovFirst) {
+    const dataStart = ftyp.length + 8;
+    return concat(ftyp, box("mdat", payload), moovFor(dataStart));
+  }
+  // moov 大小不受位移數值影響，先算一次長度
+  const moovLength = moovFor(0).length;
+  const dataStart = ftyp.length + moovLength + 8;
+  return concat(ftyp, moovFor(dataStart), box("mdat", payload));
+};
+
+const memoryFile = (bytes) => ({
+  size: bytes.length,
+  read: (offset, length) => bytes.slice(offset, offset + length),
+  write: (offset, data) => bytes.set(data, offset),
+});
+
+const indexOfType = (bytes, type) => {
+  const text = Array.from(bytes, (b) => String.fromCharCode(b)).join("");
+  const indexes = [];
+  for (let i = text.indexOf(type); i !== -1; i = text.indexOf(type, i + 1)) indexes.push(i);
+  return indexes;
+};
+
+const mdatPayload = (bytes) => {
+  const [at] = indexOfType(bytes, "mdat");
+  return Array.from(bytes.subarray(at + 4, at + 4 + 27));
+};
+
+describe("stripAudioTracks", () => {
+  it.each([
+    ["moov after mdat", false],
+    ["moov before mdat", true],
+  ])("zeroes the audio samples and hides the audio track (%s)", (_name, moovFirst) => {
+    const bytes = buildMp4({ moovFirst });
+    const original = bytes.slice();
+
+    expect(stripAudioTracks(memoryFile(bytes))).toBe(1);
+
+    // 檔案大小不變，影像資料原封不動，聲音資料全是 0
+    expect(bytes.length).toBe(original.length);
+    expect(mdatPayload(bytes)).toEqual([
+      ...Array(10).fill(0x56),
+      ...Array(8).fill(0),
+      ...Array(5).fill(0x56),
+      ...Array(4).fill(0),
+    ]);
+
+    // 只剩影像軌；音軌變成同樣大小的 free box
+    expect(indexOfType(bytes, "trak")).toHaveLength(1);
+    expect(indexOfType(bytes, "soun")).toHaveLength(0);
+    expect(indexOfType(bytes, "vide")).toHaveLength(1);
+    expect(indexOfType(bytes, "free")).toHaveLength(1);
+  });
+
+  it("leaves a file without audio untouched", () => {
+    const bytes = buildMp4();
+    stripAudioTracks(memoryFile(bytes));
+    const once = bytes.slice();
+
+    const file = memoryFile(bytes);
+    file.write = jest.fn();
+    expect(stripAudioTracks(file)).toBe(0);
+    expect(file.write).not.toHaveBeenCalled();
+    expect(bytes).toEqual(once);
+  });
+
+  it("rejects files it cannot read", () => {
+    expect(() => stripAudioTracks(memoryFile(new Uint8Array(4)))).toThrow(
+      /Not a supported MP4\/MOV file/
+    );
+    const noMoov = box("ftyp", ascii("isom"));
+    expect(() => stripAudioTracks(memoryFile(noMoov))).toThrow(/no moov box/);
+    const broken = concat(u32(999), ascii("mdat"), new Uint8Array(8));
+    expect(() => stripAudioTracks(memoryFile(broken))).toThrow(/bad box size/);
+  });
+});
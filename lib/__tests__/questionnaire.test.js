@@ -0,0 +1,53 @@
+import { normalizeAnswers, validateDefinition } from "../questionnaire";
+
+const definition = (item) => ({
+  id: "test",
+  version: 1,
+  items: [
+    {
+      id: "activity",
+      type: "multiselect",
+      label: "在做什麼？",
+      options: [
+        { value: "work", label: "工作" },
+        { value: "commute", label: "通勤" },
+        { value: "exercise", label: "運動" },
+      ],
+      ...item,
+    },
+  ],
+});
+
+describe("multiselect maxSelected", () => {
+  it("keeps only the first maxSelected choices", () => {
+    expect(
+      normalizeAnswers(definition({ maxSelected: 2 }), {
+        activity: ["exercise", "work", "commute"],
+      })
+    ).toEqual({ activity: ["exercise", "work"] });
+  });
+
+  it("drops unknown and repeated choices before counting", () => {
+    expect(
+      normalizeAnswers(definition({ maxSelected: 2 }), {
+        activity: ["sleep", "work", "work", "commute"],
+      })
+    ).toEqual({ activity: ["work", "commute"] });
+  });
+
+  it("keeps every choice without maxSelected", () => {
+    expect(
+      normalizeAnswers(definition({}), { activity: ["work", "commute", "exercise"] })
+    ).toEqual({ activity: ["work", "commute", "exercise"] });
+  });
+
+  it("rejects a maxSelected that is not a positive integer", () => {
+    expect(validateDefinition(definition({ maxSelected: 2 }))).toEqual([]);
+    expect(validateDefinition(definition({ maxSelected: null }))).toEqual([]);
+    for (const maxSelected of [0, -1, 1.5, "2"]) {
+      expect(validateDefinition(definition({ maxSelected }))).toEqual([
+        "items[0].maxSelected must be a positive integer",
+      ]);
+    }
+  });
+});
@@ -0,0 +1,33 @@
+import { DEFAULT_REMINDER_SETTINGS, fixedPromptHoursOn } from "../reminderSchedule";
+
+// 2026-10-12 是星期一（expo weekday 2）
+const MONDAY = new Date(2026, 9, 12);
+const SUNDAY = new Date(2026, 9, 11);
+
+describe("fixedPromptHoursOn", () => {
+  it("returns the reminder times as hours", () => {
+    expect(
+      fixedPromptHoursOn({ ...DEFAULT_REMINDER_SETTINGS, times: ["09:30", "21:00"] }, MONDAY)
+    ).toEqual([9.5, 21]);
+  });
+
+  it("skips days that are not reminder weekdays", () => {
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, weekdays: [2, 3, 4, 5, 6] };
+    expect(fixedPromptHoursOn(settings, MONDAY)).toEqual([9, 15, 21]);
+    expect(fixedPromptHoursOn(settings, SUNDAY)).toEqual([]);
+  });
+
+  it("skips times inside quiet hours", () => {
+    const settings = {
+      ...DEFAULT_REMINDER_SETTINGS,
+      quietHours: { enabled: true, start: "20:00", end: "10:00" },
+    };
+    expect(fixedPromptHoursOn(settings, MONDAY)).toEqual([15]);
+  });
+
+  it("has no fixed prompts in ESM mode", () => {
+    expect(fixedPromptHoursOn({ ...DEFAULT_REMINDER_SETTINGS, mode: "esm" }, MONDAY)).toEqual(
+      []
+    );
+  });
+});
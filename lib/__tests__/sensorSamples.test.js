@@ -0,0 +1,64 @@
+import { runMigrations } from "../migrations";
+import {
+  KEEP_PENDING_DAYS,
+  SAMPLE_KINDS,
+  clearSamples,
+  countPendingSamples,
+  insertSample,
+  pruneSamples,
+} from "../sensorSamples";
+import { openTestDatabase } from "./helpers/testDatabase";
+
+jest.mock("expo-crypto", () => ({ randomUUID: () => require("crypto").randomUUID() }));
+jest.mock("../api", () => ({ uploadSensorSamples: jest.fn() }));
+
+const NOW = new Date("2026-10-19T12:00:00.000Z");
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const namesLeft = async (db) =>
+  (await db.getAllAsync("SELECT activity FROM samples ORDER BY id ASC")).map(
+    (row) => row.activity
+  );
+
+describe("sensor sample retention", () => {
+  let db;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    db = await openTestDatabase();
+    await runMigrations(db);
+
+    // activity 欄位借來當作每筆樣本的名字
+    const samples = [
+      { activity: "fresh pending", recordedAt: daysAgo(1) },
+      { activity: "old pending", recordedAt: daysAgo(KEEP_PENDING_DAYS + 1) },
+      { activity: "fresh uploaded", recordedAt: daysAgo(20), uploadedAt: daysAgo(2) },
+      { activity: "old uploaded", recordedAt: daysAgo(20), uploadedAt: daysAgo(8) },
+    ];
+    for (const sample of samples) {
+      await insertSample(db, { kind: SAMPLE_KINDS.MOTION, ...sample });
+      if (sample.uploadedAt) {
+        await db.runAsync(
+          "UPDATE samples SET uploadedAt = ? WHERE activity = ?",
+          sample.uploadedAt,
+          sample.activity
+        );
+      }
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("drops samples that were never uploaded once they are too old", async () => {
+    expect(await pruneSamples(db, NOW)).toBe(2);
+    expect(await namesLeft(db)).toEqual(["fresh pending", "fresh uploaded"]);
+    expect(await countPendingSamples(db)).toBe(1);
+  });
+
+  it("clears every sample", async () => {
+    await clearSamples(db);
+    expect(await namesLeft(db)).toEqual([]);
+  });
+});
@@ -0,0 +1,42 @@
+import { DEFAULT_REMINDER_SETTINGS } from "../reminderSchedule";
+import { applyStudyReminders, keepParticipantReminders } from "../studyConfig";
+
+const OWN = {
+  ...DEFAULT_REMINDER_SETTINGS,
+  times: ["08:00", "20:00"],
+  weekdays: [2, 3, 4, 5, 6],
+  esm: { windows: [{ start: "10:00", end: "18:00" }], promptsPerWindow: 1 },
+};
+
+const STUDY = {
+  reminders: {
+    mode: "esm",
+    esm: { windows: [{ start: "09:00", end: "21:00" }], promptsPerWindow: 3 },
+  },
+};
+
+describe("keepParticipantReminders", () => {
+  it("does not store the study schedule in the participant's settings", () => {
+    const effective = applyStudyReminders(OWN, STUDY);
+    const edited = {
+      ...effective,
+      quietHours: { enabled: true, start: "23:00", end: "07:00" },
+      pausedUntil: "2026-10-20T00:00:00.000Z",
+    };
+
+    const saved = keepParticipantReminders(OWN, edited, STUDY);
+    expect(saved).toEqual({
+      ...OWN,
+      quietHours: edited.quietHours,
+      pausedUntil: edited.pausedUntil,
+    });
+
+    // 研究之後不再指定排程時，參與者原本的排程還在
+    expect(applyStudyReminders(saved, { reminders: null })).toEqual(saved);
+  });
+
+  it("stores everything when the study does not set reminders", () => {
+    const edited = { ...OWN, times: ["12:00"] };
+    expect(keepParticipantReminders(OWN, edited, { reminders: null })).toBe(edited);
+  });
+});
@@ -0,0 +1,95 @@
+import {
+  deleteAllLogsOnServer,
+  fetchKnownLogs,
+  updateLogOnServer,
+  uploadLogMetadata,
+} from "../api";
+import { LOG_CHANGE_OPS, enqueueLogChange } from "../logChanges";
+import { createSqliteLogRepository } from "../logRepository";
+import { runMigrations } from "../migrations";
+import { OUTBOX_STATUS, parkPendingUploads, processOutbox } from "../uploadQueue";
+import { openTestDatabase } from "./helpers/testDatabase";
+
+jest.mock("expo-crypto", () => ({ randomUUID: () => require("crypto").randomUUID() }));
+jest.mock("expo-network", () => ({
+  NetworkStateType: { CELLULAR: "CELLULAR", WIFI: "WIFI" },
+  getNetworkStateAsync: async () => ({ type: "WIFI" }),
+  addNetworkStateListener: () => ({ remove: () => {} }),
+}));
+jest.mock("../api", () => ({
+  deleteAllLogsOnServer: jest.fn(async () => true),
+  deleteLogOnServer: jest.fn(async () => true),
+  deleteLogVideoOnServer: jest.fn(async () => true),
+  fetchKnownLogs: jest.fn(async () => []),
+  updateLogOnServer: jest.fn(async () => true),
+  uploadLogMetadata: jest.fn(async () => {}),
+  uploadLogVideo: jest.fn(async () => {}),
+}));
+jest.mock("../authStore", () => ({ isEnrolled: async () => true }));
+jest.mock("../chunkedUpload", () => ({ uploadVideoResumable: jest.fn() }));
+jest.mock("../consentStore", () => ({ syncConsent: async () => {} }));
+jest.mock("../sensorSamples", () => ({ uploadPendingSamples: async () => {} }));
+jest.mock("../studyConfigStore", () => ({
+  getStudyConfig: async () => ({
+    uploads: { retryDelaysSeconds: [10], videoOverCellular: true },
+  }),
+}));
+
+const statuses = async (db) =>
+  Object.fromEntries(
+    (
+      await db.getAllAsync(
+        "SELECT logs.clientId, outbox.status FROM logs JOIN outbox ON outbox.logId = logs.id"
+      )
+    ).map((row) => [row.clientId, row.status])
+  );
+
+describe("leaving the study", () => {
+  let db;
+  let repository;
+
+  beforeEach(async () => {
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    jest.clearAllMocks();
+    db = await openTestDatabase();
+    await runMigrations(db);
+    repository = createSqliteLogRepository(db);
+
+    // 第一次加入研究時：c1 已上傳，c2 還沒；另外有一個修改與一個「清除所有紀錄」還沒送出
+    for (const clientId of ["c1", "c2"]) {
+      await repository.create({ clientId, timestamp: "2026-10-18T09:00:00.000Z", videoUri: "" });
+    }
+    await db.runAsync("UPDATE outbox SET status = ? WHERE logId = 1", OUTBOX_STATUS.SYNCED);
+    await enqueueLogChange(db, "c2", LOG_CHANGE_OPS.UPDATE);
+    await enqueueLogChange(db, null, LOG_CHANGE_OPS.CLEAR);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("does not replay the previous session's uploads and changes after enrolling again", async () => {
+    await parkPendingUploads(db);
+    expect(await statuses(db)).toEqual({
+      c1: OUTBOX_STATUS.SYNCED,
+      c2: OUTBOX_STATUS.LEFT_STUDY,
+    });
+    expect(await db.getAllAsync("SELECT * FROM log_changes")).toEqual([]);
+
+    // 用新的研究代碼加入後新增的紀錄照常上傳
+    await repository.create({ clientId: "c3", timestamp: "2026-10-19T09:00:00.000Z", videoUri: "" });
+    expect(await processOutbox(db)).toBe(1);
+
+    expect(deleteAllLogsOnServer).not.toHaveBeenCalled();
+    expect(updateLogOnServer).not.toHaveBeenCalled();
+    expect(uploadLogMetadata.mock.calls.map(([log]) => log.clientId)).toEqual(["c3"]);
+    expect(fetchKnownLogs.mock.calls.flat(2)).not.toContain("c2");
+    expect((await statuses(db)).c2).toBe(OUTBOX_STATUS.LEFT_STUDY);
+  });
+
+  it("sends the queued changes first while still enrolled", async () => {
+    expect(await processOutbox(db)).toBe(1);
+    expect(deleteAllLogsOnServer).toHaveBeenCalledTimes(1);
+    expect(uploadLogMetadata.mock.calls.map(([log]) => log.clientId)).toEqual(["c2"]);
+  });
+});
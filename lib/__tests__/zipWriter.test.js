@@ -0,0 +1,81 @@
+import JSZip from "jszip";
+
+import { crc32, createZipWriter } from "../zipWriter";
+
+// 把寫出的每一段接成完整的 ZIP
+const writeZip = async (build) => {
+  const parts = [];
+  const zip = createZipWriter((bytes) => parts.push(bytes), {
+    now: new Date(2026, 9, 12, 9, 30, 10),
+  });
+  await build(zip);
+  const size = await zip.finish();
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  expect(offset).toBe(size);
+  return bytes;
+};
+
+async function* chunksOf(bytes, chunkSize) {
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    yield bytes.subarray(i, i + chunkSize);
+  }
+}
+
+describe("crc32", () => {
+  it("matches the standard check value", () => {
+    expect(crc32(new TextEncoder().encode("123456789"))).toBe(0xcbf43926);
+  });
+
+  it("can be computed chunk by chunk", () => {
+    const bytes = new TextEncoder().encode("hello, emogo");
+    expect(crc32(bytes.subarray(5), crc32(bytes.subarray(0, 5)))).toBe(crc32(bytes));
+  });
+});
+
+describe("createZipWriter", () => {
+  it("writes an archive that JSZip can read", async () => {
+    const video = Uint8Array.from({ length: 20_000 }, (_, i) => (i * 31) % 256);
+    const bytes = await writeZip(async (zip) => {
+      await zip.addFile("videos/emogo_vlog_c1.mp4", chunksOf(video, 4096));
+      await zip.addText("manifest.json", JSON.stringify({ logCount: 1 }));
+      await zip.addText("logs.csv", "clientId,mood\nc1,心情好\n");
+    });
+
+    const zip = await JSZip.loadAsync(bytes, { checkCRC32: true });
+    expect(Object.keys(zip.files)).toEqual([
+      "videos/emogo_vlog_c1.mp4",
+      "manifest.json",
+      "logs.csv",
+    ]);
+    expect(await zip.file("videos/emogo_vlog_c1.mp4").async("uint8array")).toEqual(video);
+    expect(JSON.parse(await zip.file("manifest.json").async("string"))).toEqual({
+      logCount: 1,
+    });
+    expect(await zip.file("logs.csv").async("string")).toBe("clientId,mood\nc1,心情好\n");
+    expect(zip.file("logs.csv").date.getFullYear()).toBe(2026);
+  });
+
+  it("writes an empty archive", async () => {
+    const zip = await JSZip.loadAsync(await writeZip(async () => {}));
+    expect(Object.keys(zip.files)).toEqual([]);
+  });
+
+  it("rejects the same file name twice", async () => {
+    const zip = createZipWriter(() => {});
+    await zip.addText("logs.json", "[]");
+    await expect(zip.addText("logs.json", "[]")).rejects.toThrow(/Duplicate file/);
+  });
+
+  it("stops when the output cannot be written", async () => {
+    const zip = createZipWriter(() => {
+      throw new Error("disk full");
+    });
+    await expect(zip.addText("logs.json", "[]")).rejects.toThrow("disk full");
+  });
+});
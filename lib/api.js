@@ -0,0 +1,412 @@
+// 後端 API：所有對 emogo-backend 的請求都集中在這裡
+// 後端網址依 build profile / 設定頁決定（見 backendConfig.js）
+//
+// 紀錄相關的請求都帶 Authorization: Bearer <access token>（加入研究時取得，見 authStore.js），
+// 後端依 token 區分參與者。token 快到期時先換新；收到 401 時換新後重送一次。
+import { Platform } from "react-native";
+import * as Crypto from "expo-crypto";
+
+import { clearSession, loadSession, saveSession } from "./authStore";
+import { getBackendBaseUrl } from "./backendConfig";
+import { detectClipFormat } from "./videoProcessing";
+
+// 連線測試的逾時（毫秒）
+const HEALTH_TIMEOUT_MS = 8000;
+
+// access token 剩不到 1 分鐘就先換新
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// fetch 只有在網路錯誤時才會 throw，HTTP 錯誤（4xx / 5xx）要自己檢查
+const ensureOk = async (res, label) => {
+  if (!res.ok) {
+    throw new Error(`${label} failed: HTTP ${res.status}`);
+  }
+  return res;
+};
+
+// 沒有加入研究、或 refresh token 也失效（要重新輸入研究代碼）時丟出的錯誤
+const authError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+export const AUTH_ERROR = {
+  NOT_ENROLLED: "NOT_ENROLLED",
+  SESSION_EXPIRED: "SESSION_EXPIRED",
+};
+
+// 後端回傳的 token -> 要存起來的 session
+const toSession = (data, previous = {}) => ({
+  ...previous,
+  participantId: data.participantId ?? previous.participantId ?? null,
+  studyId: data.studyId ?? previous.studyId ?? null,
+  studyName: data.studyName ?? previous.studyName ?? null,
+  recordAudio: data.recordAudio ?? previous.recordAudio ?? true,
+  accessToken: data.accessToken,
+  refreshToken: data.refreshToken ?? previous.refreshToken ?? null,
+  expiresAt: Date.now() + Number(data.expiresIn ?? 3600) * 1000,
+});
+
+// 用研究代碼加入研究：POST /api/enroll，成功後把 token 存進 SecureStore
+export const enrollWithCode = async (code) => {
+  const baseUrl = await getBackendBaseUrl();
+  const res = await fetch(`${baseUrl}/api/enroll`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ code, platform: Platform.OS }),
+  });
+  if (res.status === 404 || res.status === 410) {
+    throw new Error("study code not found or no longer valid");
+  }
+  await ensureOk(res, "enroll");
+  const data = await res.json();
+  if (!data?.accessToken) {
+    throw new Error("enroll failed: no token in response");
+  }
+  return saveSession({ ...toSession(data), enrolledAt: new Date().toISOString() });
+};
+
+// 同一時間只換一次 token（多個請求同時發現過期時共用結果）
+let refreshing = null;
+
+export const refreshSession = () => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      const session = await loadSession();
+      if (!session) {
+        throw authError(AUTH_ERROR.NOT_ENROLLED, "not enrolled in a study");
+      }
+      const baseUrl = await getBackendBaseUrl();
+      const res = await fetch(`${baseUrl}/api/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      });
+      if (res.status === 401 || res.status === 403) {
+        // refresh token 也失效：只能重新加入研究
+        await clearSession();
+        throw authError(
+          AUTH_ERROR.SESSION_EXPIRED,
+          "session expired, please enroll again"
+        );
+      }
+      await ensureOk(res, "refresh token");
+      return saveSession(toSession(await res.json(), session));
+    })().finally(() => {
+      refreshing = null;
+    });
+  }
+  return refreshing;
+};
+
+const getAccessToken = async () => {
+  let session = await loadSession();
+  if (!session) {
+    throw authError(AUTH_ERROR.NOT_ENROLLED, "not enrolled in a study");
+  }
+  if (session.expiresAt - Date.now() < TOKEN_REFRESH_MARGIN_MS) {
+    session = await refreshSession();
+  }
+  return session.accessToken;
+};
+
+// 帶 Bearer token 的 fetch；401 時換新 token 再試一次
+const authorizedFetch = async (path, init = {}) => {
+  const baseUrl = await getBackendBaseUrl();
+  const send = async (token) =>
+    fetch(`${baseUrl}${path}`, {
+      ...init,
+      headers: { ...init.headers, Authorization: `Bearer ${token}` },
+    });
+
+  const res = await send(await getAccessToken());
+  if (res.status !== 401) return res;
+  const refreshed = await refreshSession();
+  return send(refreshed.accessToken);
+};
+
+// 離開研究：通知後端（失敗也沒關係），再刪掉本機的 token
+// 本機紀錄不會刪除；還沒上傳的紀錄由呼叫端標成不再上傳（見 uploadQueue.js 的 parkPendingUploads）
+export const leaveStudy = async () => {
+  try {
+    const res = await authorizedFetch("/api/leave", { method: "POST" });
+    await ensureOk(res, "leave study");
+  } catch (e) {
+    console.log("leave study error:", e);
+  }
+  await clearSession();
+};
+
+// 上傳 metadata 到後端（JSON，寫進 MongoDB）
+// clientId 是建立紀錄時產生的 UUID，後端用它去重並對應影片
+export const uploadLogMetadata = async (log) => {
+  const res = await authorizedFetch("/api/logs", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": log.clientId,
+    },
+    body: JSON.stringify({
+      clientId: log.clientId,
+      timestamp: log.timestamp,
+      mood: log.mood,
+      videoUri: log.videoUri || "", // 若後端只拿來對應，可保留
+      // 後端收到影片後可用來檢查檔案是否完整
+      videoSize: log.videoSize ?? null,
+      videoChecksum: log.videoChecksum ?? null,
+      lat: log.lat,
+      lng: log.lng,
+      // lat / lng 依參與者選的隱私等級處理過；places 等級只有 locationLabel
+      locationPrivacy: log.locationPrivacy ?? null,
+      locationLabel: log.locationLabel ?? null,
+      // 問卷答案（結構化欄位，依 questionnaireId / version 解讀）
+      questionnaireId: log.questionnaireId ?? null,
+      questionnaireVersion: log.questionnaireVersion ?? null,
+      answers: log.answers ?? null,
+      editedAt: log.editedAt ?? null,
+      // 回應哪一個提醒（沒有從通知點進來時為 null）
+      promptId: log.promptId ?? null,
+      promptScheduledAt: log.promptScheduledAt ?? null,
+      promptDeliveredAt: log.promptDeliveredAt ?? null,
+      promptOpenedAt: log.promptOpenedAt ?? null,
+    }),
+  });
+  return ensureOk(res, "upload metadata");
+};
+
+// 上傳「影片本體」到後端（multipart/form-data）
+export const uploadLogVideo = async (log) => {
+  const format = detectClipFormat(log.videoUri);
+  const formData = new FormData();
+  formData.append("clientId", log.clientId);
+  formData.append("timestamp", log.timestamp);
+  formData.append("mood", String(log.mood));
+  formData.append("lat", String(log.lat ?? ""));
+  formData.append("lng", String(log.lng ?? ""));
+  formData.append("video", {
+    uri: log.videoUri,
+    name: `emogo_vlog_${log.clientId}.${format.extension}`,
+    type: format.mimeType,
+  });
+
+  const res = await authorizedFetch("/api/upload-video", {
+    method: "POST",
+    headers: {
+      "Idempotency-Key": `${log.clientId}:video`,
+    },
+    body: formData,
+    // 不要自己設 Content-Type，讓 fetch 自動帶 boundary
+  });
+  return ensureOk(res, "upload video");
+};
+
+// ---------- 修改 / 刪除已上傳的紀錄 ----------
+//
+// 參與者在 App 裡修改或刪除紀錄後，由 logChanges.js 送出；都用 clientId 指定紀錄。
+// 後端沒有這筆（從沒上傳成功、或已經刪過）時回 404，視為已經完成。
+
+const logPath = (clientId) => `/api/logs/${encodeURIComponent(clientId)}`;
+
+// PATCH /api/logs/:clientId { mood, answers, questionnaireId, questionnaireVersion, editedAt }
+export const updateLogOnServer = async (clientId, changes) => {
+  const res = await authorizedFetch(logPath(clientId), {
+    method: "PATCH",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(changes),
+  });
+  if (res.status === 404) return false;
+  await ensureOk(res, "update log");
+  return true;
+};
+
+// DELETE /api/logs/:clientId/video：只刪影片，紀錄本身保留
+export const deleteLogVideoOnServer = async (clientId) => {
+  const res = await authorizedFetch(`${logPath(clientId)}/video`, {
+    method: "DELETE",
+  });
+  if (res.status === 404) return false;
+  await ensureOk(res, "delete log video");
+  return true;
+};
+
+// DELETE /api/logs/:clientId：紀錄與影片一起刪除
+export const deleteLogOnServer = async (clientId) => {
+  const res = await authorizedFetch(logPath(clientId), { method: "DELETE" });
+  if (res.status === 404) return false;
+  await ensureOk(res, "delete log");
+  return true;
+};
+
+// DELETE /api/logs：刪除這位參與者的所有紀錄與影片（「清除所有紀錄」）
+export const deleteAllLogsOnServer = async () => {
+  const res = await authorizedFetch("/api/logs", { method: "DELETE" });
+  await ensureOk(res, "delete all logs");
+  return true;
+};
+
+// ---------- 分段上傳（resumable upload） ----------
+//
+// 1. POST /api/uploads { clientId, fileName, mimeType, size, checksum }
+//      -> { uploadId, offset }；同一個 clientId 再呼叫會拿到同一個 session
+// 2. PUT  /api/uploads/:uploadId，header Upload-Offset: <目前 offset>，body 為這一段的 bytes
+//      -> { offset, complete }；offset 和後端不一致時回 409 { offset }，從後端的 offset 繼續
+// 3. GET  /api/uploads/:uploadId -> { offset, size, complete }（session 過期時 404）
+// 後端最後一段收完會檢查大小與 MD5，通過才算上傳完成。
+
+// 後端不支援分段上傳時回傳 null（改用 uploadLogVideo）
+export const createUploadSession = async (upload) => {
+  const { clientId, fileName, mimeType, size, checksum } = upload;
+  const res = await authorizedFetch("/api/uploads", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": `${clientId}:upload`,
+    },
+    body: JSON.stringify({ clientId, fileName, mimeType, size, checksum }),
+  });
+  if (res.status === 404) return null;
+  await ensureOk(res, "create upload session");
+  return res.json();
+};
+
+// session 不存在（過期或被清掉）時回傳 null
+export const getUploadSession = async (uploadId) => {
+  const res = await authorizedFetch(`/api/uploads/${encodeURIComponent(uploadId)}`);
+  if (res.status === 404) return null;
+  await ensureOk(res, "get upload session");
+  return res.json();
+};
+
+export const uploadChunk = async (uploadId, offset, bytes) => {
+  const res = await authorizedFetch(`/api/uploads/${encodeURIComponent(uploadId)}`, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "application/octet-stream",
+      "Upload-Offset": String(offset),
+    },
+    body: bytes,
+  });
+  if (res.status === 409) {
+    const data = await res.json();
+    return { offset: Number(data.offset), complete: false };
+  }
+  await ensureOk(res, "upload chunk");
+  return res.json();
+};
+
+// 被動感測的樣本（背景定位、動作），一次送一批；後端依每筆的 clientId 去重
+// Idempotency-Key 由整批的 clientId 算出：同一批重送時相同，只要內容不同就不同
+export const uploadSensorSamples = async (samples) => {
+  const batchId = await Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    samples
+      .map((sample) => sample.clientId)
+      .sort()
+      .join(",")
+  );
+  const res = await authorizedFetch("/api/samples", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": `samples:${batchId}`,
+    },
+    body: JSON.stringify({ samples }),
+  });
+  return ensureOk(res, "upload samples");
+};
+
+// 詢問後端已經有哪些紀錄
+// 回傳 [{ clientId, hasVideo }]，只包含後端確實存在的 clientId
+export const fetchKnownLogs = async (clientIds) => {
+  const res = await authorizedFetch("/api/logs/reconcile", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ clientIds }),
+  });
+  await ensureOk(res, "reconcile logs");
+  const data = await res.json();
+  return Array.isArray(data?.existing) ? data.existing : [];
+};
+
+// 目前研究使用的問卷定義（JSON）；後端沒有設定時回傳 null
+export const fetchQuestionnaire = async () => {
+  const baseUrl = await getBackendBaseUrl();
+  const res = await fetch(`${baseUrl}/api/questionnaire`);
+  if (res.status === 404) return null;
+  await ensureOk(res, "fetch questionnaire");
+  return res.json();
+};
+
+// 研究設定（JSON，格式見 studyConfig.js）；後端沒有設定時回傳 null
+export const fetchStudyConfig = async () => {
+  const baseUrl = await getBackendBaseUrl();
+  const res = await fetch(`${baseUrl}/api/study/config`);
+  if (res.status === 404) return null;
+  await ensureOk(res, "fetch study config");
+  return res.json();
+};
+
+// 目前研究使用的同意書（JSON，格式見 consent.js）；後端沒有設定時回傳 null
+export const fetchConsentDocument = async () => {
+  const baseUrl = await getBackendBaseUrl();
+  const res = await fetch(`${baseUrl}/api/consent/document`);
+  if (res.status === 404) return null;
+  await ensureOk(res, "fetch consent document");
+  return res.json();
+};
+
+// 記錄參與者同意了哪一版同意書：POST /api/consent
+// 同一次同意重送時後端依 Idempotency-Key 去重
+export const submitConsent = async (consent) => {
+  const { documentId, version, consentedAt } = consent;
+  const res = await authorizedFetch("/api/consent", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "Idempotency-Key": `consent:${documentId}:${version}:${consentedAt}`,
+    },
+    body: JSON.stringify({
+      documentId,
+      version,
+      consentedAt,
+      platform: Platform.OS,
+    }),
+  });
+  return ensureOk(res, "submit consent");
+};
+
+// 連線測試：GET /api/health，回傳 { ok, status, latencyMs, error }
+// baseUrl 可以指定還沒儲存的網址（設定頁輸入中）
+export const checkBackendHealth = async (baseUrl) => {
+  const url = baseUrl ?? (await getBackendBaseUrl());
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT_MS);
+  const startedAt = Date.now();
+  try {
+    const res = await fetch(`${url}/api/health`, { signal: controller.signal });
+    return {
+      ok: res.ok,
+      status: res.status,
+      latencyMs: Date.now() - startedAt,
+      error: res.ok ? null : `HTTP ${res.status}`,
+    };
+  } catch (e) {
+    return {
+      ok: false,
+      status: null,
+      latencyMs: null,
+      error: e?.name === "AbortError" ? "timeout" : String(e?.message ?? e),
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
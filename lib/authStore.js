@@ -0,0 +1,70 @@
+// 研究參與者的登入資訊（enrollment 換到的 token）
+//
+// session 形狀：
+//   { participantId, studyId, studyName, recordAudio,
+//     accessToken, refreshToken, expiresAt, enrolledAt }
+// expiresAt 是 access token 到期的時間（毫秒）。
+// recordAudio 為 false 時研究不收錄聲音（錄影時關掉麥克風，存檔時再移除音軌）。
+//
+// App：存在 expo-secure-store（Keychain / Keystore）；
+// Web 預覽沒有 SecureStore，退回 settings（localStorage），只供開發測試。
+import { Platform } from "react-native";
+import * as SecureStore from "expo-secure-store";
+
+import { getSetting, setSetting } from "./settingsStore";
+
+const isWeb = Platform.OS === "web";
+
+const SESSION_KEY = "emogo.session";
+
+// 每次請求都會讀，留一份在記憶體；undefined 表示還沒讀過
+let cached;
+
+const listeners = new Set();
+
+export const loadSession = async () => {
+  if (cached !== undefined) return cached;
+  try {
+    const raw = isWeb
+      ? await getSetting(SESSION_KEY, null)
+      : JSON.parse((await SecureStore.getItemAsync(SESSION_KEY)) ?? "null");
+    cached = raw && raw.accessToken ? raw : null;
+  } catch (e) {
+    console.log("authStore: cannot read session", e);
+    cached = null;
+  }
+  return cached;
+};
+
+export const saveSession = async (session) => {
+  if (isWeb) {
+    await setSetting(SESSION_KEY, session);
+  } else {
+    await SecureStore.setItemAsync(SESSION_KEY, JSON.stringify(session));
+  }
+  cached = session;
+  listeners.forEach((listener) => listener(session));
+  return session;
+};
+
+export const clearSession = async () => {
+  if (isWeb) {
+    await setSetting(SESSION_KEY, null);
+  } else {
+    await SecureStore.deleteItemAsync(SESSION_KEY);
+  }
+  cached = null;
+  listeners.forEach((listener) => listener(null));
+};
+
+export const isEnrolled = async () => Boolean(await loadSession());
+
+// 沒有加入研究、或研究沒有特別設定時都錄聲音
+export const studyRecordsAudio = async () =>
+  (await loadSession())?.recordAudio !== false;
+
+// 加入 / 離開研究時通知畫面；回傳取消訂閱的函式
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
@@ -0,0 +1,61 @@
+// 後端網址設定
+//
+// 1. 預設值來自 app.json 的 extra.backendUrl（透過 expo-constants 讀取）；
+//    EAS build profile 可以用環境變數 EMOGO_BACKEND_URL 覆寫（見 app.config.js / eas.json）
+// 2. 設定頁可以另外指定網址（例如本機 mock server），存在 settings 表
+// 3. build profile 設定 EMOGO_BACKEND_LOCKED=true 時（正式研究版）忽略設定頁的網址
+import Constants from "expo-constants";
+
+import { getSetting, setSetting } from "./settingsStore";
+
+const SETTINGS_KEY = "backendUrl";
+
+// app.json 沒有設定時的備用值
+const FALLBACK_BACKEND_URL = "https://emogo-backend-csj011018.onrender.com";
+
+const extra = () => Constants.expoConfig?.extra ?? {};
+
+// 去掉結尾的 /；不是 http(s) 網址時回傳 null
+export const normalizeBackendUrl = (text) => {
+  const trimmed = String(text ?? "").trim().replace(/\/+$/, "");
+  return /^https?:\/\/[^\s/]+(\/\S*)?$/i.test(trimmed) ? trimmed : null;
+};
+
+export const getDefaultBackendUrl = () =>
+  normalizeBackendUrl(extra().backendUrl) ?? FALLBACK_BACKEND_URL;
+
+export const isBackendLocked = () => extra().backendLocked === true;
+
+// build profile 名稱（development / staging / production），只用來顯示
+export const getBuildEnvironment = () => extra().environment ?? "development";
+
+// 每次請求都會用到，讀過一次就留在記憶體；設定改變時更新
+let cachedUrl = null;
+
+// 目前生效的後端網址
+export const getBackendBaseUrl = async () => {
+  if (isBackendLocked()) return getDefaultBackendUrl();
+  if (cachedUrl === null) {
+    const override = normalizeBackendUrl(await getSetting(SETTINGS_KEY, null));
+    cachedUrl = override ?? getDefaultBackendUrl();
+  }
+  return cachedUrl;
+};
+
+// 設定頁指定的網址（沒有指定時為 null）
+export const getBackendOverride = async () =>
+  normalizeBackendUrl(await getSetting(SETTINGS_KEY, null));
+
+// url 為 null 時回到預設值；網址不合法或被 build profile 鎖定時丟出錯誤
+export const saveBackendOverride = async (url) => {
+  if (isBackendLocked()) {
+    throw new Error("Backend URL is locked by this build profile");
+  }
+  const normalized = url === null ? null : normalizeBackendUrl(url);
+  if (url !== null && !normalized) {
+    throw new Error(`Invalid backend URL: ${url}`);
+  }
+  await setSetting(SETTINGS_KEY, normalized);
+  cachedUrl = normalized ?? getDefaultBackendUrl();
+  return cachedUrl;
+};
@@ -0,0 +1,75 @@
+// 分段上傳影片（協定見 api.js 的「分段上傳」）
+//
+// 影片每次只讀一段（CHUNK_SIZE）送出，後端回報收到的 offset；
+// uploadId 與 offset 由呼叫端存起來（outbox），網路中斷或 App 被關掉後，
+// 先向後端查詢目前的 offset，再從那裡繼續，不用整段重傳。
+import { File } from "expo-file-system";
+
+import { createUploadSession, getUploadSession, uploadChunk } from "./api";
+import { detectClipFormat } from "./videoProcessing";
+
+// 每段 256 KB：行動網路中斷時最多重傳這麼多
+export const CHUNK_SIZE = 256 * 1024;
+
+// offset 連續幾次沒有前進就放棄這一輪，避免和後端無限來回
+const MAX_STALLED_CHUNKS = 3;
+
+// 回傳 false 表示後端不支援分段上傳（呼叫端改用一次上傳整個檔案）
+//
+// options:
+//   uploadId   上次的 session（沒有時為 null）
+//   onSession  (uploadId, offset, size) => Promise，每段成功後呼叫，用來保存進度
+//   onProgress (sent, total) => void，更新畫面用
+export const uploadVideoResumable = async (
+  log,
+  { uploadId = null, onSession, onProgress } = {}
+) => {
+  const file = new File(log.videoUri);
+  if (!file.exists) {
+    throw new Error(`video file is missing: ${log.videoUri}`);
+  }
+  const size = file.size;
+
+  // 有上次的 session 就先問後端收到哪裡；session 過期時重新建立
+  let session = uploadId ? await getUploadSession(uploadId) : null;
+  if (session) {
+    session = { ...session, uploadId };
+  } else {
+    session = await createUploadSession({
+      clientId: log.clientId,
+      fileName: file.name,
+      mimeType: detectClipFormat(log.videoUri).mimeType,
+      size,
+      checksum: log.videoChecksum ?? null,
+    });
+    if (!session) return false;
+  }
+
+  let offset = Number(session.offset) || 0;
+  await onSession?.(session.uploadId, offset, size);
+  onProgress?.(offset, size);
+  if (session.complete) return true;
+
+  const handle = file.open();
+  try {
+    let stalled = 0;
+    while (offset < size) {
+      handle.offset = offset;
+      const bytes = handle.readBytes(Math.min(CHUNK_SIZE, size - offset));
+      const result = await uploadChunk(session.uploadId, offset, bytes);
+      const next = Number(result.offset);
+
+      stalled = next > offset ? 0 : stalled + 1;
+      if (stalled >= MAX_STALLED_CHUNKS) {
+        throw new Error(`upload stalled at byte ${offset} of ${size}`);
+      }
+      offset = next;
+      await onSession?.(session.uploadId, offset, size);
+      onProgress?.(offset, size);
+      if (result.complete) break;
+    }
+  } finally {
+    handle.close();
+  }
+  return true;
+};
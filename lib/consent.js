@@ -0,0 +1,54 @@
+// 研究說明與參與同意書（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 同意書由 JSON 定義，可以由後端下發（見 consentStore.js）：
+//   { id, version, title, sections: [{ title, body }], agreements: [文字, ...],
+//     permissions: { camera, location, notifications: { title, body } } }
+// version 改變時參與者要重新同意；permissions 是 onboarding 各權限步驟的說明。
+import defaultDocument from "./consent/default.json";
+
+export const DEFAULT_CONSENT_DOCUMENT = defaultDocument;
+
+// onboarding 依這個順序，一次說明並請求一個權限
+export const PERMISSION_STEPS = ["camera", "location", "notifications"];
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+// 檢查同意書定義；回傳錯誤訊息陣列（空陣列表示沒問題）
+export const validateConsentDocument = (document) => {
+  const errors = [];
+  if (!document || typeof document !== "object") {
+    return ["document must be an object"];
+  }
+  if (!isText(document.id)) errors.push("id is required");
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    errors.push("version must be a positive integer");
+  }
+  if (!isText(document.title)) errors.push("title is required");
+  if (!Array.isArray(document.sections) || document.sections.length === 0) {
+    errors.push("sections must be a non-empty array");
+  } else {
+    document.sections.forEach((section, index) => {
+      if (!isText(section?.title) || !isText(section?.body)) {
+        errors.push(`sections[${index}] needs a title and a body`);
+      }
+    });
+  }
+  if (!Array.isArray(document.agreements) || !document.agreements.every(isText)) {
+    errors.push("agreements must be an array of text");
+  }
+  for (const step of PERMISSION_STEPS) {
+    const permission = document.permissions?.[step];
+    if (!isText(permission?.title) || !isText(permission?.body)) {
+      errors.push(`permissions.${step} needs a title and a body`);
+    }
+  }
+  return errors;
+};
+
+// record：本機記下的同意紀錄 { documentId, version, consentedAt }
+// 沒同意過、或同意的是別份 / 別版的同意書時都要（重新）同意
+export const needsConsent = (record, document) =>
+  !record ||
+  !record.consentedAt ||
+  record.documentId !== document.id ||
+  record.version !== document.version;
@@ -0,0 +1,75 @@
+// 同意書與參與者的同意紀錄
+//
+// 同意書：後端下發的定義快取在本機，沒有或不合法時用內建的版本（同 questionnaireStore.js）
+// 同意紀錄：{ documentId, version, consentedAt, syncedAt } 存在 settings，
+// 加入研究後再送到後端；syncedAt 為 null 表示還沒送成功（由上傳佇列重試）
+import { fetchConsentDocument, submitConsent } from "./api";
+import { isEnrolled } from "./authStore";
+import {
+  DEFAULT_CONSENT_DOCUMENT,
+  needsConsent,
+  validateConsentDocument,
+} from "./consent";
+import { getSetting, setSetting } from "./settingsStore";
+
+const DOCUMENT_KEY = "consentDocument";
+const RECORD_KEY = "consent";
+
+export const getConsentDocument = async () => {
+  const cached = await getSetting(DOCUMENT_KEY, null);
+  if (cached && validateConsentDocument(cached).length === 0) {
+    return cached;
+  }
+  return DEFAULT_CONSENT_DOCUMENT;
+};
+
+// 向後端取得最新同意書；不合法的定義不會覆蓋快取。回傳目前生效的同意書
+export const refreshConsentDocument = async () => {
+  try {
+    const remote = await fetchConsentDocument();
+    if (remote) {
+      const errors = validateConsentDocument(remote);
+      if (errors.length === 0) {
+        await setSetting(DOCUMENT_KEY, remote);
+        return remote;
+      }
+      console.log("Ignoring invalid consent document from backend:", errors);
+    }
+  } catch (e) {
+    console.log("refreshConsentDocument error:", e);
+  }
+  return getConsentDocument();
+};
+
+export const loadConsentRecord = () => getSetting(RECORD_KEY, null);
+
+export const isConsentRequired = async (document) =>
+  needsConsent(await loadConsentRecord(), document ?? (await getConsentDocument()));
+
+// 已加入研究時把還沒送出的同意紀錄送到後端；回傳是否已經送出
+export const syncConsent = async () => {
+  const record = await loadConsentRecord();
+  if (!record?.consentedAt) return false;
+  if (record.syncedAt) return true;
+  if (!(await isEnrolled())) return false;
+  await submitConsent(record);
+  await setSetting(RECORD_KEY, { ...record, syncedAt: new Date().toISOString() });
+  return true;
+};
+
+// 參與者按下同意：先記在本機，再試著送到後端（失敗時之後由上傳佇列補送）
+export const recordConsent = async (document) => {
+  const record = {
+    documentId: document.id,
+    version: document.version,
+    consentedAt: new Date().toISOString(),
+    syncedAt: null,
+  };
+  await setSetting(RECORD_KEY, record);
+  try {
+    await syncConsent();
+  } catch (e) {
+    console.log("sync consent error:", e);
+  }
+  return record;
+};
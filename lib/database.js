@@ -0,0 +1,42 @@
+// 開啟 emogo.db 並升級 schema（只在原生環境使用）
+import { Platform } from "react-native";
+import * as SQLite from "expo-sqlite";
+
+import { createLogRepository } from "./logRepository";
+import { runMigrations } from "./migrations";
+
+export const DATABASE_NAME = "emogo.db";
+
+export const openEmogoDatabase = async () => {
+  const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+  await runMigrations(db);
+  return db;
+};
+
+// 整個 App 共用同一個 DB 連線（Web 沒有 SQLite，回傳 null）
+let databasePromise = null;
+
+export const getDatabase = () => {
+  if (!databasePromise) {
+    databasePromise =
+      Platform.OS === "web" ? Promise.resolve(null) : openEmogoDatabase();
+    // 開啟失敗時下次呼叫再重試
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+};
+
+// 整個 App 共用同一個 repository（各畫面都從這裡取得，不重複開 DB）
+let repositoryPromise = null;
+
+export const getLogRepository = () => {
+  if (!repositoryPromise) {
+    repositoryPromise = getDatabase().then(createLogRepository);
+    repositoryPromise.catch(() => {
+      repositoryPromise = null;
+    });
+  }
+  return repositoryPromise;
+};
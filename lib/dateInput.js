@@ -0,0 +1,6 @@
+// 日期輸入框（YYYY-MM-DD，當地時間）轉成 ISO 字串，給 repository 的 from / to 篩選用
+export const dateInputToIso = (text, endOfDay) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T${endOfDay ? "23:59:59.999" : "00:00:00"}`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
@@ -0,0 +1,121 @@
+// 經驗取樣（ESM）排程（純函式）：在每個時間窗內隨機挑一個提醒時間
+//
+// 例如時間窗 08–11、12–16、17–21，最小間隔 60 分鐘：
+// 每天會有三個提醒，各自落在自己的時間窗內，且任兩個相鄰提醒至少相隔 60 分鐘。
+import { addDays, toDateKey } from "./moodStats";
+import { isInQuietHours, parseTime } from "./reminderSchedule";
+
+export const DEFAULT_ESM_SETTINGS = {
+  windows: [
+    { start: "08:00", end: "11:00" },
+    { start: "12:00", end: "16:00" },
+    { start: "17:00", end: "21:00" },
+  ],
+  minGapMinutes: 60,
+  daysAhead: 3, // 一次排好未來幾天（含今天）
+};
+
+// 每天最多幾個時間窗、最多排幾天：iOS 最多保留 64 個排定通知
+export const MAX_ESM_WINDOWS = 8;
+export const MAX_ESM_DAYS = 7;
+
+export const normalizeEsmSettings = (esm = {}) => {
+  const windows = (esm.windows ?? DEFAULT_ESM_SETTINGS.windows)
+    .filter((w) => parseTime(w?.start) && parseTime(w?.end))
+    .slice(0, MAX_ESM_WINDOWS);
+  const minGap = Number(esm.minGapMinutes);
+  const days = Number(esm.daysAhead);
+  return {
+    windows,
+    minGapMinutes:
+      Number.isFinite(minGap) && minGap >= 0
+        ? minGap
+        : DEFAULT_ESM_SETTINGS.minGapMinutes,
+    daysAhead:
+      Number.isFinite(days) && days >= 1
+        ? Math.min(Math.round(days), MAX_ESM_DAYS)
+        : DEFAULT_ESM_SETTINGS.daysAhead,
+  };
+};
+
+const atTime = (day, { hour, minute }) =>
+  new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+
+// 產生某一天的提醒時間（Date 陣列，由早到晚）
+// random 可替換成固定序列，方便測試
+export const generateEsmDay = (
+  day,
+  { windows, minGapMinutes },
+  { random = Math.random, quietHours = null } = {}
+) => {
+  const gapMs = minGapMinutes * 60 * 1000;
+  const sorted = [...windows].sort(
+    (a, b) => atTime(day, parseTime(a.start)) - atTime(day, parseTime(b.start))
+  );
+
+  const times = [];
+  let previous = null;
+  for (const window of sorted) {
+    const start = atTime(day, parseTime(window.start)).getTime();
+    const end = atTime(day, parseTime(window.end)).getTime();
+    // 和上一個提醒保持最小間隔；剩下的空間不夠就跳過這個時間窗
+    const earliest = previous === null ? start : Math.max(start, previous + gapMs);
+    if (earliest > end) continue;
+
+    // 以分鐘為單位，避免通知時間帶著奇怪的秒數；
+    // 只從不在勿擾時段的分鐘裡挑，整個時間窗都在勿擾時段內才跳過
+    const minutes = Math.floor((end - earliest) / 60000);
+    const candidates = [];
+    for (let m = 0; m <= minutes; m += 1) {
+      const time = new Date(earliest + m * 60000);
+      if (!isInQuietHours({ hour: time.getHours(), minute: time.getMinutes() }, quietHours)) {
+        candidates.push(time);
+      }
+    }
+    if (candidates.length === 0) continue;
+    const chosen = candidates[Math.floor(random() * candidates.length)];
+    times.push(chosen);
+    previous = chosen.getTime();
+  }
+  return times;
+};
+
+// 產生未來幾天的提醒：[{ dateKey, slot, scheduledFor }]（slot：當天第幾個提醒）
+// - skipDateKeys：已經排過的日子（補排時不重複產生）
+// - notBefore：早於這個時間的提醒丟掉（例如今天已經過去的時段、暫停期間）
+// - weekdays：只在這些星期排（1 = 星期日 ... 7 = 星期六）
+export const generateEsmPrompts = (
+  esmSettings,
+  {
+    now = new Date(),
+    notBefore = now,
+    skipDateKeys = [],
+    weekdays = null,
+    random = Math.random,
+    quietHours = null,
+  } = {}
+) => {
+  const esm = normalizeEsmSettings(esmSettings);
+  const skip = new Set(skipDateKeys);
+  const prompts = [];
+
+  for (let i = 0; i < esm.daysAhead; i += 1) {
+    const day = addDays(now, i);
+    const dateKey = toDateKey(day);
+    if (skip.has(dateKey)) continue;
+    if (weekdays && !weekdays.includes(day.getDay() + 1)) continue;
+
+    generateEsmDay(day, esm, { random, quietHours }).forEach((time, slot) => {
+      if (time > notBefore) {
+        prompts.push({ dateKey, slot, scheduledFor: time.toISOString() });
+      }
+    });
+  }
+  return prompts;
+};
+
+// 回應延遲（分鐘）：紀錄時間 - 提醒時間；沒有提醒或時間不合理回傳 null
+export const responseLatencyMinutes = (promptTime, logTimestamp) => {
+  const diff = new Date(logTimestamp) - new Date(promptTime);
+  return Number.isFinite(diff) && diff >= 0 ? diff / 60000 : null;
+};
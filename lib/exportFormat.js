@@ -0,0 +1,177 @@
+// 匯出檔格式（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// ZIP 內容：
+//   manifest.json   { format, schemaVersion, exportedAt, range, logCount, videoCount, missingVideos }
+//   logs.json       紀錄陣列（欄位見 EXPORT_LOG_FIELDS，影片改成 ZIP 內的相對路徑 video）
+//   logs.csv        方便用試算表開啟：clientId、時間、心情、經緯度、地點標籤、問卷答案（JSON）、影片
+//   videos/         影片檔，檔名 emogo_vlog_<clientId>.<副檔名>
+//
+// 格式有不相容的變動時遞增 EXPORT_SCHEMA_VERSION；匯入（importer.js）時會檢查，
+// 比 App 新的版本會拒絕匯入。
+
+export const EXPORT_FORMAT = "emogo-export";
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const MANIFEST_FILE = "manifest.json";
+export const LOGS_JSON_FILE = "logs.json";
+export const LOGS_CSV_FILE = "logs.csv";
+export const VIDEOS_DIR = "videos";
+
+// 匯出的紀錄欄位；本機專用的 id、上傳狀態、影片的本機路徑不匯出
+export const EXPORT_LOG_FIELDS = [
+  "clientId",
+  "timestamp",
+  "mood",
+  "lat",
+  "lng",
+  "locationPrivacy",
+  "locationLabel",
+  "answers",
+  "questionnaireId",
+  "questionnaireVersion",
+  "promptId",
+  "promptScheduledAt",
+  "promptDeliveredAt",
+  "promptOpenedAt",
+  "videoSize",
+  "videoChecksum",
+  "editedAt",
+  "confirmedAt",
+];
+
+const CSV_COLUMNS = [
+  "clientId",
+  "timestamp",
+  "mood",
+  "lat",
+  "lng",
+  "locationLabel",
+  "answers",
+  "video",
+];
+
+const extensionOf = (uri) => {
+  const match = /\.([a-z0-9]{2,4})(?:[?#].*)?$/i.exec(uri ?? "");
+  return match ? match[1].toLowerCase() : "mp4";
+};
+
+// 影片在 ZIP 內的路徑
+export const exportVideoPath = (log) =>
+  `${VIDEOS_DIR}/emogo_vlog_${log.clientId}.${extensionOf(log.videoUri)}`;
+
+// 本機紀錄 -> logs.json 的一筆；hasVideo 為 false 時（檔案不見了）video 為 null
+export const toExportLog = (log, { hasVideo = Boolean(log.videoUri) } = {}) => {
+  const record = {};
+  for (const field of EXPORT_LOG_FIELDS) {
+    record[field] = log[field] ?? null;
+  }
+  record.video = hasVideo ? exportVideoPath(log) : null;
+  return record;
+};
+
+// RFC 4180：含逗號、引號或換行的欄位用雙引號包起來，引號重複一次
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// 匯出紀錄 -> CSV 文字（第一列為欄位名稱，換行用 CRLF）
+export const exportLogsToCsv = (exportLogs) =>
+  [CSV_COLUMNS, ...exportLogs.map((log) => CSV_COLUMNS.map((c) => log[c]))]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n") + "\r\n";
+
+export const buildManifest = ({
+  exportLogs,
+  range = {},
+  missingVideos = [],
+  exportedAt = new Date(),
+}) => ({
+  format: EXPORT_FORMAT,
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  range: { from: range.from ?? null, to: range.to ?? null },
+  logCount: exportLogs.length,
+  videoCount: exportLogs.filter((log) => log.video).length,
+  missingVideos,
+});
+
+// 匯出檔名，例如 emogo-export-2026-10-19.zip
+export const exportArchiveName = (exportedAt = new Date()) => {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `emogo-export-${exportedAt.getFullYear()}-${pad(
+    exportedAt.getMonth() + 1
+  )}-${pad(exportedAt.getDate())}.zip`;
+};
+
+// ---------- 匯入 ----------
+
+// 檢查 manifest.json；回傳錯誤訊息陣列（空陣列表示可以匯入）
+export const validateManifest = (manifest) => {
+  if (!manifest || typeof manifest !== "object") {
+    return ["manifest.json is missing or not an object"];
+  }
+  if (manifest.format !== EXPORT_FORMAT) {
+    return [`not an Emogo export (format: ${manifest.format})`];
+  }
+  if (!Number.isInteger(manifest.schemaVersion) || manifest.schemaVersion < 1) {
+    return [`invalid schemaVersion: ${manifest.schemaVersion}`];
+  }
+  if (manifest.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    return [
+      `export schema v${manifest.schemaVersion} is newer than this app (v${EXPORT_SCHEMA_VERSION}); please update the app`,
+    ];
+  }
+  return [];
+};
+
+const isNullableNumber = (value) =>
+  value === null ||
+  value === undefined ||
+  (typeof value === "number" && Number.isFinite(value));
+
+// 檢查 logs.json 的一筆；回傳錯誤訊息陣列
+export const validateExportLog = (record) => {
+  if (!record || typeof record !== "object") return ["record is not an object"];
+  const errors = [];
+  if (typeof record.clientId !== "string" || !record.clientId) {
+    errors.push("clientId must be a non-empty string");
+  }
+  if (
+    typeof record.timestamp !== "string" ||
+    Number.isNaN(Date.parse(record.timestamp))
+  ) {
+    errors.push("timestamp must be an ISO date string");
+  }
+  for (const field of ["mood", "lat", "lng", "videoSize", "questionnaireVersion"]) {
+    if (!isNullableNumber(record[field])) {
+      errors.push(`${field} must be a number or null`);
+    }
+  }
+  if (
+    record.answers != null &&
+    (typeof record.answers !== "object" || Array.isArray(record.answers))
+  ) {
+    errors.push("answers must be an object or null");
+  }
+  if (
+    record.video != null &&
+    (typeof record.video !== "string" ||
+      !record.video.startsWith(`${VIDEOS_DIR}/`) ||
+      record.video.includes(".."))
+  ) {
+    errors.push(`video must be a path inside ${VIDEOS_DIR}/`);
+  }
+  return errors;
+};
+
+// logs.json 的一筆 -> 寫進 repository 的欄位（影片另外處理）
+export const fromExportLog = (record) => {
+  const log = {};
+  for (const field of EXPORT_LOG_FIELDS) {
+    if (field === "confirmedAt") continue;
+    log[field] = record[field] ?? null;
+  }
+  return log;
+};
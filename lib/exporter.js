@@ -0,0 +1,130 @@
+// 匯出所有紀錄與影片成一個 ZIP（格式見 exportFormat.js），再交給系統分享選單
+// 影片一段一段讀、直接寫進輸出檔（見 zipWriter.js），不會把整個 ZIP 或整支影片放進記憶體
+import { Platform } from "react-native";
+import * as Sharing from "expo-sharing";
+import { File, Paths } from "expo-file-system";
+
+import {
+  LOGS_CSV_FILE,
+  LOGS_JSON_FILE,
+  MANIFEST_FILE,
+  buildManifest,
+  exportArchiveName,
+  exportLogsToCsv,
+  exportVideoPath,
+  toExportLog,
+} from "./exportFormat";
+import { createZipWriter } from "./zipWriter";
+
+const isWeb = Platform.OS === "web";
+
+// 每次讀 1 MB 影片寫進 ZIP
+const READ_CHUNK_SIZE = 1024 * 1024;
+
+function* readFileChunks(file) {
+  const handle = file.open();
+  try {
+    const size = file.size;
+    let offset = 0;
+    while (offset < size) {
+      const bytes = handle.readBytes(Math.min(READ_CHUNK_SIZE, size - offset));
+      if (bytes.length === 0) break;
+      offset += bytes.length;
+      yield bytes;
+    }
+  } finally {
+    handle.close();
+  }
+}
+
+// 建立 ZIP；from / to 為 ISO 字串（可省略）
+// onProgress(done, total) 每處理完一筆紀錄呼叫一次
+// 回傳 { manifest, name, uri }（Web 回傳 blob 而不是 uri）
+export const createExportArchive = async (
+  repository,
+  { from = null, to = null, onProgress } = {}
+) => {
+  // repository 回傳最新在前，匯出檔依時間先後排列
+  const logs = (await repository.list({ limit: null, filters: { from, to } }))
+    .slice()
+    .reverse();
+
+  const name = exportArchiveName();
+
+  // Web 沒有影片，ZIP 很小，先收在記憶體再做成 Blob
+  const parts = [];
+  let file = null;
+  let handle = null;
+  if (!isWeb) {
+    file = new File(Paths.cache, name);
+    if (file.exists) {
+      file.delete();
+    }
+    file.create();
+    handle = file.open();
+  }
+  const zip = createZipWriter((bytes) =>
+    isWeb ? parts.push(bytes) : handle.writeBytes(bytes)
+  );
+
+  const exportLogs = [];
+  const missingVideos = [];
+  let manifest;
+  try {
+    for (const [index, log] of logs.entries()) {
+      let hasVideo = false;
+      if (log.videoUri) {
+        const clip = isWeb ? null : new File(log.videoUri);
+        if (clip?.exists) {
+          await zip.addFile(exportVideoPath(log), readFileChunks(clip));
+          hasVideo = true;
+        } else {
+          missingVideos.push(log.clientId);
+        }
+      }
+      exportLogs.push(toExportLog(log, { hasVideo }));
+      onProgress?.(index + 1, logs.length);
+    }
+
+    manifest = buildManifest({ exportLogs, range: { from, to }, missingVideos });
+    await zip.addText(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+    await zip.addText(LOGS_JSON_FILE, JSON.stringify(exportLogs, null, 2));
+    await zip.addText(LOGS_CSV_FILE, exportLogsToCsv(exportLogs));
+    await zip.finish();
+  } catch (e) {
+    // 寫到一半失敗：不留下不完整的 ZIP
+    handle?.close();
+    if (file?.exists) {
+      file.delete();
+    }
+    throw e;
+  }
+
+  if (isWeb) {
+    return { manifest, name, blob: new Blob(parts, { type: "application/zip" }) };
+  }
+  handle.close();
+  return { manifest, name, uri: file.uri };
+};
+
+// 開啟分享選單（Web 直接下載）
+export const shareExportArchive = async (archive) => {
+  if (isWeb) {
+    const url = URL.createObjectURL(archive.blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = archive.name;
+    link.click();
+    URL.revokeObjectURL(url);
+    return;
+  }
+
+  if (!(await Sharing.isAvailableAsync())) {
+    throw new Error("Sharing is not available on this device");
+  }
+  await Sharing.shareAsync(archive.uri, {
+    mimeType: "application/zip",
+    UTI: "public.zip-archive",
+    dialogTitle: "匯出 Emogo 紀錄",
+  });
+};
@@ -0,0 +1,146 @@
+// 從匯出的 ZIP（見 exportFormat.js）還原紀錄與影片
+//
+// 以 clientId 合併：本機已經有的紀錄略過，不會產生重複；
+// 單筆失敗（格式錯誤、影片損毀）不影響其他紀錄。
+// App 上還原的紀錄會放進上傳佇列，後端已經有的會在對帳時直接標成已上傳。
+import { Platform } from "react-native";
+import JSZip from "jszip";
+import * as DocumentPicker from "expo-document-picker";
+import { File } from "expo-file-system";
+
+import {
+  LOGS_JSON_FILE,
+  MANIFEST_FILE,
+  fromExportLog,
+  validateExportLog,
+  validateManifest,
+} from "./exportFormat";
+import { deleteClip, saveClipBytes } from "./videoStore";
+
+const isWeb = Platform.OS === "web";
+
+// 讓使用者選一個 ZIP；取消時回傳 null
+export const pickExportArchive = async () => {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: [
+      "application/zip",
+      "application/x-zip-compressed",
+      "application/octet-stream",
+    ],
+    copyToCacheDirectory: true,
+    multiple: false,
+  });
+  if (result.canceled || !result.assets?.length) return null;
+  return result.assets[0];
+};
+
+// 整個 ZIP 要讀進記憶體才能解開，太大的檔案可能讓 App 被系統關掉，先拒絕
+export const MAX_IMPORT_BYTES = 300 * 1024 * 1024;
+
+export const IMPORT_ERROR = {
+  ARCHIVE_TOO_LARGE: "ARCHIVE_TOO_LARGE",
+};
+
+const tooLargeError = (size) => {
+  const error = new Error(
+    `Archive is ${size} bytes; the limit is ${MAX_IMPORT_BYTES} bytes`
+  );
+  error.code = IMPORT_ERROR.ARCHIVE_TOO_LARGE;
+  return error;
+};
+
+const readArchive = async (uri) => {
+  let bytes;
+  if (isWeb) {
+    const blob = await (await fetch(uri)).blob();
+    if (blob.size > MAX_IMPORT_BYTES) throw tooLargeError(blob.size);
+    bytes = await blob.arrayBuffer();
+  } else {
+    const file = new File(uri);
+    if (file.size > MAX_IMPORT_BYTES) throw tooLargeError(file.size);
+    bytes = await file.bytes();
+  }
+  return JSZip.loadAsync(bytes);
+};
+
+const readJson = async (zip, name) => {
+  const entry = zip.file(name);
+  if (!entry) throw new Error(`${name} is missing from the archive`);
+  try {
+    return JSON.parse(await entry.async("string"));
+  } catch (e) {
+    throw new Error(`${name} is not valid JSON`);
+  }
+};
+
+// 還原一筆；回傳 "imported" | "skipped"，失敗時丟出錯誤
+const importRecord = async (repository, zip, record, knownClientIds) => {
+  const errors = validateExportLog(record);
+  if (errors.length > 0) {
+    throw new Error(errors.join("; "));
+  }
+  if (knownClientIds.has(record.clientId)) {
+    return "skipped";
+  }
+
+  let stored = { videoUri: "", videoSize: null, videoChecksum: null };
+  if (record.video && !isWeb) {
+    const entry = zip.file(record.video);
+    if (!entry) throw new Error(`${record.video} is missing from the archive`);
+    stored = await saveClipBytes(
+      await entry.async("uint8array"),
+      record.clientId,
+      record.video
+    );
+    if (record.videoChecksum && stored.videoChecksum !== record.videoChecksum) {
+      await deleteClip(stored.videoUri);
+      throw new Error(`${record.video} checksum does not match`);
+    }
+  }
+
+  // App 上 repository.create 會一起把紀錄放進上傳佇列
+  try {
+    await repository.create({ ...fromExportLog(record), ...stored });
+  } catch (e) {
+    await deleteClip(stored.videoUri);
+    throw e;
+  }
+  knownClientIds.add(record.clientId);
+  return "imported";
+};
+
+// 匯入整個 ZIP；manifest 不合法或檔案太大（code 為 ARCHIVE_TOO_LARGE）時
+// 直接丟出錯誤（什麼都不會寫入）
+// 回傳 { imported, skipped, failed, errors: [{ clientId, message }] }
+export const importExportArchive = async (repository, uri, { onProgress } = {}) => {
+  const zip = await readArchive(uri);
+
+  const manifestErrors = validateManifest(await readJson(zip, MANIFEST_FILE));
+  if (manifestErrors.length > 0) {
+    throw new Error(manifestErrors.join("; "));
+  }
+
+  const records = await readJson(zip, LOGS_JSON_FILE);
+  if (!Array.isArray(records)) {
+    throw new Error(`${LOGS_JSON_FILE} must be an array`);
+  }
+
+  const existing = await repository.list({ limit: null });
+  const knownClientIds = new Set(existing.map((log) => log.clientId));
+  const report = { imported: 0, skipped: 0, failed: 0, errors: [] };
+
+  for (const [index, record] of records.entries()) {
+    try {
+      const outcome = await importRecord(repository, zip, record, knownClientIds);
+      report[outcome] += 1;
+    } catch (e) {
+      report.failed += 1;
+      report.errors.push({
+        clientId: record?.clientId ?? `#${index + 1}`,
+        message: String(e?.message ?? e),
+      });
+    }
+    onProgress?.(index + 1, records.length);
+  }
+  return report;
+};
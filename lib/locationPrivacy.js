@@ -0,0 +1,195 @@
+// 位置隱私：儲存紀錄前依參與者選的等級處理 GPS 座標
+// （純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+//   precise  原始座標
+//   grid     對齊到方格中心（例如 1 公里見方），同一格內的位置都一樣
+//   jitter   在半徑範圍內隨機偏移
+//   places   只記「住家 / 工作地點 / 其他」，不存座標
+//   none     不記錄位置（也不請求位置權限）
+
+export const LOCATION_PRIVACY = {
+  PRECISE: "precise",
+  GRID: "grid",
+  JITTER: "jitter",
+  PLACES: "places",
+  NONE: "none",
+};
+
+export const LOCATION_PRIVACY_LABELS = {
+  precise: "精確位置",
+  grid: "模糊到方格",
+  jitter: "隨機偏移",
+  places: "只記住家 / 工作地點",
+  none: "不記錄位置",
+};
+
+export const GRID_METERS_OPTIONS = [500, 1000, 5000];
+export const JITTER_METERS_OPTIONS = [200, 500, 1000];
+
+// places 等級的地點標籤；不在任何地點範圍內時記為 other
+export const PLACE_LABELS = {
+  home: "住家",
+  work: "工作地點",
+  other: "其他地點",
+};
+export const PLACE_RADIUS_METERS = 200;
+
+export const DEFAULT_LOCATION_SETTINGS = {
+  privacy: LOCATION_PRIVACY.GRID,
+  gridMeters: 1000,
+  jitterMeters: 500,
+  // { home: { lat, lng, radiusMeters }, work: ... }
+  places: {},
+};
+
+// 緯度 1 度約 111.32 公里；經度 1 度的長度隨緯度變短
+const METERS_PER_DEGREE = 111320;
+
+const metersPerLngDegree = (lat) =>
+  METERS_PER_DEGREE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// 兩點之間的距離（公尺，haversine）
+export const distanceMeters = (a, b) => {
+  const earthRadius = 6371000;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * earthRadius * Math.asin(Math.sqrt(h));
+};
+
+const isCoordinate = (value) =>
+  value &&
+  Number.isFinite(Number(value.lat)) &&
+  Number.isFinite(Number(value.lng));
+
+const pick = (value, options, fallback) =>
+  options.includes(Number(value)) ? Number(value) : fallback;
+
+export const normalizeLocationSettings = (settings = {}) => {
+  const places = {};
+  for (const label of ["home", "work"]) {
+    const place = settings.places?.[label];
+    if (isCoordinate(place)) {
+      places[label] = {
+        lat: Number(place.lat),
+        lng: Number(place.lng),
+        radiusMeters: Number(place.radiusMeters) || PLACE_RADIUS_METERS,
+      };
+    }
+  }
+  return {
+    privacy: Object.values(LOCATION_PRIVACY).includes(settings.privacy)
+      ? settings.privacy
+      : DEFAULT_LOCATION_SETTINGS.privacy,
+    gridMeters: pick(
+      settings.gridMeters,
+      GRID_METERS_OPTIONS,
+      DEFAULT_LOCATION_SETTINGS.gridMeters
+    ),
+    jitterMeters: pick(
+      settings.jitterMeters,
+      JITTER_METERS_OPTIONS,
+      DEFAULT_LOCATION_SETTINGS.jitterMeters
+    ),
+    places,
+  };
+};
+
+// 這個等級需不需要讀 GPS（none 不需要，連權限都不用要）
+export const needsCoordinates = (settings) =>
+  settings.privacy !== LOCATION_PRIVACY.NONE;
+
+// 對齊到方格中心；經度方向的格子寬度依所在緯度列計算，同一格永遠得到同一點
+const snapToGrid = ({ lat, lng }, meters) => {
+  const latStep = meters / METERS_PER_DEGREE;
+  const row = Math.floor(lat / latStep);
+  const rowLat = (row + 0.5) * latStep;
+  const lngStep = meters / metersPerLngDegree(rowLat);
+  return {
+    lat: rowLat,
+    lng: (Math.floor(lng / lngStep) + 0.5) * lngStep,
+  };
+};
+
+// 在圓內均勻取一點（半徑取平方根，才不會集中在中心）
+const jitter = ({ lat, lng }, meters, random) => {
+  const distance = meters * Math.sqrt(random());
+  const angle = 2 * Math.PI * random();
+  return {
+    lat: lat + (distance * Math.cos(angle)) / METERS_PER_DEGREE,
+    lng: lng + (distance * Math.sin(angle)) / metersPerLngDegree(lat),
+  };
+};
+
+const nearestPlace = (coords, places) => {
+  let best = null;
+  for (const [label, place] of Object.entries(places)) {
+    const distance = distanceMeters(coords, place);
+    if (distance <= place.radiusMeters && (!best || distance < best.distance)) {
+      best = { label, distance };
+    }
+  }
+  return best?.label ?? "other";
+};
+
+// 原始座標 -> 要寫進紀錄的 { lat, lng, locationLabel, locationPrivacy }
+// coords 為 null（沒有權限、定位失敗）時只記下等級，位置欄位都是 null
+// random 可以替換，方便測試
+export const applyLocationPrivacy = (coords, settings, random = Math.random) => {
+  const empty = {
+    lat: null,
+    lng: null,
+    locationLabel: null,
+    locationPrivacy: settings.privacy,
+  };
+  if (!isCoordinate(coords) || settings.privacy === LOCATION_PRIVACY.NONE) {
+    return empty;
+  }
+
+  const point = { lat: Number(coords.lat), lng: Number(coords.lng) };
+  switch (settings.privacy) {
+    case LOCATION_PRIVACY.PRECISE:
+      return { ...empty, ...point };
+    case LOCATION_PRIVACY.GRID:
+      return { ...empty, ...snapToGrid(point, settings.gridMeters) };
+    case LOCATION_PRIVACY.JITTER:
+      return { ...empty, ...jitter(point, settings.jitterMeters, random) };
+    case LOCATION_PRIVACY.PLACES:
+      return { ...empty, locationLabel: nearestPlace(point, settings.places) };
+    default:
+      return empty;
+  }
+};
+
+// 顯示給參與者看的說明：儲存紀錄時會記下什麼位置資訊
+export const describeLocationPrivacy = (settings) => {
+  switch (settings.privacy) {
+    case LOCATION_PRIVACY.PRECISE:
+      return "儲存時會記錄目前的精確位置（GPS）。";
+    case LOCATION_PRIVACY.GRID:
+      return `儲存時只記錄約 ${settings.gridMeters} 公尺見方的大概位置。`;
+    case LOCATION_PRIVACY.JITTER:
+      return `儲存時記錄的位置會隨機偏移最多 ${settings.jitterMeters} 公尺。`;
+    case LOCATION_PRIVACY.PLACES:
+      return "儲存時只記錄在住家、工作地點或其他地點，不記錄座標。";
+    default:
+      return "儲存時不會記錄任何位置資訊。";
+  }
+};
+
+// 紀錄上的位置要怎麼顯示（詳情頁用）
+export const formatLogLocation = (log) => {
+  if (log.locationLabel) {
+    return PLACE_LABELS[log.locationLabel] ?? log.locationLabel;
+  }
+  if (log.lat == null || log.lng == null) return "(無)";
+  const text = `${Number(log.lat).toFixed(5)}, ${Number(log.lng).toFixed(5)}`;
+  const privacy = LOCATION_PRIVACY_LABELS[log.locationPrivacy];
+  return log.locationPrivacy && log.locationPrivacy !== LOCATION_PRIVACY.PRECISE
+    ? `${text}（${privacy}）`
+    : text;
+};
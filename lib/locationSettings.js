@@ -0,0 +1,30 @@
+// 位置隱私設定（設定頁選擇，記錄畫面儲存時使用；處理方式見 locationPrivacy.js）
+import { getSetting, setSetting } from "./settingsStore";
+import {
+  DEFAULT_LOCATION_SETTINGS,
+  LOCATION_PRIVACY,
+  normalizeLocationSettings,
+} from "./locationPrivacy";
+import { getStudyConfig } from "./studyConfigStore";
+
+const SETTINGS_KEY = "location";
+
+// 研究要求一定要有位置（studyConfig.location.required）時不能選「不記錄位置」，改用預設等級
+export const loadLocationSettings = async () => {
+  const settings = normalizeLocationSettings(
+    await getSetting(SETTINGS_KEY, DEFAULT_LOCATION_SETTINGS)
+  );
+  if (settings.privacy === LOCATION_PRIVACY.NONE && (await isLocationRequired())) {
+    return { ...settings, privacy: DEFAULT_LOCATION_SETTINGS.privacy };
+  }
+  return settings;
+};
+
+export const isLocationRequired = async () =>
+  (await getStudyConfig()).location.required;
+
+export const saveLocationSettings = async (settings) => {
+  const normalized = normalizeLocationSettings(settings);
+  await setSetting(SETTINGS_KEY, normalized);
+  return normalized;
+};
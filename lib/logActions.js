@@ -0,0 +1,173 @@
+// 參與者對單筆紀錄的修改 / 刪除，以及「清除所有紀錄」
+//
+// 本機立刻生效；已加入研究時再把變更交給上傳佇列送到後端（見 logChanges.js）。
+// 刪除（整筆或只刪影片）會先等 UNDO_WINDOW_MS，這段時間內可以復原（畫面見 UndoBar）；
+// App 進到背景時不再等，直接刪除，避免 App 被系統關掉後刪除沒有發生。
+import { AppState } from "react-native";
+
+import { isEnrolled } from "./authStore";
+import { LOG_CHANGE_OPS, enqueueLogChange, sendLogChange } from "./logChanges";
+import { moodFromAnswers, normalizeAnswers } from "./questionnaire";
+import { clearSamples } from "./sensorSamples";
+import { triggerUploadQueue } from "./uploadQueue";
+import {
+  clearLogsWithClips,
+  deleteLogWithClip,
+  deleteVideoOfLog,
+} from "./videoStore";
+
+export const UNDO_WINDOW_MS = 6000;
+
+export const DELETION_KINDS = {
+  LOG: "log",
+  VIDEO: "video",
+};
+
+// 通知後端：App 放進佇列（離線時之後重試），Web 預覽沒有佇列，直接送一次
+const propagate = async (repository, op, log = null) => {
+  if (!(await isEnrolled())) return;
+  const clientId = log?.clientId ?? null;
+  if (repository.db) {
+    await enqueueLogChange(repository.db, clientId, op);
+    triggerUploadQueue();
+    return;
+  }
+  try {
+    await sendLogChange({ clientId, op }, log);
+  } catch (e) {
+    console.log("send log change error:", e);
+  }
+};
+
+// 修改心情與答案：答案依目前的問卷整理，目前問卷沒有的舊題目保留原本的答案
+// 回傳更新後的紀錄
+export const editLogAnswers = async (repository, log, definition, answers) => {
+  const savedAnswers = {
+    ...(log.answers ?? {}),
+    ...normalizeAnswers(definition, answers),
+  };
+  const updated = await repository.update(log.id, {
+    answers: savedAnswers,
+    mood: moodFromAnswers(savedAnswers),
+    editedAt: new Date().toISOString(),
+  });
+  await propagate(repository, LOG_CHANGE_OPS.UPDATE, updated);
+  return updated;
+};
+
+const commitDeletion = async (repository, log, kind) => {
+  if (kind === DELETION_KINDS.VIDEO) {
+    await deleteVideoOfLog(repository, log.id);
+    if (repository.db) {
+      // 影片還沒傳完的話，分段上傳的進度也不要了
+      await repository.db.runAsync(
+        "UPDATE outbox SET uploadId = NULL, uploadOffset = 0, uploadSize = NULL WHERE logId = ?",
+        log.id
+      );
+    }
+    await propagate(repository, LOG_CHANGE_OPS.DELETE_VIDEO, log);
+    return;
+  }
+  await deleteLogWithClip(repository, log.id);
+  await propagate(repository, LOG_CHANGE_OPS.DELETE, log);
+};
+
+// 等待中的刪除：logId -> { logId, log, kind, timer, run }
+const pendingDeletions = new Map();
+const pendingListeners = new Set();
+// 這次開 App 後已經刪除的紀錄 id（id 不會重複使用），還沒重新讀取的列表用來過濾
+const deletedLogIds = new Set();
+
+export const getPendingDeletions = () =>
+  [...pendingDeletions.values()].map(({ logId, kind }) => ({ logId, kind }));
+
+// 已刪除或正在等待刪除的紀錄 id
+export const getDeletedLogIds = () => {
+  const ids = new Set(deletedLogIds);
+  pendingDeletions.forEach((entry) => {
+    if (entry.kind === DELETION_KINDS.LOG) ids.add(entry.logId);
+  });
+  return ids;
+};
+
+// listener(pending)，pending 為 [{ logId, kind }]
+export const subscribePendingDeletions = (listener) => {
+  pendingListeners.add(listener);
+  return () => pendingListeners.delete(listener);
+};
+
+const emitPending = () => {
+  const pending = getPendingDeletions();
+  pendingListeners.forEach((listener) => listener(pending));
+};
+
+// 排定刪除（確認之後呼叫）；UNDO_WINDOW_MS 內可以用 undoDeletion 取消
+export const scheduleDeletion = (repository, log, kind) => {
+  const existing = pendingDeletions.get(log.id);
+  if (existing?.kind === DELETION_KINDS.LOG) return;
+  // 先刪影片、接著又刪整筆：刪整筆時影片也會一起刪
+  if (existing) clearTimeout(existing.timer);
+
+  const entry = { logId: log.id, log, kind, timer: null, run: null };
+  entry.run = async () => {
+    clearTimeout(entry.timer);
+    if (pendingDeletions.get(log.id) !== entry) return;
+    pendingDeletions.delete(log.id);
+    try {
+      await commitDeletion(repository, log, kind);
+      if (kind === DELETION_KINDS.LOG) deletedLogIds.add(log.id);
+    } catch (e) {
+      console.log("delete log error:", e);
+    }
+    emitPending();
+  };
+  entry.timer = setTimeout(entry.run, UNDO_WINDOW_MS);
+  pendingDeletions.set(log.id, entry);
+  emitPending();
+};
+
+export const undoDeletion = (logId) => {
+  const entry = pendingDeletions.get(logId);
+  if (!entry) return false;
+  clearTimeout(entry.timer);
+  pendingDeletions.delete(logId);
+  emitPending();
+  return true;
+};
+
+export const flushPendingDeletions = () =>
+  Promise.all([...pendingDeletions.values()].map((entry) => entry.run()));
+
+AppState.addEventListener("change", (state) => {
+  if (state !== "active") flushPendingDeletions();
+});
+
+// 清除所有紀錄與影片（App 上連被動感測的樣本一起）；
+// includeServer 時連後端已經上傳的紀錄也刪除。回傳刪除的影片數量
+export const clearAllLogs = async (repository, { includeServer = false } = {}) => {
+  // 等待中的刪除不用再等了，本機紀錄全部都要清掉
+  const pending = [...pendingDeletions.values()];
+  pending.forEach((entry) => clearTimeout(entry.timer));
+  pendingDeletions.clear();
+  emitPending();
+
+  const removed = await clearLogsWithClips(repository);
+  if (repository.db) {
+    await clearSamples(repository.db);
+  }
+  if (includeServer) {
+    await propagate(repository, LOG_CHANGE_OPS.CLEAR);
+  } else {
+    // 只清手機時，剛才個別刪除的紀錄 / 影片還是要從後端刪掉
+    for (const entry of pending) {
+      await propagate(
+        repository,
+        entry.kind === DELETION_KINDS.VIDEO
+          ? LOG_CHANGE_OPS.DELETE_VIDEO
+          : LOG_CHANGE_OPS.DELETE,
+        entry.log
+      );
+    }
+  }
+  return removed;
+};
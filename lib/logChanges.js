@@ -0,0 +1,84 @@
+// 修改 / 刪除紀錄後要通知後端的變更（log_changes 表）
+//
+// 每個變更只記 clientId 與種類（op），送出時才讀紀錄目前的內容：
+//   update        PATCH 心情與答案；同一筆重複修改只留最後一個
+//   delete_video  只刪影片
+//   delete        刪除整筆紀錄；同一筆之前還沒送出的變更都不用送了
+//   clear         刪除所有紀錄；之前還沒送出的變更都不用送了
+// 由上傳佇列依序送出、失敗時重試（見 uploadQueue.js 的 processOutbox）。
+import {
+  deleteAllLogsOnServer,
+  deleteLogOnServer,
+  deleteLogVideoOnServer,
+  updateLogOnServer,
+} from "./api";
+
+export const LOG_CHANGE_OPS = {
+  UPDATE: "update",
+  DELETE_VIDEO: "delete_video",
+  DELETE: "delete",
+  CLEAR: "clear",
+};
+
+export const enqueueLogChange = async (db, clientId, op) => {
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    if (op === LOG_CHANGE_OPS.CLEAR) {
+      await txn.runAsync("DELETE FROM log_changes");
+    } else if (op === LOG_CHANGE_OPS.DELETE) {
+      await txn.runAsync("DELETE FROM log_changes WHERE clientId = ?", clientId);
+    } else {
+      await txn.runAsync(
+        "DELETE FROM log_changes WHERE clientId = ? AND op = ?",
+        clientId,
+        op
+      );
+    }
+    await txn.runAsync(
+      "INSERT INTO log_changes (clientId, op, createdAt) VALUES (?, ?, ?)",
+      clientId,
+      op,
+      new Date().toISOString()
+    );
+  });
+};
+
+// 還沒送出的「清除所有紀錄」：送出前不能上傳新紀錄，不然會被一起刪掉
+export const hasPendingClear = async (db) =>
+  Boolean(
+    await db.getFirstAsync(
+      "SELECT id FROM log_changes WHERE op = ? LIMIT 1",
+      LOG_CHANGE_OPS.CLEAR
+    )
+  );
+
+// 紀錄上可以修改的欄位（PATCH 的 body）
+export const editableFields = (log) => ({
+  mood: log.mood ?? null,
+  answers: log.answers ?? null,
+  questionnaireId: log.questionnaireId ?? null,
+  questionnaireVersion: log.questionnaireVersion ?? null,
+  editedAt: log.editedAt ?? null,
+});
+
+// 送出一個變更；log 是紀錄目前的內容（update 才需要）
+// 後端沒有這筆紀錄時也算完成：還沒上傳的紀錄之後會帶著最新內容上傳
+export const sendLogChange = async (change, log = null) => {
+  switch (change.op) {
+    case LOG_CHANGE_OPS.UPDATE:
+      // 送出前紀錄已經被刪掉：delete 那一個變更會處理
+      if (!log) return;
+      await updateLogOnServer(change.clientId, editableFields(log));
+      return;
+    case LOG_CHANGE_OPS.DELETE_VIDEO:
+      await deleteLogVideoOnServer(change.clientId);
+      return;
+    case LOG_CHANGE_OPS.DELETE:
+      await deleteLogOnServer(change.clientId);
+      return;
+    case LOG_CHANGE_OPS.CLEAR:
+      await deleteAllLogsOnServer();
+      return;
+    default:
+      throw new Error(`unknown log change: ${change.op}`);
+  }
+};
@@ -0,0 +1,372 @@
+// 紀錄存取層（repository）：畫面只透過這裡讀寫 logs
+//
+// - 原生 App：createSqliteLogRepository(db)，資料在 emogo.db
+// - Web：createStorageLogRepository(window.localStorage)，重新整理後紀錄仍在
+// - Node / 測試：createStorageLogRepository(createMemoryStorage())
+//
+// 兩種實作回傳相同形狀的物件，所有方法都是 async。
+// 這個檔案不 import 任何 react-native / expo 模組，才能直接在 Node 執行。
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// 寫入 logs 的欄位（id 由儲存層產生）
+const LOG_FIELDS = [
+  "clientId",
+  "timestamp",
+  "mood",
+  "videoUri",
+  // 影片檔大小（bytes）與 MD5，Web 上為 null
+  "videoSize",
+  "videoChecksum",
+  "lat",
+  "lng",
+  // 位置隱私等級；places 等級只有 locationLabel（home / work / other），沒有座標
+  "locationPrivacy",
+  "locationLabel",
+  // 由通知點進來時才有值（見 prompts.js）
+  "promptId",
+  "promptScheduledAt",
+  "promptDeliveredAt",
+  "promptOpenedAt",
+  // 問卷答案（物件；SQLite 中以 JSON 字串儲存）
+  "answers",
+  "questionnaireId",
+  "questionnaireVersion",
+  // 參與者最後一次修改心情 / 答案的時間（沒改過為 null）
+  "editedAt",
+];
+
+// SQLite 只能存字串，answers 進出資料庫時轉換
+const toRow = (record) => ({
+  ...record,
+  answers: record.answers ? JSON.stringify(record.answers) : null,
+});
+
+const fromRow = (row) => {
+  if (!row || typeof row.answers !== "string") return row;
+  try {
+    return { ...row, answers: JSON.parse(row.answers) };
+  } catch (e) {
+    return { ...row, answers: null };
+  }
+};
+
+const pickLogFields = (log) => {
+  const record = {};
+  for (const field of LOG_FIELDS) {
+    record[field] = log[field] ?? null;
+  }
+  return record;
+};
+
+// update 可以改的欄位：clientId 建立後就固定
+const pickUpdatableFields = (patch) => {
+  const record = {};
+  for (const field of LOG_FIELDS) {
+    if (field !== "clientId" && field in patch) {
+      record[field] = patch[field] ?? null;
+    }
+  }
+  return record;
+};
+
+// 篩選條件（paginate 使用，全部都是選填）：
+//   moods: [1, 2]         只要這些心情分數
+//   from / to: ISO 字串   timestamp 範圍（含頭含尾）
+//   hasVideo: true/false  有沒有 vlog；null 表示不限
+//   query: 字串           在時間字串與問卷答案中搜尋（例如 "2026-10"、"通勤"）
+const normalizeFilters = (filters = {}) => ({
+  moods: filters.moods?.length ? filters.moods.map(Number) : null,
+  from: filters.from || null,
+  to: filters.to || null,
+  hasVideo: typeof filters.hasVideo === "boolean" ? filters.hasVideo : null,
+  query: filters.query?.trim() || null,
+});
+
+// storage 版本用的篩選（與 SQLite 的 WHERE 條件一致）
+export const matchesLogFilters = (log, filters) => {
+  const f = normalizeFilters(filters);
+  if (f.moods && !f.moods.includes(Number(log.mood))) return false;
+  if (f.from && !(log.timestamp >= f.from)) return false;
+  if (f.to && !(log.timestamp <= f.to)) return false;
+  if (f.hasVideo !== null && Boolean(log.videoUri) !== f.hasVideo) return false;
+  if (
+    f.query &&
+    !(log.timestamp ?? "").includes(f.query) &&
+    !JSON.stringify(log.answers ?? "").includes(f.query)
+  ) {
+    return false;
+  }
+  return true;
+};
+
+// ---------- SQLite ----------
+
+const buildFilterSql = (filters) => {
+  const f = normalizeFilters(filters);
+  const clauses = [];
+  const params = [];
+  if (f.moods) {
+    clauses.push(`logs.mood IN (${f.moods.map(() => "?").join(", ")})`);
+    params.push(...f.moods);
+  }
+  if (f.from) {
+    clauses.push("logs.timestamp >= ?");
+    params.push(f.from);
+  }
+  if (f.to) {
+    clauses.push("logs.timestamp <= ?");
+    params.push(f.to);
+  }
+  if (f.hasVideo === true) {
+    clauses.push("COALESCE(logs.videoUri, '') <> ''");
+  } else if (f.hasVideo === false) {
+    clauses.push("COALESCE(logs.videoUri, '') = ''");
+  }
+  if (f.query) {
+    clauses.push("(logs.timestamp LIKE ? OR logs.answers LIKE ?)");
+    params.push(`%${f.query}%`, `%${f.query}%`);
+  }
+  return { clauses, params };
+};
+
+const SELECT_LOGS = `
+  SELECT logs.*, outbox.status AS syncStatus, outbox.attempts AS syncAttempts,
+         outbox.uploadOffset AS uploadOffset, outbox.uploadSize AS uploadSize
+    FROM logs LEFT JOIN outbox ON outbox.logId = logs.id
+`;
+
+export const createSqliteLogRepository = (db) => ({
+  db,
+
+  // 紀錄和它的上傳佇列（outbox）列在同一個交易裡寫入：
+  // 不會有存進手機、卻永遠不會上傳的紀錄（狀態預設 pending，見 uploadQueue.js）
+  create: async (log) => {
+    const record = pickLogFields(log);
+    const row = toRow(record);
+    let id;
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      const result = await txn.runAsync(
+        `INSERT INTO logs (${LOG_FIELDS.join(", ")}) VALUES (${LOG_FIELDS.map(
+          () => "?"
+        ).join(", ")})`,
+        ...LOG_FIELDS.map((field) => row[field])
+      );
+      id = result.lastInsertRowId;
+      await txn.runAsync(
+        "INSERT OR IGNORE INTO outbox (logId, updatedAt) VALUES (?, ?)",
+        id,
+        new Date().toISOString()
+      );
+    });
+    return { ...record, id, confirmedAt: null };
+  },
+
+  // limit 為 null 時回傳全部符合條件的紀錄（統計用）
+  list: async ({ limit = DEFAULT_PAGE_SIZE, filters } = {}) => {
+    const { clauses, params } = buildFilterSql(filters);
+    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    const rows = await db.getAllAsync(
+      `${SELECT_LOGS} ${where} ORDER BY logs.id DESC LIMIT ?`,
+      ...params,
+      limit ?? -1
+    );
+    return rows.map(fromRow);
+  },
+
+  getById: async (id) =>
+    fromRow(await db.getFirstAsync(`${SELECT_LOGS} WHERE logs.id = ?`, id)) ??
+    null,
+
+  // cursor 是上一頁最後一筆的 id；回傳 { items, nextCursor }
+  // 多讀一筆用來判斷是否還有下一頁
+  paginate: async ({ cursor = null, limit = DEFAULT_PAGE_SIZE, filters } = {}) => {
+    const { clauses, params } = buildFilterSql(filters);
+    if (cursor !== null) {
+      clauses.push("logs.id < ?");
+      params.push(cursor);
+    }
+    const where = clauses.length ? `WHERE ${clauses.join(" AND ")}` : "";
+    const rows = await db.getAllAsync(
+      `${SELECT_LOGS} ${where} ORDER BY logs.id DESC LIMIT ?`,
+      ...params,
+      limit + 1
+    );
+    const items = rows.slice(0, limit).map(fromRow);
+    const nextCursor = rows.length > limit ? items[items.length - 1].id : null;
+    return { items, nextCursor };
+  },
+
+  // 相鄰的一筆紀錄（播放器的上一段 / 下一段）
+  // direction: "older"（id 較小）或 "newer"（id 較大）；沒有時回傳 null
+  adjacent: async (id, { direction = "older", filters } = {}) => {
+    const { clauses, params } = buildFilterSql(filters);
+    clauses.push(direction === "newer" ? "logs.id > ?" : "logs.id < ?");
+    params.push(id);
+    const order = direction === "newer" ? "ASC" : "DESC";
+    return (
+      fromRow(
+        await db.getFirstAsync(
+          `${SELECT_LOGS} WHERE ${clauses.join(" AND ")} ORDER BY logs.id ${order} LIMIT 1`,
+          ...params
+        )
+      ) ?? null
+    );
+  },
+
+  // 只更新 patch 裡有的欄位；回傳更新後的紀錄
+  update: async (id, patch) => {
+    const record = pickUpdatableFields(patch);
+    const fields = Object.keys(record);
+    if (fields.length > 0) {
+      const row = toRow(record);
+      await db.runAsync(
+        `UPDATE logs SET ${fields.map((f) => `${f} = ?`).join(", ")} WHERE id = ?`,
+        ...fields.map((field) => row[field]),
+        id
+      );
+    }
+    return (
+      fromRow(await db.getFirstAsync(`${SELECT_LOGS} WHERE logs.id = ?`, id)) ??
+      null
+    );
+  },
+
+  delete: async (id) => {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM outbox WHERE logId = ?", id);
+      await txn.runAsync("DELETE FROM logs WHERE id = ?", id);
+    });
+  },
+
+  clear: async () => {
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync("DELETE FROM outbox");
+      await txn.runAsync("DELETE FROM logs");
+    });
+  },
+});
+
+// ---------- localStorage / 記憶體 ----------
+
+const STORAGE_KEY = "emogo.logs";
+
+// 和 localStorage 相同介面的記憶體版本（Node / 測試用）
+export const createMemoryStorage = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => {
+      data.set(key, String(value));
+    },
+    removeItem: (key) => {
+      data.delete(key);
+    },
+  };
+};
+
+// storage 可以是 localStorage，或任何 getItem / setItem / removeItem（可為 async）的物件
+export const createStorageLogRepository = (storage) => {
+  const load = async () => {
+    const raw = await storage.getItem(STORAGE_KEY);
+    if (!raw) return { nextId: 1, logs: [] };
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.log("logRepository: corrupted storage, starting empty", e);
+      return { nextId: 1, logs: [] };
+    }
+  };
+
+  const save = async (state) => {
+    await storage.setItem(STORAGE_KEY, JSON.stringify(state));
+  };
+
+  // logs 依 id 由小到大存放；讀取時反轉成最新在前
+  const newestFirst = (logs) => [...logs].sort((a, b) => b.id - a.id);
+
+  return {
+    db: null,
+
+    create: async (log) => {
+      const state = await load();
+      const record = { ...pickLogFields(log), id: state.nextId, confirmedAt: null };
+      state.logs.push(record);
+      state.nextId += 1;
+      await save(state);
+      return record;
+    },
+
+    list: async ({ limit = DEFAULT_PAGE_SIZE, filters } = {}) => {
+      const matching = newestFirst((await load()).logs).filter((log) =>
+        matchesLogFilters(log, filters)
+      );
+      return limit === null ? matching : matching.slice(0, limit);
+    },
+
+    getById: async (id) =>
+      (await load()).logs.find((log) => log.id === Number(id)) ?? null,
+
+    paginate: async ({ cursor = null, limit = DEFAULT_PAGE_SIZE, filters } = {}) => {
+      const all = newestFirst((await load()).logs);
+      const start = all.filter(
+        (log) =>
+          (cursor === null || log.id < cursor) &&
+          matchesLogFilters(log, filters)
+      );
+      const items = start.slice(0, limit);
+      const nextCursor =
+        start.length > limit ? items[items.length - 1].id : null;
+      return { items, nextCursor };
+    },
+
+    adjacent: async (id, { direction = "older", filters } = {}) => {
+      const candidates = newestFirst((await load()).logs).filter(
+        (log) =>
+          (direction === "newer" ? log.id > id : log.id < id) &&
+          matchesLogFilters(log, filters)
+      );
+      const found =
+        direction === "newer"
+          ? candidates[candidates.length - 1]
+          : candidates[0];
+      return found ?? null;
+    },
+
+    update: async (id, patch) => {
+      const state = await load();
+      const index = state.logs.findIndex((log) => log.id === Number(id));
+      if (index === -1) return null;
+      state.logs[index] = {
+        ...state.logs[index],
+        ...pickUpdatableFields(patch),
+      };
+      await save(state);
+      return state.logs[index];
+    },
+
+    delete: async (id) => {
+      const state = await load();
+      state.logs = state.logs.filter((log) => log.id !== Number(id));
+      await save(state);
+    },
+
+    clear: async () => {
+      const state = await load();
+      // nextId 不歸零，避免新紀錄重用舊 id
+      await save({ nextId: state.nextId, logs: [] });
+    },
+  };
+};
+
+// 原生有 db 就用 SQLite，否則用瀏覽器的 localStorage（再不行就只存在記憶體）
+export const createLogRepository = (db) => {
+  if (db) {
+    return createSqliteLogRepository(db);
+  }
+  const storage =
+    typeof window !== "undefined" && window.localStorage
+      ? window.localStorage
+      : createMemoryStorage();
+  return createStorageLogRepository(storage);
+};
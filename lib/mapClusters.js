@@ -0,0 +1,114 @@
+// 紀錄地圖的投影與分群（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 地圖完全離線：沒有底圖，只把紀錄的經緯度投影到畫面上的一塊區域。
+// 範圍小（一個城市內）時用等距圓柱投影就夠準：經度依中心緯度的 cos 縮放。
+
+const METERS_PER_DEGREE = 111320;
+
+// 心情 1–5 的顏色：1 紅、3 黃、5 綠；沒有心情分數時灰色
+export const MOOD_COLORS = {
+  1: "#d32f2f",
+  2: "#f57c00",
+  3: "#fbc02d",
+  4: "#7cb342",
+  5: "#2e7d32",
+};
+const NO_MOOD_COLOR = "#9e9e9e";
+
+export const moodColor = (mood) => {
+  if (mood === null || mood === undefined || !Number.isFinite(Number(mood))) {
+    return NO_MOOD_COLOR;
+  }
+  const rounded = Math.min(5, Math.max(1, Math.round(Number(mood))));
+  return MOOD_COLORS[rounded];
+};
+
+// 有座標的紀錄（places 等級只有地點標籤，不能畫在地圖上）
+export const hasCoordinates = (log) =>
+  log.lat !== null &&
+  log.lat !== undefined &&
+  log.lng !== null &&
+  log.lng !== undefined &&
+  Number.isFinite(Number(log.lat)) &&
+  Number.isFinite(Number(log.lng));
+
+// 把紀錄投影到 width x height 的區域，四周留 padding
+// 回傳 { points: [{ log, x, y }], spanMeters }；spanMeters 是畫面寬度大約代表的距離
+export const projectLogs = (logs, { width, height, padding = 16 }) => {
+  const located = logs.filter(hasCoordinates);
+  if (located.length === 0 || width <= 0 || height <= 0) {
+    return { points: [], spanMeters: 0 };
+  }
+
+  const lats = located.map((log) => Number(log.lat));
+  const lngs = located.map((log) => Number(log.lng));
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const lngScale = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+
+  // 以公尺為單位的範圍；只有一個點時給一個最小範圍，點才會在正中間
+  const minSpan = 200;
+  const spanX = Math.max((maxLng - minLng) * lngScale * METERS_PER_DEGREE, minSpan);
+  const spanY = Math.max((maxLat - minLat) * METERS_PER_DEGREE, minSpan);
+  const innerWidth = Math.max(width - padding * 2, 1);
+  const innerHeight = Math.max(height - padding * 2, 1);
+  // 兩個方向用同一個比例尺，地圖才不會變形
+  const scale = Math.min(innerWidth / spanX, innerHeight / spanY);
+
+  const centerLat = (minLat + maxLat) / 2;
+  const centerLng = (minLng + maxLng) / 2;
+  const points = located.map((log) => ({
+    log,
+    x:
+      width / 2 +
+      (Number(log.lng) - centerLng) * lngScale * METERS_PER_DEGREE * scale,
+    // 螢幕的 y 往下增加，緯度往北增加
+    y: height / 2 - (Number(log.lat) - centerLat) * METERS_PER_DEGREE * scale,
+  }));
+  return { points, spanMeters: width / scale };
+};
+
+// 距離在 radius（像素）內的點合併成一群
+// 依序把每個點放進第一個夠近的群，群的位置是成員的平均
+// 回傳 [{ id, x, y, logs, meanMood }]，依數量由多到少排序
+export const clusterPoints = (points, radius = 24) => {
+  const clusters = [];
+  for (const point of points) {
+    const target = clusters.find(
+      (cluster) => Math.hypot(cluster.x - point.x, cluster.y - point.y) <= radius
+    );
+    if (target) {
+      const count = target.logs.length;
+      target.x = (target.x * count + point.x) / (count + 1);
+      target.y = (target.y * count + point.y) / (count + 1);
+      target.logs.push(point.log);
+    } else {
+      clusters.push({ x: point.x, y: point.y, logs: [point.log] });
+    }
+  }
+
+  return clusters
+    .map((cluster) => {
+      const moods = cluster.logs
+        .map((log) => Number(log.mood))
+        .filter((mood) => Number.isFinite(mood) && mood > 0);
+      return {
+        ...cluster,
+        // 同一群的 id 要穩定（點選後重新分群時還找得到），用第一筆的 clientId / id
+        id: String(cluster.logs[0].clientId ?? cluster.logs[0].id),
+        meanMood:
+          moods.length > 0
+            ? moods.reduce((sum, mood) => sum + mood, 0) / moods.length
+            : null,
+      };
+    })
+    .sort((a, b) => b.logs.length - a.logs.length);
+};
+
+// 地圖寬度大約代表的距離，例如「約 3.2 公里」
+export const formatSpan = (meters) =>
+  meters >= 1000
+    ? `約 ${(meters / 1000).toFixed(1)} 公里`
+    : `約 ${Math.round(meters)} 公尺`;
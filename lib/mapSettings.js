@@ -0,0 +1,11 @@
+// 心情地圖是否開啟（預設關閉，參與者在地圖頁自行開啟）
+// 地圖只讀本機的紀錄，不下載底圖、不連網路（見 mapClusters.js）
+import { getSetting, setSetting } from "./settingsStore";
+
+const SETTINGS_KEY = "moodMap";
+
+export const loadMapEnabled = async () =>
+  (await getSetting(SETTINGS_KEY, null))?.enabled === true;
+
+export const saveMapEnabled = (enabled) =>
+  setSetting(SETTINGS_KEY, { enabled: enabled === true });
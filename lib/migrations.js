@@ -0,0 +1,265 @@
+// SQLite schema migrations（emogo.db）
+//
+// 版本號記在 PRAGMA user_version。每個 migration 只會執行一次，
+// 並且和更新 user_version 包在同一個 transaction 裡：中途失敗就整個 rollback，
+// 下次開 App 會從同一個版本重跑。
+//
+// 新增欄位 / 資料表時：在 MIGRATIONS 最後面加一筆，version 遞增，
+// 不要修改已經發佈過的 migration。
+import * as Crypto from "expo-crypto";
+
+// 欄位已存在時略過（早期版本曾在 migration 機制之外直接 ALTER TABLE）
+export const addColumnIfMissing = async (db, table, column, type) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table});`);
+  if (!columns.some((c) => c.name === column)) {
+    await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${type};`);
+  }
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create logs",
+    // 最初版本的 logs 表；舊安裝早已存在，所以用 IF NOT EXISTS
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          timestamp TEXT,
+          mood INTEGER,
+          videoUri TEXT,
+          lat REAL,
+          lng REAL
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "create upload outbox",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS outbox (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          logId INTEGER NOT NULL UNIQUE,
+          status TEXT NOT NULL DEFAULT 'pending',
+          metadataUploaded INTEGER NOT NULL DEFAULT 0,
+          videoUploaded INTEGER NOT NULL DEFAULT 0,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          nextAttemptAt INTEGER NOT NULL DEFAULT 0,
+          lastError TEXT,
+          updatedAt TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "add client ids to logs",
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "clientId", "TEXT");
+      await addColumnIfMissing(db, "logs", "confirmedAt", "TEXT");
+
+      // 舊紀錄補上 UUID，之後才能和後端對帳
+      const missing = await db.getAllAsync(
+        "SELECT id FROM logs WHERE clientId IS NULL;"
+      );
+      for (const row of missing) {
+        await db.runAsync(
+          "UPDATE logs SET clientId = ? WHERE id = ?",
+          Crypto.randomUUID(),
+          row.id
+        );
+      }
+
+      await db.execAsync(
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_logs_clientId ON logs (clientId);"
+      );
+    },
+  },
+  {
+    version: 4,
+    name: "create settings",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY NOT NULL,
+          value TEXT,
+          updatedAt TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "create prompts",
+    // 每一個隨機（ESM）提醒一列，記錄預定發出的時間，之後用來算回應延遲
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS prompts (
+          id TEXT PRIMARY KEY NOT NULL,
+          kind TEXT NOT NULL,
+          dateKey TEXT NOT NULL,
+          slot INTEGER NOT NULL,
+          scheduledFor TEXT NOT NULL,
+          notificationId TEXT,
+          status TEXT NOT NULL DEFAULT 'scheduled',
+          createdAt TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_prompts_scheduledFor ON prompts (scheduledFor);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: "link logs to prompts",
+    // 從通知點進來記錄時，記下是哪個提醒、何時排定 / 送達 / 被打開
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "promptId", "TEXT");
+      await addColumnIfMissing(db, "logs", "promptScheduledAt", "TEXT");
+      await addColumnIfMissing(db, "logs", "promptDeliveredAt", "TEXT");
+      await addColumnIfMissing(db, "logs", "promptOpenedAt", "TEXT");
+      await addColumnIfMissing(db, "prompts", "deliveredAt", "TEXT");
+      await addColumnIfMissing(db, "prompts", "openedAt", "TEXT");
+    },
+  },
+  {
+    version: 7,
+    name: "add questionnaire answers to logs",
+    // answers 以 JSON 字串儲存；mood 欄位保留（= 問卷中 id 為 mood 的題目）
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "answers", "TEXT");
+      await addColumnIfMissing(db, "logs", "questionnaireId", "TEXT");
+      await addColumnIfMissing(db, "logs", "questionnaireVersion", "INTEGER");
+    },
+  },
+  {
+    version: 8,
+    name: "track stored video size and checksum",
+    // 影片複製到 App 的 document 目錄後記下大小（bytes）與 MD5（見 videoStore.js）
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "videoSize", "INTEGER");
+      await addColumnIfMissing(db, "logs", "videoChecksum", "TEXT");
+    },
+  },
+  {
+    version: 9,
+    name: "track resumable video upload sessions",
+    // 分段上傳：記下後端的 uploadId 與已確認的 byte offset，中斷後從這裡繼續
+    up: async (db) => {
+      await addColumnIfMissing(db, "outbox", "uploadId", "TEXT");
+      await addColumnIfMissing(
+        db,
+        "outbox",
+        "uploadOffset",
+        "INTEGER NOT NULL DEFAULT 0"
+      );
+      await addColumnIfMissing(db, "outbox", "uploadSize", "INTEGER");
+    },
+  },
+  {
+    version: 10,
+    name: "record location privacy level and place label",
+    // lat / lng 可能已經模糊處理過，要記下是用哪個等級存的（見 locationPrivacy.js）
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "locationPrivacy", "TEXT");
+      await addColumnIfMissing(db, "logs", "locationLabel", "TEXT");
+    },
+  },
+  {
+    version: 11,
+    name: "create passive sensing samples",
+    // 被動感測的樣本（背景定位、加速度計），和 logs 分開存、分批上傳（見 sensorSamples.js）
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS samples (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          clientId TEXT NOT NULL UNIQUE,
+          kind TEXT NOT NULL,
+          recordedAt TEXT NOT NULL,
+          lat REAL,
+          lng REAL,
+          accuracy REAL,
+          locationPrivacy TEXT,
+          locationLabel TEXT,
+          motionMeanG REAL,
+          motionStdG REAL,
+          activity TEXT,
+          batteryLevel REAL,
+          samplingTier TEXT,
+          uploadedAt TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_samples_uploadedAt ON samples (uploadedAt);
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: "track log edits and deletions",
+    // 修改 / 刪除已經上傳的紀錄時，要通知後端的變更（見 logChanges.js）
+    // 紀錄刪除後 outbox 那一列也跟著刪掉，所以另外存一張表，只用 clientId 對應
+    up: async (db) => {
+      await addColumnIfMissing(db, "logs", "editedAt", "TEXT");
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS log_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          clientId TEXT,
+          op TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          nextAttemptAt INTEGER NOT NULL DEFAULT 0,
+          lastError TEXT,
+          createdAt TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 13,
+    name: "queue logs that were never added to the upload outbox",
+    // v2 之前就存在的紀錄從來沒有 outbox 列，永遠不會上傳；
+    // 補成 pending，後端已經有的會在對帳時直接標成已上傳（見 uploadQueue.js）
+    up: async (db) => {
+      await db.runAsync(
+        `INSERT INTO outbox (logId, status, updatedAt)
+           SELECT id, 'pending', ? FROM logs
+            WHERE id NOT IN (SELECT logId FROM outbox)`,
+        new Date().toISOString()
+      );
+    },
+  },
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = async (db) => {
+  const row = await db.getFirstAsync("PRAGMA user_version;");
+  return row?.user_version ?? 0;
+};
+
+// 把資料庫升級到最新版本；回傳升級後的版本號
+export const runMigrations = async (db, migrations = MIGRATIONS) => {
+  const current = await getSchemaVersion(db);
+  const latest = migrations.length
+    ? migrations[migrations.length - 1].version
+    : 0;
+
+  if (current > latest) {
+    // 使用者裝過較新版本又降版：不要動資料，直接讓上層知道
+    throw new Error(
+      `Database schema v${current} is newer than this app (v${latest})`
+    );
+  }
+
+  for (const migration of migrations) {
+    if (migration.version <= current) continue;
+
+    await db.withExclusiveTransactionAsync(async (txn) => {
+      await migration.up(txn);
+      // PRAGMA 不能用參數綁定；version 是程式裡的整數常數
+      await txn.execAsync(`PRAGMA user_version = ${migration.version};`);
+    });
+    console.log(`SQLite migrated to v${migration.version}: ${migration.name}`);
+  }
+
+  return getSchemaVersion(db);
+};
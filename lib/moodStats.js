@@ -0,0 +1,183 @@
+// 心情統計（純函式，不依賴 React Native，可直接用 fixture 資料測試）
+//
+// logs 的格式與 logs 表相同：{ timestamp: ISO 字串, mood: 1~5, ... }
+// 問卷沒有 id 為 "mood" 的題目時 mood 是 null：這種紀錄照樣算進筆數、提醒完成與連續天數，
+// 只有心情平均、變異數與圖表不算。
+// 「一天」以手機當地時間計算。
+
+// 提醒時間（小時，可有小數：9.5 = 09:30）
+// 需要提醒時間的函式也接受 (date) => 小時陣列，讓每天的提醒可以不同
+// （固定時間只在部分星期、ESM 每天隨機，見 stats.js）
+export const DEFAULT_PROMPT_HOURS = [9, 15, 21];
+
+const hoursForDay = (promptHours, date) =>
+  typeof promptHours === "function" ? promptHours(date) : promptHours;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// Date -> "YYYY-MM-DD"（當地時間）
+export const toDateKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// "YYYY-MM-DD" -> 當天 00:00（當地時間）
+export const fromDateKey = (key) => {
+  const [y, m, d] = key.split("-").map(Number);
+  return new Date(y, m - 1, d);
+};
+
+// 往前 / 往後推 n 天（保留當地時間，不受夏令時間影響）
+export const addDays = (date, n) =>
+  new Date(date.getFullYear(), date.getMonth(), date.getDate() + n);
+
+// 從 today 往回 days 天（含 today）的日期 key，由舊到新
+export const dateRange = (today, days) =>
+  Array.from({ length: days }, (_, i) => toDateKey(addDays(today, i - days + 1)));
+
+// 時間合法的紀錄（不管有沒有心情）
+const validLogs = (logs) =>
+  logs.filter((log) => log && !Number.isNaN(new Date(log.timestamp).getTime()));
+
+const hasMood = (log) =>
+  log.mood !== null && log.mood !== undefined && Number.isFinite(Number(log.mood));
+
+const moodValues = (logs) => logs.filter(hasMood).map((log) => Number(log.mood));
+
+export const groupByDay = (logs) => {
+  const groups = new Map();
+  for (const log of validLogs(logs)) {
+    const key = toDateKey(new Date(log.timestamp));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(log);
+  }
+  return groups;
+};
+
+// 平均與（母體）變異數；沒有資料時回傳 null
+export const meanAndVariance = (values) => {
+  if (values.length === 0) return { mean: null, variance: null };
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance =
+    values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, variance };
+};
+
+// 每日心情：{ "YYYY-MM-DD": { count, mean, variance } }
+// count 是當天所有紀錄；當天都沒有心情時 mean / variance 為 null
+export const dailyMoodStats = (logs) => {
+  const result = {};
+  for (const [key, dayLogs] of groupByDay(logs)) {
+    const { mean, variance } = meanAndVariance(moodValues(dayLogs));
+    result[key] = { count: dayLogs.length, mean, variance };
+  }
+  return result;
+};
+
+// 一筆紀錄屬於哪一個提醒時段：最後一個「已經到了」的提醒時間；
+// 早於當天第一個提醒的紀錄不屬於任何時段（回傳 null）
+export const promptSlotFor = (date, promptHours = DEFAULT_PROMPT_HOURS) => {
+  const hours = [...promptHours].sort((a, b) => a - b);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  let slot = null;
+  for (const hour of hours) {
+    if (minutes >= Math.round(hour * 60)) slot = hour;
+  }
+  return slot;
+};
+
+// 每日完成幾個提醒時段（同一時段記錄多次只算一次）
+export const dailyPromptCompletion = (logs, promptHours = DEFAULT_PROMPT_HOURS) => {
+  const result = {};
+  for (const [key, dayLogs] of groupByDay(logs)) {
+    const hours = hoursForDay(promptHours, fromDateKey(key));
+    const slots = new Set();
+    for (const log of dayLogs) {
+      const slot = promptSlotFor(new Date(log.timestamp), hours);
+      if (slot !== null) slots.add(slot);
+    }
+    result[key] = { completed: slots.size, expected: hours.length };
+  }
+  return result;
+};
+
+// 連續記錄天數
+// current：到今天（今天還沒記錄的話算到昨天）為止的連續天數
+// longest：歷史最長連續天數
+export const streaks = (logs, today = new Date()) => {
+  const days = new Set(groupByDay(logs).keys());
+  if (days.size === 0) return { current: 0, longest: 0 };
+
+  let current = 0;
+  let cursor = days.has(toDateKey(today)) ? today : addDays(today, -1);
+  while (days.has(toDateKey(cursor))) {
+    current += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  let longest = 0;
+  for (const key of days) {
+    const date = fromDateKey(key);
+    // 只從一段連續區間的第一天開始往後數
+    if (days.has(toDateKey(addDays(date, -1)))) continue;
+    let length = 0;
+    let next = date;
+    while (days.has(toDateKey(next))) {
+      length += 1;
+      next = addDays(next, 1);
+    }
+    longest = Math.max(longest, length);
+  }
+
+  return { current, longest };
+};
+
+// 從提醒通知點進來的紀錄：筆數與平均回應延遲（提醒排定 -> 存檔，分鐘）
+export const promptResponseStats = (logs) => {
+  const latencies = validLogs(logs)
+    .filter((log) => log.promptScheduledAt)
+    .map((log) => (new Date(log.timestamp) - new Date(log.promptScheduledAt)) / 60000)
+    .filter((minutes) => Number.isFinite(minutes) && minutes >= 0);
+  return {
+    promptedCount: latencies.length,
+    meanLatencyMinutes: meanAndVariance(latencies).mean,
+  };
+};
+
+// 圖表與摘要：最近 rangeDays 天（含今天）
+// series 每天一筆，沒有紀錄的日子 mean 為 null
+export const summarizeMood = (
+  logs,
+  { rangeDays = 7, today = new Date(), promptHours = DEFAULT_PROMPT_HOURS } = {}
+) => {
+  const keys = dateRange(today, rangeDays);
+  const inRange = validLogs(logs).filter((log) =>
+    keys.includes(toDateKey(new Date(log.timestamp)))
+  );
+
+  const daily = dailyMoodStats(inRange);
+  const completion = dailyPromptCompletion(inRange, promptHours);
+
+  const series = keys.map((key) => ({
+    date: key,
+    count: daily[key]?.count ?? 0,
+    mean: daily[key]?.mean ?? null,
+    variance: daily[key]?.variance ?? null,
+    promptsCompleted: completion[key]?.completed ?? 0,
+    promptsExpected: hoursForDay(promptHours, fromDateKey(key)).length,
+  }));
+
+  const overall = meanAndVariance(moodValues(inRange));
+  const promptsCompleted = series.reduce((sum, d) => sum + d.promptsCompleted, 0);
+  const promptsExpected = series.reduce((sum, d) => sum + d.promptsExpected, 0);
+
+  return {
+    series,
+    logCount: inRange.length,
+    mean: overall.mean,
+    variance: overall.variance,
+    promptsCompleted,
+    promptsExpected,
+    completionRate: promptsExpected ? promptsCompleted / promptsExpected : 0,
+    streaks: streaks(logs, today),
+    promptResponses: promptResponseStats(inRange),
+  };
+};
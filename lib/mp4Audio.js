@@ -0,0 +1,156 @@
+// 移除 MP4 / MOV 的音軌（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 研究不收錄聲音（recordAudio: false）時，存檔前一定要把聲音拿掉（見 videoStore.js）：
+// 錄影時雖然關了麥克風，但不能只靠這點，轉檔工具也沒辦法事後移除音軌。
+//
+// 做法是原地修改，不搬動任何資料，其他音軌 / 影像軌的位移都不用重算：
+// 1. 依音軌的 sample table（stsc / stsz / stco）找出 mdat 裡的聲音資料，全部寫成 0
+// 2. 音軌的 trak box 改成同樣大小的 free box（播放器會略過），內容也清成 0
+// 不支援分段（fragmented，moov 裡有 mvex）的檔案，相機錄出來的影片不會是這種格式。
+
+const BOX_HEADER_BYTES = 8;
+const ZERO_CHUNK_BYTES = 1024 * 1024;
+
+const invalid = (reason) => new Error(`Not a supported MP4/MOV file: ${reason}`);
+
+const typeAt = (bytes, offset) =>
+  String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+const u32 = (view, offset) => view.getUint32(offset);
+
+const u64 = (view, offset) => u32(view, offset) * 2 ** 32 + u32(view, offset + 4);
+
+// offset 位置的 box 表頭：{ type, size, headerBytes }
+// available：從 offset 起這個 box 最多能有多大（size 為 0 表示一直到檔案結尾）
+const readBoxHeader = (bytes, offset, available) => {
+  if (available < BOX_HEADER_BYTES || offset + BOX_HEADER_BYTES > bytes.length) {
+    throw invalid("truncated box header");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let size = u32(view, offset);
+  let headerBytes = BOX_HEADER_BYTES;
+  if (size === 1) {
+    if (available < 16 || offset + 16 > bytes.length) throw invalid("truncated box header");
+    size = u64(view, offset + 8);
+    headerBytes = 16;
+  } else if (size === 0) {
+    size = available;
+  }
+  if (size < headerBytes || size > available) throw invalid("bad box size");
+  return { type: typeAt(bytes, offset + 4), size, headerBytes };
+};
+
+// 一段 bytes 裡連續的 box：[{ type, start, contentStart, end }]（位置都相對於 bytes）
+const readBoxes = (bytes, start = 0, end = bytes.length) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + BOX_HEADER_BYTES <= end) {
+    const { type, size, headerBytes } = readBoxHeader(bytes, offset, end - offset);
+    boxes.push({ type, start: offset, contentStart: offset + headerBytes, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+const childOf = (bytes, box, type) =>
+  readBoxes(bytes, box.contentStart, box.end).find((child) => child.type === type) ?? null;
+
+const pathOf = (bytes, box, types) =>
+  types.reduce((parent, type) => (parent ? childOf(bytes, parent, type) : null), box);
+
+// mdia/hdlr 的 handler type：聲音是 "soun"（MOV 的 component subtype 在同一個位置）
+const isAudioTrack = (bytes, trak) => {
+  const hdlr = pathOf(bytes, trak, ["mdia", "hdlr"]);
+  if (!hdlr || hdlr.contentStart + 12 > hdlr.end) return false;
+  return typeAt(bytes, hdlr.contentStart + 8) === "soun";
+};
+
+// 依 sample table 算出這個音軌在檔案裡佔用的範圍：[{ offset, length }]
+const audioChunkRanges = (bytes, trak) => {
+  const stbl = pathOf(bytes, trak, ["mdia", "minf", "stbl"]);
+  if (!stbl) throw invalid("audio track has no sample table");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const boxes = readBoxes(bytes, stbl.contentStart, stbl.end);
+  const find = (type) => boxes.find((box) => box.type === type) ?? null;
+
+  // full box：version / flags 之後才是內容
+  const stsz = find("stsz");
+  const stsc = find("stsc");
+  const stco = find("stco") ?? find("co64");
+  if (!stsz || !stsc || !stco) throw invalid("audio track has no stsz / stsc / stco");
+
+  const fixedSize = u32(view, stsz.contentStart + 4);
+  const sampleCount = u32(view, stsz.contentStart + 8);
+  const sampleSize = (index) =>
+    fixedSize !== 0 ? fixedSize : u32(view, stsz.contentStart + 12 + index * 4);
+
+  const chunkCount = u32(view, stco.contentStart + 4);
+  const chunkOffset = (index) =>
+    stco.type === "co64"
+      ? u64(view, stco.contentStart + 8 + index * 8)
+      : u32(view, stco.contentStart + 8 + index * 4);
+
+  // [{ firstChunk, samplesPerChunk }]，firstChunk 從 1 開始
+  const runs = Array.from({ length: u32(view, stsc.contentStart + 4) }, (_, i) => ({
+    firstChunk: u32(view, stsc.contentStart + 8 + i * 12),
+    samplesPerChunk: u32(view, stsc.contentStart + 12 + i * 12),
+  }));
+
+  const ranges = [];
+  let sample = 0;
+  let run = 0;
+  for (let chunk = 0; chunk < chunkCount && sample < sampleCount; chunk += 1) {
+    while (run + 1 < runs.length && runs[run + 1].firstChunk <= chunk + 1) run += 1;
+    const samples = Math.min(runs[run]?.samplesPerChunk ?? 0, sampleCount - sample);
+    let length = 0;
+    for (let i = 0; i < samples; i += 1) length += sampleSize(sample + i);
+    sample += samples;
+    if (length > 0) ranges.push({ offset: chunkOffset(chunk), length });
+  }
+  return ranges;
+};
+
+// file：{ size, read(offset, length) => Uint8Array, write(offset, bytes) }
+// 回傳移除的音軌數量；沒有音軌時不會寫入任何東西
+export const stripAudioTracks = (file) => {
+  // 只讀每個最上層 box 的表頭，找到 moov（mdat 可能很大，不整個讀進來）
+  let moov = null;
+  let offset = 0;
+  while (offset < file.size) {
+    const header = file.read(offset, Math.min(16, file.size - offset));
+    const { type, size } = readBoxHeader(header, 0, file.size - offset);
+    if (type === "moov") {
+      moov = { offset, size };
+      break;
+    }
+    offset += size;
+  }
+  if (!moov) throw invalid("no moov box");
+
+  const bytes = file.read(moov.offset, moov.size);
+  const [root] = readBoxes(bytes);
+  const children = readBoxes(bytes, root.contentStart, root.end);
+  if (children.some((box) => box.type === "mvex")) throw invalid("fragmented file");
+
+  const audioTracks = children.filter(
+    (box) => box.type === "trak" && isAudioTrack(bytes, box)
+  );
+  if (audioTracks.length === 0) return 0;
+
+  const zeros = new Uint8Array(ZERO_CHUNK_BYTES);
+  for (const trak of audioTracks) {
+    for (const range of audioChunkRanges(bytes, trak)) {
+      if (range.offset + range.length > file.size) throw invalid("audio data is out of range");
+      for (let done = 0; done < range.length; done += ZERO_CHUNK_BYTES) {
+        const length = Math.min(ZERO_CHUNK_BYTES, range.length - done);
+        file.write(range.offset + done, zeros.subarray(0, length));
+      }
+    }
+  }
+  for (const trak of audioTracks) {
+    bytes.set([0x66, 0x72, 0x65, 0x65], trak.start + 4); // "free"
+    bytes.fill(0, trak.contentStart, trak.end);
+  }
+  file.write(moov.offset, bytes);
+  return audioTracks.length;
+};
@@ -0,0 +1,316 @@
+// 被動感測（參與者在設定頁自行開啟，預設關閉）：
+// 兩次自我報告之間，在背景定期記錄位置與動作，作為分析時的情境資料。
+//
+// - 位置：expo-location 的背景定位 task（Android 會顯示常駐通知），
+//   座標同樣依「位置隱私」等級處理；選擇不記錄位置時不啟動背景定位
+// - 動作：每次被喚醒時用加速度計錄幾秒，只存摘要（平均、標準差、活動程度）
+// - 頻率依電量調整（見 sensingPolicy.js），樣本存在 samples 表，由上傳佇列分批上傳
+import { AppState, Platform } from "react-native";
+import * as Battery from "expo-battery";
+import * as Location from "expo-location";
+import * as TaskManager from "expo-task-manager";
+import { Accelerometer } from "expo-sensors";
+
+import { isEnrolled } from "./authStore";
+import { getDatabase } from "./database";
+import {
+  LOCATION_PRIVACY,
+  applyLocationPrivacy,
+  needsCoordinates,
+} from "./locationPrivacy";
+import { loadLocationSettings } from "./locationSettings";
+import {
+  MOTION_SAMPLE_HZ,
+  MOTION_WINDOW_MS,
+  samplingPlan,
+  summarizeMotion,
+} from "./sensingPolicy";
+import {
+  SAMPLE_KINDS,
+  countPendingSamples,
+  getLastSampleAt,
+  insertSample,
+  pruneSamples,
+  uploadPendingSamples,
+} from "./sensorSamples";
+import { getSetting, setSetting } from "./settingsStore";
+
+const isWeb = Platform.OS === "web";
+
+export const PASSIVE_LOCATION_TASK = "emogo-passive-location";
+
+const SETTINGS_KEY = "passiveSensing";
+
+// 暫停（電量太低）時多久再檢查一次
+const PAUSED_RECHECK_MS = 15 * 60 * 1000;
+
+// 背景累積這麼多筆還沒上傳時，不等回到前景就先上傳一批
+const BACKGROUND_UPLOAD_THRESHOLD = 100;
+
+// tier：目前背景定位使用的頻率等級，電量變化時比較用（task 執行時模組狀態可能是新的）
+const loadPassiveSettings = async () => {
+  const saved = await getSetting(SETTINGS_KEY, null);
+  return { enabled: saved?.enabled === true, tier: saved?.tier ?? null };
+};
+
+const savePassiveSettings = (settings) => setSetting(SETTINGS_KEY, settings);
+
+const readBatteryState = async () => {
+  try {
+    const state = await Battery.getPowerStateAsync();
+    return {
+      batteryLevel: state.batteryLevel,
+      charging:
+        state.batteryState === Battery.BatteryState.CHARGING ||
+        state.batteryState === Battery.BatteryState.FULL,
+      lowPowerMode: state.lowPowerMode,
+    };
+  } catch (e) {
+    console.log("read battery state error:", e);
+    return {};
+  }
+};
+
+const locationOptions = (plan) => ({
+  accuracy:
+    plan.accuracy === "low" ? Location.Accuracy.Low : Location.Accuracy.Balanced,
+  timeInterval: plan.intervalMinutes * 60 * 1000,
+  distanceInterval: plan.distanceMeters,
+  deferredUpdatesInterval: plan.intervalMinutes * 60 * 1000,
+  pausesUpdatesAutomatically: true,
+  showsBackgroundLocationIndicator: true,
+  foregroundService: {
+    notificationTitle: "Emogo 被動感測中",
+    notificationBody: "正在背景記錄位置與動作，可以在 App 的設定頁關閉。",
+  },
+});
+
+// 依電量與設定開始 / 調整 / 停止背景定位；回傳目前的取樣計畫
+export const applySamplingPlan = async (plan = null) => {
+  const settings = await loadPassiveSettings();
+  const nextPlan = plan ?? samplingPlan(await readBatteryState());
+  if (isWeb) return nextPlan;
+
+  const wantLocation =
+    settings.enabled &&
+    nextPlan.intervalMinutes !== null &&
+    needsCoordinates(await loadLocationSettings());
+  try {
+    const running = await Location.hasStartedLocationUpdatesAsync(
+      PASSIVE_LOCATION_TASK
+    );
+    if (!wantLocation) {
+      if (running) await Location.stopLocationUpdatesAsync(PASSIVE_LOCATION_TASK);
+    } else if (!running || settings.tier !== nextPlan.tier) {
+      // 同一個 task 再呼叫一次會套用新的頻率
+      await Location.startLocationUpdatesAsync(
+        PASSIVE_LOCATION_TASK,
+        locationOptions(nextPlan)
+      );
+    }
+  } catch (e) {
+    // 例如參與者到系統設定收回了背景定位權限
+    console.log("apply sampling plan error:", e);
+  }
+
+  if (settings.tier !== nextPlan.tier) {
+    await savePassiveSettings({ ...settings, tier: nextPlan.tier });
+  }
+  return nextPlan;
+};
+
+// 錄一小段加速度計；不支援時回傳空陣列
+const sampleAccelerometer = async (durationMs) => {
+  if (!(await Accelerometer.isAvailableAsync())) return [];
+  return new Promise((resolve) => {
+    const readings = [];
+    Accelerometer.setUpdateInterval(1000 / MOTION_SAMPLE_HZ);
+    const subscription = Accelerometer.addListener((reading) => readings.push(reading));
+    setTimeout(() => {
+      subscription.remove();
+      resolve(readings);
+    }, durationMs);
+  });
+};
+
+const recordMotionSample = async (db, battery, plan) => {
+  try {
+    const summary = summarizeMotion(await sampleAccelerometer(MOTION_WINDOW_MS));
+    if (!summary) return;
+    await insertSample(db, {
+      kind: SAMPLE_KINDS.MOTION,
+      recordedAt: new Date().toISOString(),
+      motionMeanG: summary.meanG,
+      motionStdG: summary.stdG,
+      activity: summary.activity,
+      batteryLevel: battery.batteryLevel ?? null,
+      samplingTier: plan.tier,
+    });
+  } catch (e) {
+    console.log("motion sample error:", e);
+  }
+};
+
+const recordLocationSamples = async (db, locations, battery, plan) => {
+  const privacy = await loadLocationSettings();
+  for (const location of locations) {
+    const applied = applyLocationPrivacy(
+      { lat: location.coords.latitude, lng: location.coords.longitude },
+      privacy
+    );
+    if (applied.lat === null && !applied.locationLabel) continue;
+    await insertSample(db, {
+      kind: SAMPLE_KINDS.LOCATION,
+      recordedAt: new Date(location.timestamp).toISOString(),
+      ...applied,
+      // 模糊處理過的座標，原始精確度沒有意義
+      accuracy:
+        privacy.privacy === LOCATION_PRIVACY.PRECISE
+          ? location.coords.accuracy ?? null
+          : null,
+      batteryLevel: battery.batteryLevel ?? null,
+      samplingTier: plan.tier,
+    });
+  }
+};
+
+// 背景定位 task：系統每次送來一批位置時執行（App 可能在背景或剛被系統喚醒）
+const handleLocationUpdate = async ({ data, error }) => {
+  if (error) {
+    console.log("passive location task error:", error);
+    return;
+  }
+  const settings = await loadPassiveSettings();
+  if (!settings.enabled) {
+    await Location.stopLocationUpdatesAsync(PASSIVE_LOCATION_TASK);
+    return;
+  }
+
+  const db = await getDatabase();
+  const battery = await readBatteryState();
+  const plan = samplingPlan(battery);
+  await recordLocationSamples(db, data?.locations ?? [], battery, plan);
+  await recordMotionSample(db, battery, plan);
+  await applySamplingPlan(plan);
+
+  if (
+    (await countPendingSamples(db)) >= BACKGROUND_UPLOAD_THRESHOLD &&
+    (await isEnrolled())
+  ) {
+    await uploadPendingSamples(db).catch((e) =>
+      console.log("background sample upload error:", e)
+    );
+  } else {
+    await pruneSamples(db);
+  }
+};
+
+// task 必須在模組最上層定義（系統在背景啟動 App 時也要找得到）
+if (!isWeb) {
+  TaskManager.defineTask(PASSIVE_LOCATION_TASK, (body) =>
+    handleLocationUpdate(body).catch((e) =>
+      console.log("passive location task error:", e)
+    )
+  );
+}
+
+// 目前啟動中的前景取樣（開啟開關後要立刻開始，見 enablePassiveSensing）
+let activeTick = null;
+
+// App 在前景時：定期錄動作，並在電量 / 省電模式改變時調整背景定位頻率
+// 回傳停止的函式（app/_layout.js 使用）
+export const startPassiveSensingSession = () => {
+  if (isWeb) return () => {};
+  let timer = null;
+  let stopped = false;
+
+  const tick = async () => {
+    clearTimeout(timer);
+    if (stopped || !(await loadPassiveSettings()).enabled) return;
+    let delay = PAUSED_RECHECK_MS;
+    try {
+      const battery = await readBatteryState();
+      const plan = await applySamplingPlan(samplingPlan(battery));
+      if (plan.intervalMinutes !== null) {
+        delay = plan.intervalMinutes * 60 * 1000;
+        if (AppState.currentState === "active") {
+          await recordMotionSample(await getDatabase(), battery, plan);
+        }
+      }
+    } catch (e) {
+      console.log("passive sensing tick error:", e);
+    }
+    if (!stopped) timer = setTimeout(tick, delay);
+  };
+
+  const replan = () => {
+    applySamplingPlan().catch((e) => console.log("replan error:", e));
+  };
+  const subscriptions = [
+    Battery.addBatteryLevelListener(replan),
+    Battery.addBatteryStateListener(replan),
+    Battery.addLowPowerModeListener(replan),
+  ];
+
+  // 關閉感測後留下、一直沒上傳的樣本也要過期刪除
+  getDatabase()
+    .then((db) => db && pruneSamples(db))
+    .catch((e) => console.log("prune samples error:", e));
+  tick();
+  activeTick = tick;
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+    if (activeTick === tick) activeTick = null;
+    subscriptions.forEach((subscription) => subscription.remove());
+  };
+};
+
+// 開啟被動感測：先要權限（選擇不記錄位置時只記動作，不需要背景定位權限）
+// 回傳 { enabled, reason }，reason 為 "foreground" / "background" 表示哪個權限被拒絕
+export const enablePassiveSensing = async () => {
+  if (isWeb) return { enabled: false, reason: "web" };
+
+  if (needsCoordinates(await loadLocationSettings())) {
+    const foreground = await Location.requestForegroundPermissionsAsync();
+    if (foreground.status !== "granted") {
+      return { enabled: false, reason: "foreground" };
+    }
+    const background = await Location.requestBackgroundPermissionsAsync();
+    if (background.status !== "granted") {
+      return { enabled: false, reason: "background" };
+    }
+  }
+
+  await savePassiveSettings({ enabled: true, tier: null });
+  await applySamplingPlan();
+  activeTick?.();
+  return { enabled: true, reason: null };
+};
+
+// 關閉：停止背景定位；已經記錄的樣本照常上傳
+export const disablePassiveSensing = async () => {
+  await savePassiveSettings({ enabled: false, tier: null });
+  if (isWeb) return;
+  try {
+    if (await Location.hasStartedLocationUpdatesAsync(PASSIVE_LOCATION_TASK)) {
+      await Location.stopLocationUpdatesAsync(PASSIVE_LOCATION_TASK);
+    }
+  } catch (e) {
+    console.log("stop passive sensing error:", e);
+  }
+};
+
+// 設定頁顯示用：{ enabled, plan, pending, lastSampleAt }
+export const getPassiveSensingStatus = async () => {
+  const settings = await loadPassiveSettings();
+  const plan = samplingPlan(await readBatteryState());
+  const db = await getDatabase();
+  return {
+    enabled: settings.enabled,
+    plan,
+    pending: db ? await countPendingSamples(db) : 0,
+    lastSampleAt: db ? await getLastSampleAt(db) : null,
+  };
+};
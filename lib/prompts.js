@@ -0,0 +1,214 @@
+// 提醒紀錄（prompts 表）
+//
+// ESM 隨機提醒：排成一次性的通知，每個提醒一列。
+// App 每次開啟都會補排（top up）到未來 N 天，已經排過的日子不會重排；
+// 設定改變時先取消尚未發出的提醒，再整批重新產生。
+//
+// 使用者點開任何提醒通知時，記下送達 / 點開時間，並把提醒帶到記錄畫面，
+// 存檔時寫進 logs（promptId 等欄位），之後才能算遵從率與回應延遲。
+import * as Notifications from "expo-notifications";
+import * as Crypto from "expo-crypto";
+
+import { getDatabase } from "./database";
+import { generateEsmPrompts } from "./esmSchedule";
+import { toDateKey } from "./moodStats";
+
+export const ESM_ID_PREFIX = "emogo-esm-";
+
+export const PROMPT_STATUS = {
+  SCHEDULED: "scheduled",
+  CANCELLED: "cancelled",
+};
+
+const ESM_CONTENT = {
+  title: "Emogo 記錄時間到了",
+  body: "現在心情如何？請打開 App 記錄一下。",
+};
+
+// 取消所有還沒發出的 ESM 提醒（暫停、換回固定模式、或要重新產生時）
+export const cancelPendingEsmPrompts = async () => {
+  const db = await getDatabase();
+  if (!db) return 0;
+
+  const pending = await db.getAllAsync(
+    "SELECT id, notificationId FROM prompts WHERE kind = 'esm' AND status = ? AND scheduledFor > ?",
+    PROMPT_STATUS.SCHEDULED,
+    new Date().toISOString()
+  );
+  for (const prompt of pending) {
+    if (prompt.notificationId) {
+      await Notifications.cancelScheduledNotificationAsync(prompt.notificationId);
+    }
+    await db.runAsync(
+      "UPDATE prompts SET status = ? WHERE id = ?",
+      PROMPT_STATUS.CANCELLED,
+      prompt.id
+    );
+  }
+  return pending.length;
+};
+
+// 補排未來幾天的 ESM 提醒；回傳新排定的數量
+export const topUpEsmPrompts = async (settings, { now = new Date() } = {}) => {
+  const db = await getDatabase();
+  if (!db) return 0;
+
+  // 今天以後已經有提醒的日子就不再產生
+  const rows = await db.getAllAsync(
+    "SELECT DISTINCT dateKey FROM prompts WHERE kind = 'esm' AND status = ? AND dateKey >= ?",
+    PROMPT_STATUS.SCHEDULED,
+    toDateKey(now)
+  );
+
+  const generated = generateEsmPrompts(settings.esm, {
+    now,
+    // 暫停期間不排
+    notBefore:
+      settings.pausedUntil && new Date(settings.pausedUntil) > now
+        ? new Date(settings.pausedUntil)
+        : now,
+    skipDateKeys: rows.map((row) => row.dateKey),
+    weekdays: settings.weekdays,
+    quietHours: settings.quietHours,
+  });
+
+  for (const prompt of generated) {
+    const id = Crypto.randomUUID();
+    const notificationId = `${ESM_ID_PREFIX}${id}`;
+    await Notifications.scheduleNotificationAsync({
+      identifier: notificationId,
+      content: {
+        ...ESM_CONTENT,
+        data: { kind: "esm", promptId: id, scheduledFor: prompt.scheduledFor },
+      },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(prompt.scheduledFor),
+      },
+    });
+    await db.runAsync(
+      "INSERT INTO prompts (id, kind, dateKey, slot, scheduledFor, notificationId, status, createdAt) VALUES (?, 'esm', ?, ?, ?, ?, ?, ?)",
+      id,
+      prompt.dateKey,
+      prompt.slot,
+      prompt.scheduledFor,
+      notificationId,
+      PROMPT_STATUS.SCHEDULED,
+      new Date().toISOString()
+    );
+  }
+  return generated.length;
+};
+
+// 一段日期內實際排定的 ESM 提醒：{ "YYYY-MM-DD": [小時, ...] }（統計頁算完成率用）
+// 已取消的提醒不算；小時可有小數，格式同 moodStats.js 的 promptHours
+export const loadEsmPromptHours = async (fromKey, toKey) => {
+  const db = await getDatabase();
+  if (!db) return {};
+  const rows = await db.getAllAsync(
+    "SELECT dateKey, scheduledFor FROM prompts WHERE kind = 'esm' AND status = ? AND dateKey BETWEEN ? AND ?",
+    PROMPT_STATUS.SCHEDULED,
+    fromKey,
+    toKey
+  );
+  const hours = {};
+  for (const row of rows) {
+    const time = new Date(row.scheduledFor);
+    if (!hours[row.dateKey]) hours[row.dateKey] = [];
+    hours[row.dateKey].push(time.getHours() + time.getMinutes() / 60);
+  }
+  return hours;
+};
+
+// 某個時間點之前最近一次發出的提醒（用來計算回應延遲）
+export const findLatestPromptBefore = async (timestamp) => {
+  const db = await getDatabase();
+  if (!db) return null;
+  return db.getFirstAsync(
+    "SELECT * FROM prompts WHERE status = ? AND scheduledFor <= ? ORDER BY scheduledFor DESC LIMIT 1",
+    PROMPT_STATUS.SCHEDULED,
+    timestamp
+  );
+};
+
+// 通知被點開 -> 這次提醒的資訊；不是記錄提醒（例如「暫停結束」）時回傳 null
+// 固定時間提醒是重複通知，沒有事先產生的 id，
+// 用「通知 id + 這次原本排定的時間」當作 promptId。
+export const promptFromNotificationResponse = (response, openedAt = new Date()) => {
+  const { notification } = response;
+  const { request } = notification;
+  const data = request.content.data ?? {};
+  const deliveredAt = new Date(notification.date);
+
+  if (data.kind === "resume") return null;
+
+  if (data.kind === "esm" && data.promptId) {
+    return {
+      promptId: data.promptId,
+      kind: "esm",
+      scheduledAt: data.scheduledFor,
+      deliveredAt: deliveredAt.toISOString(),
+      openedAt: openedAt.toISOString(),
+    };
+  }
+
+  // 舊版排定的通知沒有 data，改從 trigger 取得時間
+  const trigger = request.trigger ?? {};
+  const hour = data.hour ?? trigger.hour ?? trigger.dateComponents?.hour;
+  const minute =
+    data.minute ?? trigger.minute ?? trigger.dateComponents?.minute ?? 0;
+  const scheduledAt =
+    hour === undefined || hour === null
+      ? deliveredAt
+      : new Date(
+          deliveredAt.getFullYear(),
+          deliveredAt.getMonth(),
+          deliveredAt.getDate(),
+          hour,
+          minute
+        );
+
+  return {
+    promptId: `${request.identifier}@${scheduledAt.toISOString()}`,
+    kind: "fixed",
+    scheduledAt: scheduledAt.toISOString(),
+    deliveredAt: deliveredAt.toISOString(),
+    openedAt: openedAt.toISOString(),
+  };
+};
+
+// 同一個通知回應只處理一次（冷啟動時 last response 和 listener 可能都會收到）
+const handledResponses = new Set();
+
+export const isNewNotificationResponse = (response) => {
+  const key = `${response.notification.request.identifier}:${response.notification.date}`;
+  if (handledResponses.has(key)) return false;
+  handledResponses.add(key);
+  return true;
+};
+
+// 記下提醒被送達與點開的時間；固定時間提醒第一次被點開時才建立 prompts 列
+export const recordPromptOpened = async (prompt) => {
+  const db = await getDatabase();
+  if (!db) return;
+
+  if (prompt.kind === "fixed") {
+    const scheduled = new Date(prompt.scheduledAt);
+    await db.runAsync(
+      "INSERT OR IGNORE INTO prompts (id, kind, dateKey, slot, scheduledFor, status, createdAt) VALUES (?, 'fixed', ?, ?, ?, ?, ?)",
+      prompt.promptId,
+      toDateKey(scheduled),
+      scheduled.getHours() * 60 + scheduled.getMinutes(),
+      prompt.scheduledAt,
+      PROMPT_STATUS.SCHEDULED,
+      new Date().toISOString()
+    );
+  }
+
+  await db.runAsync(
+    "UPDATE prompts SET deliveredAt = COALESCE(deliveredAt, ?), openedAt = COALESCE(openedAt, ?) WHERE id = ?",
+    prompt.deliveredAt,
+    prompt.openedAt,
+    prompt.promptId
+  );
+};
@@ -0,0 +1,161 @@
+// 問卷引擎（純函式）：問卷由 JSON 定義，可以由後端下發，不需要重新打包 App
+//
+// 定義格式：
+//   { id, version, title, items: [item, ...] }
+// item 共通欄位：{ id, type, label, required? }
+//   likert      { min, max, minLabel?, maxLabel? }        整數按鈕
+//   slider      { min, max, step?, minLabel?, maxLabel? } 連續量表（valence / arousal）
+//   multiselect { options: [{ value, label }], maxSelected? }
+//   text        { placeholder?, maxLength?, multiline? }
+//
+// 答案是以 item id 為 key 的物件，例如
+//   { mood: 4, valence: 6, emotions: ["happy"], activity: "通勤" }
+// id 為 "mood" 的題目同時寫進 logs.mood，讓舊的統計與後端欄位繼續可用。
+import defaultDefinition from "./questionnaires/default.json";
+
+export const DEFAULT_QUESTIONNAIRE = defaultDefinition;
+
+export const ITEM_TYPES = ["likert", "slider", "multiselect", "text"];
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// 檢查問卷定義；回傳錯誤訊息陣列（空陣列表示沒問題）
+export const validateDefinition = (definition) => {
+  const errors = [];
+  if (!definition || typeof definition !== "object") {
+    return ["definition must be an object"];
+  }
+  if (typeof definition.id !== "string" || !definition.id) {
+    errors.push("id must be a non-empty string");
+  }
+  if (!Number.isInteger(definition.version)) {
+    errors.push("version must be an integer");
+  }
+  if (!Array.isArray(definition.items) || definition.items.length === 0) {
+    errors.push("items must be a non-empty array");
+    return errors;
+  }
+
+  const seen = new Set();
+  definition.items.forEach((item, index) => {
+    const where = `items[${index}]`;
+    if (typeof item?.id !== "string" || !item.id) {
+      errors.push(`${where}.id must be a non-empty string`);
+    } else if (seen.has(item.id)) {
+      errors.push(`${where}.id "${item.id}" is duplicated`);
+    } else {
+      seen.add(item.id);
+    }
+    if (!ITEM_TYPES.includes(item?.type)) {
+      errors.push(`${where}.type must be one of ${ITEM_TYPES.join(", ")}`);
+      return;
+    }
+    if (typeof item.label !== "string") {
+      errors.push(`${where}.label must be a string`);
+    }
+    if (item.type === "likert" || item.type === "slider") {
+      if (!isNumber(item.min) || !isNumber(item.max) || item.min >= item.max) {
+        errors.push(`${where} needs numeric min < max`);
+      }
+      if (item.type === "likert" && item.max - item.min > 10) {
+        errors.push(`${where} likert scale is too wide (max 11 points)`);
+      }
+    }
+    if (item.type === "multiselect") {
+      const options = Array.isArray(item.options) ? item.options : [];
+      if (options.length === 0) {
+        errors.push(`${where}.options must be a non-empty array`);
+      } else if (options.some((o) => typeof o?.value !== "string")) {
+        errors.push(`${where}.options[].value must be strings`);
+      }
+      if (
+        item.maxSelected !== undefined &&
+        item.maxSelected !== null &&
+        !(Number.isInteger(item.maxSelected) && item.maxSelected >= 1)
+      ) {
+        errors.push(`${where}.maxSelected must be a positive integer`);
+      }
+    }
+  });
+  return errors;
+};
+
+export const isValidDefinition = (definition) =>
+  validateDefinition(definition).length === 0;
+
+// 新紀錄的初始答案：likert 預設中間值（沿用原本預設心情 3 的行為），其他留空
+export const initialAnswers = (definition) => {
+  const answers = {};
+  for (const item of definition.items) {
+    if (item.type === "likert") {
+      answers[item.id] = Math.round((item.min + item.max) / 2);
+    } else if (item.type === "multiselect") {
+      answers[item.id] = [];
+    } else {
+      answers[item.id] = null;
+    }
+  }
+  return answers;
+};
+
+const isAnswered = (item, value) => {
+  if (item.type === "multiselect") return Array.isArray(value) && value.length > 0;
+  if (item.type === "text") return typeof value === "string" && value.trim() !== "";
+  return isNumber(value);
+};
+
+// 必填題沒回答的題目 id
+export const missingRequired = (definition, answers) =>
+  definition.items
+    .filter((item) => item.required && !isAnswered(item, answers[item.id]))
+    .map((item) => item.id);
+
+// 存檔前整理答案：只保留定義中的題目、數值夾在範圍內、
+// 去掉不存在與重複的選項，複選超過 maxSelected 時只留前面選的
+export const normalizeAnswers = (definition, answers = {}) => {
+  const result = {};
+  for (const item of definition.items) {
+    const value = answers[item.id];
+    switch (item.type) {
+      case "likert":
+      case "slider":
+        result[item.id] = isNumber(value)
+          ? Math.min(item.max, Math.max(item.min, value))
+          : null;
+        break;
+      case "multiselect": {
+        const allowed = new Set(item.options.map((o) => o.value));
+        const picked = Array.isArray(value)
+          ? [...new Set(value.filter((v) => allowed.has(v)))]
+          : [];
+        result[item.id] = item.maxSelected ? picked.slice(0, item.maxSelected) : picked;
+        break;
+      }
+      default:
+        result[item.id] =
+          typeof value === "string" && value.trim() !== ""
+            ? value.trim().slice(0, item.maxLength ?? 1000)
+            : null;
+    }
+  }
+  return result;
+};
+
+// 舊欄位 logs.mood：取 id 為 "mood" 的題目（沒有這題時為 null）
+export const moodFromAnswers = (answers) =>
+  isNumber(answers?.mood) ? Math.round(answers.mood) : null;
+
+// 顯示用：把答案轉成「題目：答案」的文字
+export const describeAnswers = (definition, answers = {}) =>
+  definition.items
+    .filter((item) => isAnswered(item, answers[item.id]))
+    .map((item) => {
+      const value = answers[item.id];
+      if (item.type === "multiselect") {
+        const labels = value.map(
+          (v) => item.options.find((o) => o.value === v)?.label ?? v
+        );
+        return { id: item.id, label: item.label, text: labels.join("、") };
+      }
+      return { id: item.id, label: item.label, text: String(value) };
+    });
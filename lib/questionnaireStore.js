@@ -0,0 +1,36 @@
+// 目前使用的問卷：後端下發的定義快取在本機，沒有或不合法時用內建預設問卷
+// 研究設定（studyConfig.questionnaire）有指定問卷時以研究設定為準
+import { fetchQuestionnaire } from "./api";
+import { DEFAULT_QUESTIONNAIRE, validateDefinition } from "./questionnaire";
+import { getSetting, setSetting } from "./settingsStore";
+import { getStudyConfig } from "./studyConfigStore";
+
+const SETTINGS_KEY = "questionnaire";
+
+export const getQuestionnaire = async () => {
+  const { questionnaire } = await getStudyConfig();
+  if (questionnaire) return questionnaire;
+  const cached = await getSetting(SETTINGS_KEY, null);
+  if (cached && validateDefinition(cached).length === 0) {
+    return cached;
+  }
+  return DEFAULT_QUESTIONNAIRE;
+};
+
+// 向後端取得最新問卷；不合法的定義不會覆蓋快取。回傳目前生效的問卷
+export const refreshQuestionnaire = async () => {
+  try {
+    const remote = await fetchQuestionnaire();
+    if (remote) {
+      const errors = validateDefinition(remote);
+      if (errors.length === 0) {
+        await setSetting(SETTINGS_KEY, remote);
+        return remote;
+      }
+      console.log("Ignoring invalid questionnaire from backend:", errors);
+    }
+  } catch (e) {
+    console.log("refreshQuestionnaire error:", e);
+  }
+  return getQuestionnaire();
+};
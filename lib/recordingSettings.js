@@ -0,0 +1,55 @@
+// 錄影設定：片長、倒數秒數、預設鏡頭（錄影畫面 app/record.js 使用）
+import { getSetting, setSetting } from "./settingsStore";
+import { getStudyConfig } from "./studyConfigStore";
+
+const SETTINGS_KEY = "recording";
+
+export const CLIP_SECONDS_OPTIONS = [1, 2, 3, 5, 10];
+export const COUNTDOWN_SECONDS_OPTIONS = [0, 3, 5];
+export const CAMERA_FACINGS = ["front", "back"];
+
+export const DEFAULT_RECORDING_SETTINGS = {
+  clipSeconds: 1,
+  countdownSeconds: 3,
+  facing: "front",
+};
+
+const pick = (value, options, fallback) =>
+  options.includes(Number(value)) ? Number(value) : fallback;
+
+export const normalizeRecordingSettings = (settings = {}) => ({
+  clipSeconds: pick(
+    settings.clipSeconds,
+    CLIP_SECONDS_OPTIONS,
+    DEFAULT_RECORDING_SETTINGS.clipSeconds
+  ),
+  countdownSeconds: pick(
+    settings.countdownSeconds,
+    COUNTDOWN_SECONDS_OPTIONS,
+    DEFAULT_RECORDING_SETTINGS.countdownSeconds
+  ),
+  facing: CAMERA_FACINGS.includes(settings.facing)
+    ? settings.facing
+    : DEFAULT_RECORDING_SETTINGS.facing,
+});
+
+// 研究設定有指定片長（studyConfig.recording.clipSeconds）時以研究為準
+export const loadRecordingSettings = async () => {
+  const settings = normalizeRecordingSettings(
+    await getSetting(SETTINGS_KEY, DEFAULT_RECORDING_SETTINGS)
+  );
+  const { clipSeconds } = (await getStudyConfig()).recording;
+  return clipSeconds ? { ...settings, clipSeconds } : settings;
+};
+
+// 研究指定片長時不把它寫進參與者的設定，沿用參與者原本選的片長；
+// 回傳實際生效的設定
+export const saveRecordingSettings = async (settings) => {
+  const { clipSeconds } = (await getStudyConfig()).recording;
+  const stored = await getSetting(SETTINGS_KEY, DEFAULT_RECORDING_SETTINGS);
+  const normalized = normalizeRecordingSettings(
+    clipSeconds ? { ...settings, clipSeconds: stored.clipSeconds } : settings
+  );
+  await setSetting(SETTINGS_KEY, normalized);
+  return clipSeconds ? { ...normalized, clipSeconds } : normalized;
+};
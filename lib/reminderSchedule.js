@@ -0,0 +1,159 @@
+// 提醒排程（純函式）：把使用者設定轉成「應該存在的通知」清單，
+// 再和系統上已排定的通知比對，只增刪有變動的部分。
+
+// expo-notifications 的 weekday：1 = 星期日 ... 7 = 星期六
+export const ALL_WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+export const WEEKDAY_LABELS = { 1: "日", 2: "一", 3: "二", 4: "三", 5: "四", 6: "五", 7: "六" };
+
+// iOS 最多保留 64 個排定通知；每週觸發最多 7 × 8 = 56 個，留一點空間
+export const MAX_REMINDER_TIMES = 8;
+
+// 我們排定的通知都以這個前綴命名，其他的視為舊版遺留
+export const REMINDER_ID_PREFIX = "emogo-reminder-";
+
+// 提醒模式：固定時間 / 經驗取樣（每個時間窗隨機一次，見 esmSchedule.js）
+export const REMINDER_MODES = { FIXED: "fixed", ESM: "esm" };
+
+export const DEFAULT_REMINDER_SETTINGS = {
+  mode: REMINDER_MODES.FIXED,
+  times: ["09:00", "15:00", "21:00"],
+  weekdays: ALL_WEEKDAYS,
+  quietHours: { enabled: false, start: "22:00", end: "08:00" },
+  pausedUntil: null, // ISO 字串；在這之前不發提醒
+};
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// "9:5" / "09:05" -> { hour: 9, minute: 5 }；格式錯誤回傳 null
+export const parseTime = (text) => {
+  const match = /^(\d{1,2}):(\d{1,2})$/.exec(String(text ?? "").trim());
+  if (!match) return null;
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+};
+
+export const formatTime = ({ hour, minute }) => `${pad(hour)}:${pad(minute)}`;
+
+// 讀進來的設定可能是舊版或不完整的，補齊預設值並整理格式
+export const normalizeReminderSettings = (settings = {}) => {
+  const times = [
+    ...new Set(
+      (settings.times ?? DEFAULT_REMINDER_SETTINGS.times)
+        .map(parseTime)
+        .filter(Boolean)
+        .map(formatTime)
+    ),
+  ]
+    .sort()
+    .slice(0, MAX_REMINDER_TIMES);
+
+  const weekdays = (settings.weekdays ?? ALL_WEEKDAYS)
+    .map(Number)
+    .filter((d) => ALL_WEEKDAYS.includes(d));
+
+  return {
+    mode: settings.mode === REMINDER_MODES.ESM ? REMINDER_MODES.ESM : REMINDER_MODES.FIXED,
+    esm: settings.esm ?? null,
+    times,
+    weekdays: [...new Set(weekdays)].sort(),
+    quietHours: {
+      ...DEFAULT_REMINDER_SETTINGS.quietHours,
+      ...(settings.quietHours ?? {}),
+    },
+    pausedUntil: settings.pausedUntil ?? null,
+  };
+};
+
+const toMinutes = ({ hour, minute }) => hour * 60 + minute;
+
+// 是否落在勿擾時段（start > end 代表跨午夜，例如 22:00–08:00）
+export const isInQuietHours = (time, quietHours) => {
+  if (!quietHours?.enabled) return false;
+  const start = parseTime(quietHours.start);
+  const end = parseTime(quietHours.end);
+  if (!start || !end) return false;
+
+  const t = toMinutes(time);
+  const s = toMinutes(start);
+  const e = toMinutes(end);
+  if (s === e) return false;
+  return s < e ? t >= s && t < e : t >= s || t < e;
+};
+
+export const isPaused = (settings, now = new Date()) =>
+  Boolean(settings.pausedUntil) && new Date(settings.pausedUntil) > now;
+
+// 固定時間模式下某一天會發出的提醒時間（小時，可有小數：9.5 = 09:30）
+// 不在提醒星期、或落在勿擾時段的時間不算；ESM 模式的提醒記在 prompts 表（見 prompts.js）
+export const fixedPromptHoursOn = (rawSettings, date) => {
+  const settings = normalizeReminderSettings(rawSettings);
+  if (settings.mode !== REMINDER_MODES.FIXED) return [];
+  if (!settings.weekdays.includes(date.getDay() + 1)) return [];
+  return settings.times
+    .map(parseTime)
+    .filter((time) => !isInQuietHours(time, settings.quietHours))
+    .map(({ hour, minute }) => hour + minute / 60);
+};
+
+// 產生應該存在的固定時間通知：[{ identifier, trigger }]
+// ESM 模式下固定提醒一律不排（隨機提醒由 prompts.js 另外管理）
+// trigger 是不依賴 expo-notifications 常數的描述：
+//   { kind: "daily", hour, minute } / { kind: "weekly", weekday, hour, minute } / { kind: "date", date }
+export const buildReminderPlan = (rawSettings, now = new Date()) => {
+  const settings = normalizeReminderSettings(rawSettings);
+
+  // 暫停中：只排一個「暫停結束」的提醒，提醒使用者打開 App 恢復排程
+  if (isPaused(settings, now)) {
+    return [
+      {
+        // id 帶上時間，暫停期間被修改時才會換掉舊的提醒
+        identifier: `${REMINDER_ID_PREFIX}resume-${Date.parse(settings.pausedUntil)}`,
+        trigger: { kind: "date", date: settings.pausedUntil },
+      },
+    ];
+  }
+
+  if (settings.mode === REMINDER_MODES.ESM) return [];
+
+  const times = settings.times
+    .map(parseTime)
+    .filter((time) => !isInQuietHours(time, settings.quietHours));
+  const everyDay = settings.weekdays.length === ALL_WEEKDAYS.length;
+
+  const plan = [];
+  for (const time of times) {
+    const hhmm = formatTime(time).replace(":", "");
+    if (everyDay) {
+      plan.push({
+        identifier: `${REMINDER_ID_PREFIX}d-${hhmm}`,
+        trigger: { kind: "daily", ...time },
+      });
+      continue;
+    }
+    for (const weekday of settings.weekdays) {
+      plan.push({
+        identifier: `${REMINDER_ID_PREFIX}w${weekday}-${hhmm}`,
+        trigger: { kind: "weekly", weekday, ...time },
+      });
+    }
+  }
+  return plan;
+};
+
+// 比對計畫和已排定的通知 id：
+// - toCancel：已排定但不在計畫裡（含舊版沒有前綴的通知）
+// - toSchedule：計畫裡但還沒排定
+// 以 "emogo-" 開頭但不是 ownedPrefix 的通知屬於其他功能，不會動到
+export const diffReminderPlan = (plan, scheduledIds, ownedPrefix = REMINDER_ID_PREFIX) => {
+  const wanted = new Set(plan.map((item) => item.identifier));
+  const existing = new Set(scheduledIds);
+
+  const toCancel = scheduledIds.filter(
+    (id) =>
+      !wanted.has(id) && (id.startsWith(ownedPrefix) || !id.startsWith("emogo-"))
+  );
+  const toSchedule = plan.filter((item) => !existing.has(item.identifier));
+  return { toCancel, toSchedule };
+};
@@ -0,0 +1,126 @@
+// 提醒通知：讀寫使用者的提醒設定，並讓系統排程和設定保持一致
+import { Platform } from "react-native";
+import * as Notifications from "expo-notifications";
+
+import { normalizeEsmSettings } from "./esmSchedule";
+import { cancelPendingEsmPrompts, topUpEsmPrompts } from "./prompts";
+import {
+  buildReminderPlan,
+  diffReminderPlan,
+  isPaused,
+  normalizeReminderSettings,
+  DEFAULT_REMINDER_SETTINGS,
+  REMINDER_MODES,
+} from "./reminderSchedule";
+import { getSetting, setSetting } from "./settingsStore";
+import { applyStudyReminders, keepParticipantReminders } from "./studyConfig";
+import { getStudyConfig } from "./studyConfigStore";
+
+const SETTINGS_KEY = "reminders";
+
+const REMINDER_CONTENT = {
+  title: "Emogo 記錄時間到了",
+  body: "請打開 App 填寫心情、錄一段 vlog，並收集 GPS。",
+};
+
+const RESUME_CONTENT = {
+  title: "Emogo 提醒已恢復",
+  body: "暫停時間結束了，打開 App 就會重新開始每日提醒。",
+};
+
+const normalize = (settings) => {
+  const normalized = normalizeReminderSettings(settings);
+  return { ...normalized, esm: normalizeEsmSettings(normalized.esm ?? {}) };
+};
+
+// 研究設定有指定提醒排程（studyConfig.reminders）時，模式與時間以研究為準
+export const loadReminderSettings = async () =>
+  normalize(
+    applyStudyReminders(
+      await getSetting(SETTINGS_KEY, DEFAULT_REMINDER_SETTINGS),
+      await getStudyConfig()
+    )
+  );
+
+// 只存參與者自己決定的部分；回傳套上研究排程後實際生效的設定
+export const saveReminderSettings = async (settings) => {
+  const config = await getStudyConfig();
+  const stored = await getSetting(SETTINGS_KEY, DEFAULT_REMINDER_SETTINGS);
+  const own = normalize(keepParticipantReminders(stored, settings, config));
+  await setSetting(SETTINGS_KEY, own);
+  return normalize(applyStudyReminders(own, config));
+};
+
+// 計畫裡的 trigger 轉成 expo-notifications 的格式
+const toNotificationTrigger = (trigger) => {
+  switch (trigger.kind) {
+    case "daily":
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.DAILY,
+        hour: trigger.hour,
+        minute: trigger.minute,
+      };
+    case "weekly":
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.WEEKLY,
+        weekday: trigger.weekday,
+        hour: trigger.hour,
+        minute: trigger.minute,
+      };
+    default:
+      return {
+        type: Notifications.SchedulableTriggerInputTypes.DATE,
+        date: new Date(trigger.date),
+      };
+  }
+};
+
+// 依設定更新系統排程：只取消 / 新增有變動的通知
+// - 固定模式：比對後增刪固定時間的通知
+// - ESM 模式：補排未來幾天的隨機提醒；regenerate 時先取消尚未發出的再重排
+// 回傳 { scheduled, cancelled } 筆數
+export const syncReminders = async (
+  rawSettings,
+  { regenerate = false } = {}
+) => {
+  if (Platform.OS === "web") return { scheduled: 0, cancelled: 0 };
+
+  const settings = rawSettings ? normalize(rawSettings) : await loadReminderSettings();
+  const plan = buildReminderPlan(settings);
+  const existing = await Notifications.getAllScheduledNotificationsAsync();
+  const { toCancel, toSchedule } = diffReminderPlan(
+    plan,
+    existing.map((n) => n.identifier)
+  );
+
+  for (const identifier of toCancel) {
+    await Notifications.cancelScheduledNotificationAsync(identifier);
+  }
+  for (const item of toSchedule) {
+    const isResume = item.trigger.kind === "date";
+    await Notifications.scheduleNotificationAsync({
+      identifier: item.identifier,
+      content: {
+        ...(isResume ? RESUME_CONTENT : REMINDER_CONTENT),
+        // 點開通知時用來推算這次提醒原本排定的時間（見 prompts.js）
+        data: isResume
+          ? { kind: "resume" }
+          : { kind: "fixed", hour: item.trigger.hour, minute: item.trigger.minute },
+      },
+      trigger: toNotificationTrigger(item.trigger),
+    });
+  }
+
+  let scheduled = toSchedule.length;
+  let cancelled = toCancel.length;
+
+  const esmActive = settings.mode === REMINDER_MODES.ESM && !isPaused(settings);
+  if (!esmActive || regenerate) {
+    cancelled += await cancelPendingEsmPrompts();
+  }
+  if (esmActive) {
+    scheduled += await topUpEsmPrompts(settings);
+  }
+
+  return { scheduled, cancelled };
+};
@@ -0,0 +1,93 @@
+// 被動感測的取樣策略（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 依電量決定背景定位的頻率：充電中最密，電量越低越疏，
+// 電量低於 20% 或開啟省電模式時暫停，避免把參與者的手機耗到沒電。
+
+export const SAMPLING_TIERS = {
+  CHARGING: "charging",
+  NORMAL: "normal",
+  SAVER: "saver",
+  PAUSED: "paused",
+};
+
+const LOW_BATTERY = 0.2;
+const SAVER_BATTERY = 0.5;
+
+// intervalMinutes 為 null 表示暫停；accuracy 對應 expo-location 的 Accuracy
+const plan = (tier, intervalMinutes, accuracy, distanceMeters) => ({
+  tier,
+  intervalMinutes,
+  accuracy,
+  distanceMeters,
+});
+
+const PLANS = {
+  charging: plan(SAMPLING_TIERS.CHARGING, 5, "balanced", 50),
+  normal: plan(SAMPLING_TIERS.NORMAL, 10, "balanced", 100),
+  saver: plan(SAMPLING_TIERS.SAVER, 30, "low", 500),
+  paused: plan(SAMPLING_TIERS.PAUSED, null, null, null),
+};
+
+// batteryLevel 0–1（模擬器或讀不到時為 -1 / null，當作電量充足）
+export const samplingPlan = ({
+  batteryLevel = null,
+  charging = false,
+  lowPowerMode = false,
+} = {}) => {
+  if (charging) return PLANS.charging;
+  if (lowPowerMode) return PLANS.paused;
+  if (batteryLevel === null || batteryLevel < 0) return PLANS.normal;
+  if (batteryLevel < LOW_BATTERY) return PLANS.paused;
+  if (batteryLevel < SAVER_BATTERY) return PLANS.saver;
+  return PLANS.normal;
+};
+
+export const describeSamplingPlan = (plan) => {
+  switch (plan.tier) {
+    case SAMPLING_TIERS.CHARGING:
+      return `充電中：約每 ${plan.intervalMinutes} 分鐘記錄一次。`;
+    case SAMPLING_TIERS.SAVER:
+      return `電量低於 ${SAVER_BATTERY * 100}%：放慢到約每 ${plan.intervalMinutes} 分鐘一次。`;
+    case SAMPLING_TIERS.PAUSED:
+      // 暫停時背景定位 task 已經停止，只有 App 開著時才會偵測到電量回升
+      return `電量低於 ${LOW_BATTERY * 100}% 或省電模式：暫停記錄。充電或電量回升後，打開 App 就會恢復。`;
+    default:
+      return `約每 ${plan.intervalMinutes} 分鐘記錄一次。`;
+  }
+};
+
+// ---------- 動作（加速度計） ----------
+
+// 每次取樣錄幾秒、每秒幾筆
+export const MOTION_WINDOW_MS = 5000;
+export const MOTION_SAMPLE_HZ = 10;
+
+// 加速度（單位 g）大小的標準差門檻：靜止時只有感測器雜訊，走路約 0.2 g 以上
+const STILL_STD_G = 0.02;
+const ACTIVE_STD_G = 0.15;
+
+export const MOTION_ACTIVITIES = {
+  STILL: "still",
+  LIGHT: "light",
+  ACTIVE: "active",
+};
+
+// readings：[{ x, y, z }]（expo-sensors Accelerometer）
+// 回傳 { count, meanG, stdG, activity }；沒有資料時回傳 null
+export const summarizeMotion = (readings) => {
+  const magnitudes = (readings ?? [])
+    .filter((r) => r && [r.x, r.y, r.z].every(Number.isFinite))
+    .map((r) => Math.sqrt(r.x * r.x + r.y * r.y + r.z * r.z));
+  if (magnitudes.length === 0) return null;
+
+  const meanG = magnitudes.reduce((sum, m) => sum + m, 0) / magnitudes.length;
+  const variance =
+    magnitudes.reduce((sum, m) => sum + (m - meanG) ** 2, 0) / magnitudes.length;
+  const stdG = Math.sqrt(variance);
+
+  let activity = MOTION_ACTIVITIES.ACTIVE;
+  if (stdG < STILL_STD_G) activity = MOTION_ACTIVITIES.STILL;
+  else if (stdG < ACTIVE_STD_G) activity = MOTION_ACTIVITIES.LIGHT;
+
+  return { count: magnitudes.length, meanG, stdG, activity };
+};
@@ -0,0 +1,107 @@
+// 被動感測樣本的儲存與分批上傳（samples 表，見 migrations.js v11）
+//
+// 樣本和 logs 分開：數量多、不需要逐筆重試，每批成功後整批標記 uploadedAt，
+// 已上傳超過一週的樣本從手機上刪掉；一直沒有上傳的（還沒加入研究、離開研究）
+// 也只保留一段時間，不會無限累積。清除所有紀錄、離開研究時全部刪除。
+import * as Crypto from "expo-crypto";
+
+import { uploadSensorSamples } from "./api";
+
+export const SAMPLE_KINDS = {
+  LOCATION: "location",
+  MOTION: "motion",
+};
+
+// 每批最多幾筆
+const UPLOAD_BATCH_SIZE = 200;
+
+// 已上傳的樣本保留幾天（方便參與者在設定頁看到最近的數量）
+const KEEP_UPLOADED_DAYS = 7;
+
+// 沒有上傳的樣本最多保留幾天
+export const KEEP_PENDING_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SAMPLE_COLUMNS = [
+  "clientId",
+  "kind",
+  "recordedAt",
+  "lat",
+  "lng",
+  "accuracy",
+  "locationPrivacy",
+  "locationLabel",
+  "motionMeanG",
+  "motionStdG",
+  "activity",
+  "batteryLevel",
+  "samplingTier",
+];
+
+export const insertSample = async (db, sample) => {
+  const row = { ...sample, clientId: Crypto.randomUUID() };
+  await db.runAsync(
+    `INSERT INTO samples (${SAMPLE_COLUMNS.join(", ")})
+     VALUES (${SAMPLE_COLUMNS.map(() => "?").join(", ")})`,
+    ...SAMPLE_COLUMNS.map((column) => row[column] ?? null)
+  );
+};
+
+export const countPendingSamples = async (db) => {
+  const row = await db.getFirstAsync(
+    "SELECT COUNT(*) AS count FROM samples WHERE uploadedAt IS NULL"
+  );
+  return row?.count ?? 0;
+};
+
+export const getLastSampleAt = async (db) => {
+  const row = await db.getFirstAsync(
+    "SELECT MAX(recordedAt) AS last FROM samples"
+  );
+  return row?.last ?? null;
+};
+
+// 上傳所有還沒上傳的樣本；回傳上傳筆數。中途失敗時丟出錯誤，已成功的批次不受影響
+export const uploadPendingSamples = async (db) => {
+  let uploaded = 0;
+  for (;;) {
+    const rows = await db.getAllAsync(
+      `SELECT ${SAMPLE_COLUMNS.join(", ")}, id FROM samples
+        WHERE uploadedAt IS NULL ORDER BY id ASC LIMIT ?`,
+      UPLOAD_BATCH_SIZE
+    );
+    if (rows.length === 0) break;
+
+    await uploadSensorSamples(rows.map(({ id, ...sample }) => sample));
+    const ids = rows.map((row) => row.id);
+    await db.runAsync(
+      `UPDATE samples SET uploadedAt = ? WHERE id IN (${ids.map(() => "?").join(", ")})`,
+      new Date().toISOString(),
+      ...ids
+    );
+    uploaded += rows.length;
+    if (rows.length < UPLOAD_BATCH_SIZE) break;
+  }
+
+  await pruneSamples(db);
+  return uploaded;
+};
+
+// 刪掉超過保留期限的樣本；回傳刪除筆數
+export const pruneSamples = async (db, now = new Date()) => {
+  const uploaded = await db.runAsync(
+    "DELETE FROM samples WHERE uploadedAt IS NOT NULL AND uploadedAt < ?",
+    new Date(now.getTime() - KEEP_UPLOADED_DAYS * DAY_MS).toISOString()
+  );
+  const pending = await db.runAsync(
+    "DELETE FROM samples WHERE uploadedAt IS NULL AND recordedAt < ?",
+    new Date(now.getTime() - KEEP_PENDING_DAYS * DAY_MS).toISOString()
+  );
+  return uploaded.changes + pending.changes;
+};
+
+// 刪除手機上所有樣本（清除所有紀錄、離開研究時）
+export const clearSamples = async (db) => {
+  await db.runAsync("DELETE FROM samples");
+};
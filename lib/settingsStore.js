@@ -0,0 +1,47 @@
+// App 設定（key / value，value 以 JSON 儲存）
+// App：SQLite 的 settings 表；Web：localStorage
+import { getDatabase } from "./database";
+
+const WEB_PREFIX = "emogo.settings.";
+
+const webStorage = () =>
+  typeof window !== "undefined" && window.localStorage
+    ? window.localStorage
+    : null;
+
+const parse = (raw, fallback) => {
+  if (raw === null || raw === undefined) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    console.log("settingsStore: bad value, using default", e);
+    return fallback;
+  }
+};
+
+export const getSetting = async (key, fallback = null) => {
+  const db = await getDatabase();
+  if (db) {
+    const row = await db.getFirstAsync(
+      "SELECT value FROM settings WHERE key = ?",
+      key
+    );
+    return parse(row?.value, fallback);
+  }
+  return parse(webStorage()?.getItem(WEB_PREFIX + key), fallback);
+};
+
+export const setSetting = async (key, value) => {
+  const raw = JSON.stringify(value);
+  const db = await getDatabase();
+  if (db) {
+    await db.runAsync(
+      "INSERT INTO settings (key, value, updatedAt) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updatedAt = excluded.updatedAt",
+      key,
+      raw,
+      new Date().toISOString()
+    );
+    return;
+  }
+  webStorage()?.setItem(WEB_PREFIX + key, raw);
+};
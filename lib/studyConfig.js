@@ -0,0 +1,194 @@
+// 研究設定（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 研究人員可以從後端調整進行中的研究，不需要重新打包 App（下載與快取見 studyConfigStore.js）：
+//   { id, version,
+//     reminders: null | { mode, times?, weekdays?, esm? },   提醒排程
+//     questionnaire: null | 問卷定義（格式見 questionnaire.js）,
+//     recording: { clipSeconds: null | 秒數 },                 vlog 片長
+//     location: { required },                                  是否一定要有位置
+//     uploads: { videoOverCellular, retryDelaysSeconds } }     上傳規則
+// null 表示研究不指定，由參與者在設定頁自己選；沒寫的區塊用內建預設值。
+import defaultConfig from "./studyConfig/default.json";
+import { MAX_ESM_DAYS, MAX_ESM_WINDOWS } from "./esmSchedule";
+import { validateDefinition } from "./questionnaire";
+import {
+  ALL_WEEKDAYS,
+  MAX_REMINDER_TIMES,
+  REMINDER_MODES,
+  parseTime,
+} from "./reminderSchedule";
+
+export const DEFAULT_STUDY_CONFIG = defaultConfig;
+
+// 研究可以指定的最長片長；再長的影片上傳與轉檔都太久
+export const MAX_CLIP_SECONDS = 60;
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const toMinutes = (text) => {
+  const time = parseTime(text);
+  return time ? time.hour * 60 + time.minute : null;
+};
+
+const validateReminders = (reminders) => {
+  if (reminders === null) return [];
+  if (!isObject(reminders)) return ["reminders must be an object or null"];
+
+  const errors = [];
+  if (!Object.values(REMINDER_MODES).includes(reminders.mode)) {
+    errors.push(`reminders.mode must be one of ${Object.values(REMINDER_MODES).join(", ")}`);
+  }
+  if (reminders.mode === REMINDER_MODES.FIXED) {
+    const { times } = reminders;
+    if (!Array.isArray(times) || times.length === 0 || times.length > MAX_REMINDER_TIMES) {
+      errors.push(`reminders.times must have 1 to ${MAX_REMINDER_TIMES} entries`);
+    } else if (!times.every((time) => parseTime(time))) {
+      errors.push("reminders.times must be HH:MM strings");
+    }
+  }
+  if (reminders.mode === REMINDER_MODES.ESM) {
+    const windows = reminders.esm?.windows;
+    if (!Array.isArray(windows) || windows.length === 0 || windows.length > MAX_ESM_WINDOWS) {
+      errors.push(`reminders.esm.windows must have 1 to ${MAX_ESM_WINDOWS} entries`);
+    } else if (
+      !windows.every((w) => {
+        const start = toMinutes(w?.start);
+        const end = toMinutes(w?.end);
+        return start !== null && end !== null && start < end;
+      })
+    ) {
+      errors.push("reminders.esm.windows need HH:MM start earlier than end");
+    }
+    const { minGapMinutes, daysAhead } = reminders.esm ?? {};
+    if (minGapMinutes !== undefined && !(Number.isFinite(minGapMinutes) && minGapMinutes >= 0)) {
+      errors.push("reminders.esm.minGapMinutes must be a number >= 0");
+    }
+    if (
+      daysAhead !== undefined &&
+      !(Number.isInteger(daysAhead) && daysAhead >= 1 && daysAhead <= MAX_ESM_DAYS)
+    ) {
+      errors.push(`reminders.esm.daysAhead must be an integer from 1 to ${MAX_ESM_DAYS}`);
+    }
+  }
+  if (
+    reminders.weekdays !== undefined &&
+    (!Array.isArray(reminders.weekdays) ||
+      reminders.weekdays.length === 0 ||
+      !reminders.weekdays.every((d) => ALL_WEEKDAYS.includes(d)))
+  ) {
+    errors.push("reminders.weekdays must be a non-empty array of 1-7");
+  }
+  return errors;
+};
+
+const validateUploads = (uploads) => {
+  if (!isObject(uploads)) return ["uploads must be an object"];
+  const errors = [];
+  if (
+    uploads.videoOverCellular !== undefined &&
+    typeof uploads.videoOverCellular !== "boolean"
+  ) {
+    errors.push("uploads.videoOverCellular must be a boolean");
+  }
+  const delays = uploads.retryDelaysSeconds;
+  if (
+    delays !== undefined &&
+    (!Array.isArray(delays) ||
+      delays.length === 0 ||
+      !delays.every((s) => Number.isFinite(s) && s > 0))
+  ) {
+    errors.push("uploads.retryDelaysSeconds must be a non-empty array of positive numbers");
+  }
+  return errors;
+};
+
+// 檢查研究設定；回傳錯誤訊息陣列（空陣列表示沒問題）
+// 只有 id、version 必填，其他區塊沒寫時用預設值，有寫就要正確
+export const validateStudyConfig = (config) => {
+  if (!isObject(config)) return ["config must be an object"];
+
+  const errors = [];
+  if (typeof config.id !== "string" || !config.id) {
+    errors.push("id must be a non-empty string");
+  }
+  if (!Number.isInteger(config.version) || config.version < 1) {
+    errors.push("version must be a positive integer");
+  }
+  if (config.reminders !== undefined) {
+    errors.push(...validateReminders(config.reminders));
+  }
+  if (config.questionnaire !== undefined && config.questionnaire !== null) {
+    errors.push(
+      ...validateDefinition(config.questionnaire).map((e) => `questionnaire: ${e}`)
+    );
+  }
+  if (config.recording !== undefined) {
+    const clipSeconds = config.recording?.clipSeconds;
+    if (!isObject(config.recording)) {
+      errors.push("recording must be an object");
+    } else if (
+      clipSeconds !== undefined &&
+      clipSeconds !== null &&
+      !(Number.isInteger(clipSeconds) && clipSeconds >= 1 && clipSeconds <= MAX_CLIP_SECONDS)
+    ) {
+      errors.push(`recording.clipSeconds must be null or an integer from 1 to ${MAX_CLIP_SECONDS}`);
+    }
+  }
+  if (config.location !== undefined) {
+    if (!isObject(config.location)) {
+      errors.push("location must be an object");
+    } else if (
+      config.location.required !== undefined &&
+      typeof config.location.required !== "boolean"
+    ) {
+      errors.push("location.required must be a boolean");
+    }
+  }
+  if (config.uploads !== undefined) {
+    errors.push(...validateUploads(config.uploads));
+  }
+  return errors;
+};
+
+// 合法的設定補上沒寫的區塊 / 欄位，讓使用的地方不用再判斷
+export const normalizeStudyConfig = (config) => ({
+  id: config.id,
+  version: config.version,
+  reminders: config.reminders ?? DEFAULT_STUDY_CONFIG.reminders,
+  questionnaire: config.questionnaire ?? DEFAULT_STUDY_CONFIG.questionnaire,
+  recording: { ...DEFAULT_STUDY_CONFIG.recording, ...(config.recording ?? {}) },
+  location: { ...DEFAULT_STUDY_CONFIG.location, ...(config.location ?? {}) },
+  uploads: { ...DEFAULT_STUDY_CONFIG.uploads, ...(config.uploads ?? {}) },
+});
+
+export const isSameStudyConfig = (a, b) =>
+  a?.id === b?.id && a?.version === b?.version;
+
+// 研究指定提醒排程時，模式、時間、星期與 ESM 時間窗以研究為準；
+// 勿擾時段與暫停仍由參與者決定
+export const applyStudyReminders = (settings, config) => {
+  const { reminders } = config;
+  if (!reminders) return settings;
+  return {
+    ...settings,
+    mode: reminders.mode,
+    times: reminders.times ?? settings.times,
+    weekdays: reminders.weekdays ?? ALL_WEEKDAYS,
+    esm: reminders.esm ? { ...settings.esm, ...reminders.esm } : settings.esm,
+  };
+};
+
+// 存回參與者自己的提醒設定前呼叫：研究指定排程時，模式、時間、星期與 ESM
+// 時間窗沿用參與者原本存的值，只更新勿擾時段與暫停；
+// 否則研究之後改成 reminders: null，參與者自己的排程就被研究的覆蓋掉了
+export const keepParticipantReminders = (stored, next, config) => {
+  if (!config.reminders) return next;
+  return {
+    ...next,
+    mode: stored.mode,
+    times: stored.times,
+    weekdays: stored.weekdays,
+    esm: stored.esm,
+  };
+};
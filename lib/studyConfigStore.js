@@ -0,0 +1,52 @@
+// 目前生效的研究設定：啟動時向後端下載，快取在本機（同 questionnaireStore.js）
+// 後端沒有設定、連不上、或下發的設定不合法時，繼續用上一份合法的設定；
+// 從來沒有拿到過時用內建的 lib/studyConfig/default.json
+import { fetchStudyConfig } from "./api";
+import {
+  DEFAULT_STUDY_CONFIG,
+  isSameStudyConfig,
+  normalizeStudyConfig,
+  validateStudyConfig,
+} from "./studyConfig";
+import { getSetting, setSetting } from "./settingsStore";
+
+const SETTINGS_KEY = "studyConfig";
+
+export const getStudyConfig = async () => {
+  const cached = await getSetting(SETTINGS_KEY, null);
+  if (cached && validateStudyConfig(cached).length === 0) {
+    return normalizeStudyConfig(cached);
+  }
+  return normalizeStudyConfig(DEFAULT_STUDY_CONFIG);
+};
+
+// 換了一份設定（id 或 version 不同）時通知畫面；回傳取消訂閱的函式
+const listeners = new Set();
+
+export const subscribeStudyConfig = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// 向後端取得最新設定；不合法的設定不會覆蓋快取。回傳目前生效的設定
+export const refreshStudyConfig = async () => {
+  const current = await getStudyConfig();
+  try {
+    const remote = await fetchStudyConfig();
+    if (remote) {
+      const errors = validateStudyConfig(remote);
+      if (errors.length === 0) {
+        await setSetting(SETTINGS_KEY, remote);
+        const latest = normalizeStudyConfig(remote);
+        if (!isSameStudyConfig(current, latest)) {
+          listeners.forEach((listener) => listener(latest));
+        }
+        return latest;
+      }
+      console.log("Ignoring invalid study config from backend:", errors);
+    }
+  } catch (e) {
+    console.log("refreshStudyConfig error:", e);
+  }
+  return current;
+};
@@ -0,0 +1,83 @@
+// vlog 縮圖：第一次需要時從影片擷取一張 JPEG，存在 document/thumbnails/，
+// 檔名是 log 的 clientId，之後直接讀檔。Web 不支援擷取縮圖，回傳 null。
+import { Platform } from "react-native";
+import * as VideoThumbnails from "expo-video-thumbnails";
+import { Directory, File, Paths } from "expo-file-system";
+
+const isWeb = Platform.OS === "web";
+
+const THUMBNAIL_DIR_NAME = "thumbnails";
+
+// clientId -> 縮圖 URI；同一個 clientId 同時只會產生一次
+const cache = new Map();
+const inFlight = new Map();
+
+const thumbnailDirectory = () => {
+  const dir = new Directory(Paths.document, THUMBNAIL_DIR_NAME);
+  if (!dir.exists) {
+    dir.create({ intermediates: true, idempotent: true });
+  }
+  return dir;
+};
+
+const thumbnailFile = (clientId) =>
+  new File(thumbnailDirectory(), `${clientId}.jpg`);
+
+const generate = async (log) => {
+  const target = thumbnailFile(log.clientId);
+  if (target.exists) return target.uri;
+
+  const { uri } = await VideoThumbnails.getThumbnailAsync(log.videoUri, {
+    time: 0,
+    quality: 0.6,
+  });
+  new File(uri).move(target);
+  return target.uri;
+};
+
+// 取得一筆紀錄的縮圖 URI；沒有影片或擷取失敗時回傳 null
+export const getThumbnail = async (log) => {
+  if (isWeb || !log?.videoUri || !log.clientId) return null;
+  if (cache.has(log.clientId)) return cache.get(log.clientId);
+
+  if (!inFlight.has(log.clientId)) {
+    inFlight.set(
+      log.clientId,
+      generate(log)
+        .then((uri) => {
+          cache.set(log.clientId, uri);
+          return uri;
+        })
+        .catch((e) => {
+          console.log("thumbnail error:", e);
+          return null;
+        })
+        .finally(() => inFlight.delete(log.clientId))
+    );
+  }
+  return inFlight.get(log.clientId);
+};
+
+export const deleteThumbnail = async (clientId) => {
+  cache.delete(clientId);
+  if (isWeb || !clientId) return;
+  const file = thumbnailFile(clientId);
+  if (file.exists) {
+    file.delete();
+  }
+};
+
+// 刪掉不屬於任何有影片紀錄的縮圖；回傳刪除數量
+export const removeOrphanThumbnails = async (clientIds) => {
+  if (isWeb) return 0;
+  const keep = new Set(clientIds.filter(Boolean).map((id) => `${id}.jpg`));
+  let removed = 0;
+  for (const entry of thumbnailDirectory().list()) {
+    if (entry instanceof File && !keep.has(entry.name)) {
+      cache.delete(entry.name.replace(/\.jpg$/, ""));
+      entry.delete();
+      removed += 1;
+    }
+  }
+  return removed;
+};
@@ -0,0 +1,461 @@
+// 上傳佇列（outbox）：紀錄先寫進 SQLite，再由這裡負責上傳與重試
+//
+// 每筆 log 在 outbox 裡最多只有一列（logId UNIQUE），
+// metadata 與影片分開記錄是否已上傳，重試時只補傳還沒成功的部分，
+// 已經 synced 的紀錄永遠不會再被上傳。
+// 每筆 log 都帶著 clientId（UUID），即使重試送出第二次，後端也能去重；
+// 對帳（reconcile）時再向後端確認哪些 clientId 已經存在。
+import { AppState } from "react-native";
+import * as Network from "expo-network";
+
+import { fetchKnownLogs, uploadLogMetadata, uploadLogVideo } from "./api";
+import { isEnrolled } from "./authStore";
+import { uploadVideoResumable } from "./chunkedUpload";
+import { syncConsent } from "./consentStore";
+import { hasPendingClear, sendLogChange } from "./logChanges";
+import { uploadPendingSamples } from "./sensorSamples";
+import { getStudyConfig } from "./studyConfigStore";
+
+// 每次對帳最多帶幾個 clientId
+const RECONCILE_BATCH_SIZE = 100;
+
+// 重試間隔：10 秒、30 秒、2 分、10 分、30 分，之後固定每 1 小時
+// 研究設定可以用 uploads.retryDelaysSeconds 換掉（見 studyConfig.js）
+const RETRY_DELAYS_MS = [10e3, 30e3, 2 * 60e3, 10 * 60e3, 30 * 60e3, 60 * 60e3];
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  UPLOADING: "uploading",
+  // metadata 已上傳，研究設定不允許用行動網路傳影片，等連上 Wi-Fi
+  WAITING_FOR_WIFI: "waitingForWifi",
+  SYNCED: "synced",
+  // 離開研究時還沒上傳完：屬於上一次加入的研究，重新加入（可能是別的研究）後也不再上傳
+  LEFT_STUDY: "leftStudy",
+};
+
+export const getRetryDelay = (attempts, delays = RETRY_DELAYS_MS) =>
+  delays[Math.min(attempts, delays.length) - 1] ?? 0;
+
+// 這一輪上傳要遵守的規則（研究設定的 uploads）
+const loadUploadPolicy = async () => {
+  const { uploads } = await getStudyConfig();
+  const network = await Network.getNetworkStateAsync();
+  return {
+    retryDelays: uploads.retryDelaysSeconds.map((seconds) => seconds * 1000),
+    videoAllowed:
+      uploads.videoOverCellular ||
+      network.type !== Network.NetworkStateType.CELLULAR,
+  };
+};
+
+// App 被系統砍掉時可能停在 uploading，重新啟動後改回 pending 再試
+export const resetInterruptedUploads = async (db) => {
+  await db.runAsync(
+    "UPDATE outbox SET status = ? WHERE status = ?",
+    OUTBOX_STATUS.PENDING,
+    OUTBOX_STATUS.UPLOADING
+  );
+};
+
+// 影片上傳進度（畫面上的進度條用）：listener({ logId, sent, total })
+const progressListeners = new Set();
+
+export const subscribeUploadProgress = (listener) => {
+  progressListeners.add(listener);
+  return () => progressListeners.delete(listener);
+};
+
+const emitProgress = (logId, sent, total) => {
+  progressListeners.forEach((listener) => listener({ logId, sent, total }));
+};
+
+// 分段上傳影片，每段成功就把 uploadId / offset 存進 outbox，中斷後從這裡繼續
+const uploadVideo = async (db, row, log) => {
+  const chunked = await uploadVideoResumable(log, {
+    uploadId: row.uploadId,
+    onSession: (uploadId, offset, size) =>
+      db.runAsync(
+        "UPDATE outbox SET uploadId = ?, uploadOffset = ?, uploadSize = ?, updatedAt = ? WHERE id = ?",
+        uploadId,
+        offset,
+        size,
+        new Date().toISOString(),
+        row.outboxId
+      ),
+    onProgress: (sent, total) => emitProgress(row.id, sent, total),
+  });
+  if (!chunked) {
+    // 後端還不支援分段上傳，一次上傳整個檔案
+    await uploadLogVideo(log);
+  }
+};
+
+// 回傳這筆的狀態：SYNCED 完成、WAITING_FOR_WIFI 影片等 Wi-Fi、PENDING 失敗等重試
+const uploadOne = async (db, row, policy) => {
+  const log = {
+    clientId: row.clientId,
+    timestamp: row.timestamp,
+    mood: row.mood,
+    videoUri: row.videoUri,
+    videoSize: row.videoSize,
+    videoChecksum: row.videoChecksum,
+    lat: row.lat,
+    lng: row.lng,
+    locationPrivacy: row.locationPrivacy,
+    locationLabel: row.locationLabel,
+    promptId: row.promptId,
+    promptScheduledAt: row.promptScheduledAt,
+    promptDeliveredAt: row.promptDeliveredAt,
+    promptOpenedAt: row.promptOpenedAt,
+    questionnaireId: row.questionnaireId,
+    questionnaireVersion: row.questionnaireVersion,
+    answers: row.answers ? JSON.parse(row.answers) : null,
+    editedAt: row.editedAt,
+  };
+
+  await db.runAsync(
+    "UPDATE outbox SET status = ?, updatedAt = ? WHERE id = ?",
+    OUTBOX_STATUS.UPLOADING,
+    new Date().toISOString(),
+    row.outboxId
+  );
+
+  try {
+    if (!row.metadataUploaded) {
+      await uploadLogMetadata(log);
+      await db.runAsync(
+        "UPDATE outbox SET metadataUploaded = 1 WHERE id = ?",
+        row.outboxId
+      );
+    }
+
+    if (!row.videoUploaded) {
+      if (log.videoUri) {
+        if (!policy.videoAllowed) {
+          await db.runAsync(
+            "UPDATE outbox SET status = ?, updatedAt = ? WHERE id = ?",
+            OUTBOX_STATUS.WAITING_FOR_WIFI,
+            new Date().toISOString(),
+            row.outboxId
+          );
+          return OUTBOX_STATUS.WAITING_FOR_WIFI;
+        }
+        await uploadVideo(db, row, log);
+      }
+      await db.runAsync(
+        "UPDATE outbox SET videoUploaded = 1 WHERE id = ?",
+        row.outboxId
+      );
+    }
+
+    await db.runAsync(
+      "UPDATE outbox SET status = ?, lastError = NULL, updatedAt = ? WHERE id = ?",
+      OUTBOX_STATUS.SYNCED,
+      new Date().toISOString(),
+      row.outboxId
+    );
+    return OUTBOX_STATUS.SYNCED;
+  } catch (e) {
+    const attempts = row.attempts + 1;
+    console.log("Outbox upload error:", e);
+    await db.runAsync(
+      "UPDATE outbox SET status = ?, attempts = ?, nextAttemptAt = ?, lastError = ?, updatedAt = ? WHERE id = ?",
+      OUTBOX_STATUS.PENDING,
+      attempts,
+      Date.now() + getRetryDelay(attempts, policy.retryDelays),
+      String(e?.message ?? e),
+      new Date().toISOString(),
+      row.outboxId
+    );
+    return OUTBOX_STATUS.PENDING;
+  }
+};
+
+// 上傳所有到期的紀錄；回傳成功上傳的筆數
+const processDueRows = async (db, policy) => {
+  const rows = await db.getAllAsync(
+    `SELECT outbox.id AS outboxId, outbox.metadataUploaded, outbox.videoUploaded,
+            outbox.attempts, outbox.uploadId, logs.*
+       FROM outbox JOIN logs ON logs.id = outbox.logId
+      WHERE outbox.status = ? AND outbox.nextAttemptAt <= ?
+      ORDER BY outbox.id ASC`,
+    OUTBOX_STATUS.PENDING,
+    Date.now()
+  );
+
+  let synced = 0;
+  for (const row of rows) {
+    const status = await uploadOne(db, row, policy);
+    if (status === OUTBOX_STATUS.SYNCED) {
+      synced += 1;
+    } else if (status === OUTBOX_STATUS.PENDING) {
+      // 一筆失敗通常代表網路斷了，剩下的等下一輪再試
+      break;
+    }
+  }
+  return synced;
+};
+
+// 送出到期的修改 / 刪除（見 logChanges.js），依加入的順序；回傳送出的數量
+const processDueChanges = async (db, policy) => {
+  const changes = await db.getAllAsync(
+    "SELECT * FROM log_changes WHERE nextAttemptAt <= ? ORDER BY id ASC",
+    Date.now()
+  );
+
+  let sent = 0;
+  for (const change of changes) {
+    try {
+      const row = change.clientId
+        ? await db.getFirstAsync(
+            "SELECT * FROM logs WHERE clientId = ?",
+            change.clientId
+          )
+        : null;
+      await sendLogChange(
+        change,
+        row && { ...row, answers: row.answers ? JSON.parse(row.answers) : null }
+      );
+      await db.runAsync("DELETE FROM log_changes WHERE id = ?", change.id);
+      sent += 1;
+    } catch (e) {
+      const attempts = change.attempts + 1;
+      console.log("Log change error:", e);
+      await db.runAsync(
+        "UPDATE log_changes SET attempts = ?, nextAttemptAt = ?, lastError = ? WHERE id = ?",
+        attempts,
+        Date.now() + getRetryDelay(attempts, policy.retryDelays),
+        String(e?.message ?? e),
+        change.id
+      );
+      // 後面的變更可能依賴這一個（例如先改再刪），等下一輪再一起送
+      break;
+    }
+  }
+  return sent;
+};
+
+// 向後端對帳：後端已經有的紀錄標成 confirmed，
+// 並把 outbox 裡對應的步驟標為完成，避免再上傳一次
+export const reconcileWithServer = async (db) => {
+  const rows = await db.getAllAsync(
+    `SELECT id, clientId FROM logs
+      WHERE confirmedAt IS NULL AND clientId IS NOT NULL
+        AND id NOT IN (SELECT logId FROM outbox WHERE status = ?)
+      ORDER BY id ASC`,
+    OUTBOX_STATUS.LEFT_STUDY
+  );
+
+  let confirmed = 0;
+  for (let i = 0; i < rows.length; i += RECONCILE_BATCH_SIZE) {
+    const batch = rows.slice(i, i + RECONCILE_BATCH_SIZE);
+    const known = await fetchKnownLogs(batch.map((row) => row.clientId));
+    const now = new Date().toISOString();
+
+    for (const item of known) {
+      const row = batch.find((r) => r.clientId === item.clientId);
+      if (!row) continue;
+
+      await db.runAsync(
+        "UPDATE outbox SET metadataUploaded = 1, videoUploaded = MAX(videoUploaded, ?), updatedAt = ? WHERE logId = ?",
+        item.hasVideo ? 1 : 0,
+        now,
+        row.id
+      );
+      // metadata 和影片後端都有了，才算真正確認
+      const outbox = await db.getFirstAsync(
+        "SELECT videoUploaded FROM outbox WHERE logId = ?",
+        row.id
+      );
+      if (!outbox || outbox.videoUploaded) {
+        await db.runAsync(
+          "UPDATE outbox SET status = ? WHERE logId = ?",
+          OUTBOX_STATUS.SYNCED,
+          row.id
+        );
+        await db.runAsync(
+          "UPDATE logs SET confirmedAt = ? WHERE id = ?",
+          now,
+          row.id
+        );
+        confirmed += 1;
+      }
+    }
+  }
+  return confirmed;
+};
+
+// 對帳失敗（例如離線或後端尚未支援）不影響上傳，下一輪再試
+const reconcileSafely = async (db) => {
+  try {
+    await reconcileWithServer(db);
+  } catch (e) {
+    console.log("reconcile error:", e);
+  }
+};
+
+// 被動感測樣本失敗時留到下一輪，不影響紀錄上傳
+const uploadSamplesSafely = async (db) => {
+  try {
+    await uploadPendingSamples(db);
+  } catch (e) {
+    console.log("upload samples error:", e);
+  }
+};
+
+// 加入研究前同意的紀錄，加入後在這裡補送；失敗時下一輪再試
+const syncConsentSafely = async () => {
+  try {
+    await syncConsent();
+  } catch (e) {
+    console.log("sync consent error:", e);
+  }
+};
+
+// 同一時間只跑一輪，避免前景 / 網路事件同時觸發而重複上傳；
+// 執行中又被呼叫時，結束後再補跑一輪（接住剛加入的紀錄）
+let running = null;
+let rerun = false;
+
+export const processOutbox = (db) => {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  running = (async () => {
+    await syncConsentSafely();
+    // 先對帳：後端已經收到的紀錄（例如上次上傳到一半 App 被關掉）不再上傳
+    await reconcileSafely(db);
+
+    let synced = 0;
+    do {
+      rerun = false;
+      // 每一輪重新看網路：執行中切到 Wi-Fi 時，補跑的那一輪就會傳影片
+      const policy = await loadUploadPolicy();
+      if (policy.videoAllowed) {
+        // 連上 Wi-Fi（或研究改成允許行動網路）：等 Wi-Fi 的影片回到佇列
+        await db.runAsync(
+          "UPDATE outbox SET status = ? WHERE status = ?",
+          OUTBOX_STATUS.PENDING,
+          OUTBOX_STATUS.WAITING_FOR_WIFI
+        );
+      }
+      // 修改 / 刪除先送：還沒上傳過的紀錄後端會回 404（視為完成），之後直接上傳最新內容
+      await processDueChanges(db, policy);
+      if (!(await hasPendingClear(db))) {
+        synced += await processDueRows(db, policy);
+      }
+    } while (rerun);
+
+    // 剛上傳完的紀錄再對帳一次，標成 confirmed
+    if (synced > 0) {
+      await reconcileSafely(db);
+    }
+
+    // 被動感測的樣本（見 sensorSamples.js）跟著紀錄一起分批上傳
+    await uploadSamplesSafely(db);
+    return synced;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+};
+
+// 離開研究：還沒上傳的紀錄標成 LEFT_STUDY、還沒送出的修改 / 刪除直接丟掉。
+// 不這樣做的話，重新加入研究後會用新參與者的 token 送出上一位參與者的資料，
+// 還沒送出的「清除所有紀錄」甚至會刪掉新參與者在後端的紀錄。
+// 要在 session 刪掉之後呼叫：先等正在跑的那一輪結束，免得失敗的紀錄又被改回 pending。
+export const parkPendingUploads = async (db) => {
+  if (running) {
+    await running.catch(() => {});
+  }
+  await db.withExclusiveTransactionAsync(async (txn) => {
+    await txn.runAsync(
+      "UPDATE outbox SET status = ?, updatedAt = ? WHERE status <> ?",
+      OUTBOX_STATUS.LEFT_STUDY,
+      new Date().toISOString(),
+      OUTBOX_STATUS.SYNCED
+    );
+    await txn.runAsync("DELETE FROM log_changes");
+  });
+};
+
+// 下一次重試的時間（沒有待上傳的紀錄與變更時回傳 null）
+const getNextAttemptAt = async (db) => {
+  const row = await db.getFirstAsync(
+    `SELECT MIN(next) AS next FROM (
+       SELECT MIN(nextAttemptAt) AS next FROM outbox WHERE status = ?
+       UNION ALL
+       SELECT MIN(nextAttemptAt) AS next FROM log_changes
+     )`,
+    OUTBOX_STATUS.PENDING
+  );
+  return row?.next ?? null;
+};
+
+// 目前啟動中的佇列（加入研究後要立刻補傳，見 triggerUploadQueue）
+let activeRun = null;
+
+export const triggerUploadQueue = () => activeRun?.();
+
+// 啟動佇列：回到前景、網路恢復、重試時間到時自動上傳
+// 還沒加入研究時紀錄先留在佇列裡，加入後才開始上傳
+// onChange 會在每一輪結束後被呼叫，讓畫面重新讀取上傳狀態
+export const startUploadQueue = (db, { onChange } = {}) => {
+  let timer = null;
+  let stopped = false;
+
+  // 由事件 listener 直接呼叫、沒有人 await，所以錯誤一律在這裡接住
+  const run = async () => {
+    if (stopped) return;
+    clearTimeout(timer);
+    try {
+      if (!(await isEnrolled())) return;
+      try {
+        await processOutbox(db);
+      } catch (e) {
+        console.log("processOutbox error:", e);
+      }
+      if (stopped) return;
+      onChange?.();
+
+      const next = await getNextAttemptAt(db);
+      if (next !== null && AppState.currentState === "active") {
+        timer = setTimeout(run, Math.max(next - Date.now(), 1000));
+      }
+    } catch (e) {
+      console.log("upload queue error:", e);
+    }
+  };
+
+  const appStateSub = AppState.addEventListener("change", (state) => {
+    if (state === "active") {
+      run();
+    } else {
+      clearTimeout(timer);
+    }
+  });
+
+  const networkSub = Network.addNetworkStateListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      run();
+    }
+  });
+
+  resetInterruptedUploads(db)
+    .catch((e) => console.log("resetInterruptedUploads error:", e))
+    .then(run);
+  activeRun = run;
+
+  return {
+    // 新增紀錄後立即嘗試上傳
+    trigger: run,
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (activeRun === run) activeRun = null;
+      appStateSub.remove();
+      networkSub.remove();
+    },
+  };
+};
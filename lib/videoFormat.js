@@ -0,0 +1,57 @@
+// 影片容器格式偵測：看檔案開頭的 bytes 判斷，不相信副檔名
+// （有些手機錄出 MOV 卻存成 .mp4，或反過來）
+//
+// MP4 / MOV / 3GP 都是 ISO base media file format：
+//   bytes 4–8 是 box 類型 "ftyp"，bytes 8–12 是 major brand（例如 "isom"、"qt  "、"3gp5"）
+// 很舊的 QuickTime 檔沒有 ftyp，直接從 moov / mdat / wide 等 atom 開始。
+// WebM（Web 預覽用 MediaRecorder 錄的）是 EBML：開頭 1A 45 DF A3。
+
+// 讀取檔案開頭多少 bytes 就夠判斷
+export const VIDEO_HEADER_BYTES = 32;
+
+export const VIDEO_FORMATS = {
+  mp4: { container: "mp4", mimeType: "video/mp4", extension: "mp4" },
+  mov: { container: "mov", mimeType: "video/quicktime", extension: "mov" },
+  "3gp": { container: "3gp", mimeType: "video/3gpp", extension: "3gp" },
+  webm: { container: "webm", mimeType: "video/webm", extension: "webm" },
+};
+
+const QUICKTIME_ATOMS = ["moov", "mdat", "wide", "free", "skip", "pnot"];
+
+const ascii = (bytes, start, end) =>
+  String.fromCharCode(...Array.from(bytes.subarray(start, end)));
+
+// bytes：Uint8Array（至少前 12 bytes）；認不出來時回傳 null
+export const detectVideoFormat = (bytes) => {
+  if (!bytes || bytes.length < 12) return null;
+
+  if (
+    bytes[0] === 0x1a &&
+    bytes[1] === 0x45 &&
+    bytes[2] === 0xdf &&
+    bytes[3] === 0xa3
+  ) {
+    return VIDEO_FORMATS.webm;
+  }
+
+  const boxType = ascii(bytes, 4, 8);
+  if (boxType === "ftyp") {
+    const brand = ascii(bytes, 8, 12);
+    if (brand === "qt  ") return VIDEO_FORMATS.mov;
+    if (brand.startsWith("3g")) return VIDEO_FORMATS["3gp"];
+    return VIDEO_FORMATS.mp4;
+  }
+  if (QUICKTIME_ATOMS.includes(boxType)) {
+    return VIDEO_FORMATS.mov;
+  }
+  return null;
+};
+
+// 只能看檔名時（Web 預覽、檔案讀不到）用副檔名推測，認不出來當作 MP4
+export const videoFormatFromName = (name) => {
+  const match = /\.([a-z0-9]{2,4})(?:[?#].*)?$/i.exec(name ?? "");
+  const extension = match ? match[1].toLowerCase() : "";
+  if (extension === "m4v") return VIDEO_FORMATS.mp4;
+  if (extension === "qt") return VIDEO_FORMATS.mov;
+  return VIDEO_FORMATS[extension] ?? VIDEO_FORMATS.mp4;
+};
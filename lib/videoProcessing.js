@@ -0,0 +1,92 @@
+// 存檔前的影片處理：
+// 1. 轉檔成目標解析度與位元率（react-native-compressor），省參與者的行動數據與手機空間
+// 2. 讀檔頭判斷實際的容器格式，上傳時帶正確的副檔名與 MIME type
+// 3. 不錄聲音的研究：錄影時關掉麥克風（CameraView mute，見 app/record.js），
+//    存檔時再把音軌移除（轉檔工具不支援，自己改檔案，見 mp4Audio.js）
+// Web 預覽沒有轉檔，影片原樣保存。
+import { Platform } from "react-native";
+import { File } from "expo-file-system";
+
+import { stripAudioTracks } from "./mp4Audio";
+import {
+  VIDEO_HEADER_BYTES,
+  detectVideoFormat,
+  videoFormatFromName,
+} from "./videoFormat";
+
+const isWeb = Platform.OS === "web";
+
+// 長邊最多 1280（720p），約 2 Mbps：10 秒的 vlog 約 2.5 MB
+export const VIDEO_TARGET = {
+  maxDimension: 1280,
+  bitrate: 2000000,
+};
+
+// 讀檔頭判斷格式（{ container, mimeType, extension }）；讀不到時用副檔名推測
+export const detectClipFormat = (uri) => {
+  if (isWeb || !uri) return videoFormatFromName(uri);
+  try {
+    const file = new File(uri);
+    const handle = file.open();
+    try {
+      const header = handle.readBytes(Math.min(VIDEO_HEADER_BYTES, file.size));
+      return detectVideoFormat(header) ?? videoFormatFromName(uri);
+    } finally {
+      handle.close();
+    }
+  } catch (e) {
+    console.log("detect clip format error:", e);
+    return videoFormatFromName(uri);
+  }
+};
+
+// 轉檔；回傳 { uri, compressed }
+// 轉檔失敗、或轉完沒有比較小（很短、已經是低解析度的片段）時回傳原檔
+export const compressClip = async (sourceUri, { onProgress } = {}) => {
+  if (isWeb || !sourceUri) return { uri: sourceUri, compressed: false };
+
+  // 原生模組，Web 沒有，不能在最上面 import
+  const { Video } = require("react-native-compressor");
+  try {
+    const uri = await Video.compress(
+      sourceUri,
+      {
+        compressionMethod: "manual",
+        maxSize: VIDEO_TARGET.maxDimension,
+        bitrate: VIDEO_TARGET.bitrate,
+      },
+      onProgress
+    );
+    const output = new File(uri);
+    if (!output.exists || output.size >= new File(sourceUri).size) {
+      if (output.exists && output.uri !== sourceUri) output.delete();
+      return { uri: sourceUri, compressed: false };
+    }
+    return { uri: output.uri, compressed: true };
+  } catch (e) {
+    console.log("compress clip error:", e);
+    return { uri: sourceUri, compressed: false };
+  }
+};
+
+// 直接修改檔案，移除所有音軌；回傳移除的音軌數量。認不出格式時丟出錯誤
+export const removeAudio = (uri) => {
+  if (isWeb || !uri) return 0;
+  const file = new File(uri);
+  const handle = file.open();
+  try {
+    return stripAudioTracks({
+      size: file.size,
+      read: (offset, length) => {
+        handle.offset = offset;
+        return handle.readBytes(length);
+      },
+      write: (offset, bytes) => {
+        handle.offset = offset;
+        handle.writeBytes(bytes);
+      },
+    });
+  } finally {
+    handle.close();
+  }
+};
@@ -0,0 +1,202 @@
+// vlog 檔案：相機錄好的影片在快取目錄，系統隨時可能清掉，
+// 存檔時先轉檔（見 videoProcessing.js），再放到 App 的 document 目錄（vlogs/），
+// 檔名由 log 的 clientId 決定、副檔名依實際格式，
+// 並記下檔案大小與 MD5，之後可以檢查檔案是否還完整。
+//
+// Web 預覽沒有檔案系統，影片 URI 原樣保存。
+import { Platform } from "react-native";
+import { Directory, File, Paths } from "expo-file-system";
+
+import { deleteThumbnail, removeOrphanThumbnails } from "./thumbnails";
+import { detectVideoFormat, videoFormatFromName } from "./videoFormat";
+import { getSetting, setSetting } from "./settingsStore";
+import { compressClip, detectClipFormat, removeAudio } from "./videoProcessing";
+
+const isWeb = Platform.OS === "web";
+
+const VIDEO_DIR_NAME = "vlogs";
+
+const videoDirectory = () => {
+  const dir = new Directory(Paths.document, VIDEO_DIR_NAME);
+  if (!dir.exists) {
+    dir.create({ intermediates: true, idempotent: true });
+  }
+  return dir;
+};
+
+export const videoFileName = (clientId, extension) =>
+  `emogo_vlog_${clientId}.${extension}`;
+
+// 這個 URI 是不是 App 自己管理的影片檔
+export const isManagedVideo = (uri) =>
+  !isWeb && Boolean(uri) && uri.startsWith(videoDirectory().uri);
+
+const describeFile = (file) => ({
+  videoUri: file.uri,
+  videoSize: file.size ?? null,
+  videoChecksum: file.md5 ?? null,
+});
+
+// 把剛錄好的影片轉檔後放到 vlogs/；回傳要寫進 logs 的 { videoUri, videoSize, videoChecksum }
+// onProgress(0–1)：轉檔進度
+// keepAudio 為 false（研究不收錄聲音）時移除音軌；移除不了就不存，丟出錯誤
+export const persistClip = async (
+  sourceUri,
+  clientId,
+  { onProgress, keepAudio = true } = {}
+) => {
+  if (!sourceUri) {
+    return { videoUri: "", videoSize: null, videoChecksum: null };
+  }
+  if (isWeb) {
+    return { videoUri: sourceUri, videoSize: null, videoChecksum: null };
+  }
+
+  if (isManagedVideo(sourceUri)) {
+    return describeFile(new File(sourceUri));
+  }
+
+  const source = new File(sourceUri);
+  if (!source.exists) {
+    throw new Error(`Recorded clip is missing: ${sourceUri}`);
+  }
+  const processed = await compressClip(sourceUri, { onProgress });
+  const format = detectClipFormat(processed.uri);
+  const target = new File(videoDirectory(), videoFileName(clientId, format.extension));
+  // 同一個 clientId 重新存檔時覆蓋舊檔
+  if (target.exists) {
+    target.delete();
+  }
+  if (processed.compressed) {
+    // 轉檔的輸出是暫存檔，直接搬過去
+    new File(processed.uri).move(target);
+  } else {
+    source.copy(target);
+  }
+  if (!keepAudio) {
+    try {
+      removeAudio(target.uri);
+    } catch (e) {
+      target.delete();
+      throw e;
+    }
+  }
+  return describeFile(target);
+};
+
+// 把影片內容（例如從備份 ZIP 取出的 bytes）寫進 vlogs/
+// nameHint 只在認不出格式時用來決定副檔名
+export const saveClipBytes = async (bytes, clientId, nameHint) => {
+  if (isWeb) {
+    return { videoUri: "", videoSize: null, videoChecksum: null };
+  }
+  const format = detectVideoFormat(bytes) ?? videoFormatFromName(nameHint);
+  const target = new File(videoDirectory(), videoFileName(clientId, format.extension));
+  if (target.exists) {
+    target.delete();
+  }
+  target.create();
+  target.write(bytes);
+  return describeFile(target);
+};
+
+// 刪除 App 管理的影片檔；其他位置的檔案不動
+export const deleteClip = async (uri) => {
+  if (!isManagedVideo(uri)) return false;
+  const file = new File(uri);
+  if (!file.exists) return false;
+  file.delete();
+  return true;
+};
+
+// 刪掉 vlogs/ 中沒有任何紀錄引用的檔案；回傳刪除數量
+// before（毫秒）：只刪這個時間之前寫入的檔案，避免刪到正在存檔的新影片
+export const removeOrphanClips = async (referencedUris, { before = null } = {}) => {
+  if (isWeb) return 0;
+  const referenced = new Set(referencedUris.filter(Boolean));
+  let removed = 0;
+  for (const entry of videoDirectory().list()) {
+    if (!(entry instanceof File) || referenced.has(entry.uri)) continue;
+    if (before === null || (entry.modificationTime ?? 0) < before) {
+      entry.delete();
+      removed += 1;
+    }
+  }
+  return removed;
+};
+
+// ---------- 搭配 logRepository 使用 ----------
+
+// 刪除一筆紀錄與它的影片、縮圖
+export const deleteLogWithClip = async (repository, id) => {
+  const log = await repository.getById(id);
+  await repository.delete(id);
+  if (log?.videoUri) {
+    await deleteClip(log.videoUri);
+    await deleteThumbnail(log.clientId);
+  }
+};
+
+// 只刪除紀錄的影片與縮圖，心情與答案保留；回傳更新後的紀錄
+export const deleteVideoOfLog = async (repository, id) => {
+  const log = await repository.getById(id);
+  if (!log?.videoUri) return log;
+  const updated = await repository.update(id, {
+    videoUri: "",
+    videoSize: null,
+    videoChecksum: null,
+  });
+  await deleteClip(log.videoUri);
+  await deleteThumbnail(log.clientId);
+  return updated;
+};
+
+// 清除所有紀錄，連同 vlogs/ 裡的所有影片與縮圖
+export const clearLogsWithClips = async (repository) => {
+  await repository.clear();
+  await removeOrphanThumbnails([]);
+  return removeOrphanClips([]);
+};
+
+// 舊版影片都搬進 vlogs/ 之後記下來，之後啟動不再檢查（搬移要轉檔，很耗電）
+const LEGACY_CLIPS_KEY = "legacyClipsAdopted";
+
+// App 啟動時整理影片檔：
+// 1. 舊版本存的紀錄還指向快取目錄，檔案還在的話轉檔搬進 vlogs/（全部成功後就不再做）
+// 2. 刪掉沒有紀錄引用的影片與縮圖（例如存檔途中 App 被關掉）
+// keepAudio 同 persistClip
+export const tidyStoredClips = async (repository, { keepAudio = true } = {}) => {
+  if (isWeb) return { adopted: 0, removed: 0 };
+
+  const startedAt = Date.now();
+  const logs = await repository.list({ limit: null });
+  let adopted = 0;
+  if (!(await getSetting(LEGACY_CLIPS_KEY, false))) {
+    let failed = 0;
+    for (const log of logs) {
+      if (!log.videoUri || isManagedVideo(log.videoUri)) continue;
+      try {
+        if (!new File(log.videoUri).exists) continue;
+        const stored = await persistClip(log.videoUri, log.clientId, { keepAudio });
+        await repository.update(log.id, stored);
+        log.videoUri = stored.videoUri;
+        adopted += 1;
+      } catch (e) {
+        console.log("adopt clip error:", e);
+        failed += 1;
+      }
+    }
+    if (failed === 0) {
+      await setSetting(LEGACY_CLIPS_KEY, true);
+    }
+  }
+
+  const removed = await removeOrphanClips(
+    logs.map((log) => log.videoUri),
+    { before: startedAt }
+  );
+  await removeOrphanThumbnails(
+    logs.filter((log) => log.videoUri).map((log) => log.clientId)
+  );
+  return { adopted, removed };
+};
@@ -0,0 +1,163 @@
+// 邊讀邊寫的 ZIP（純函式，不依賴 react-native / expo，可以直接在 Node 執行）
+//
+// 匯出時影片一段一段讀、一段一段寫進輸出檔，記憶體裡最多只有一段（見 exporter.js）。
+// 所有檔案都用 STORE（不壓縮）：影片本身已經壓縮過，文字檔也不大。
+// CRC 與大小在寫完內容後才知道，所以每個檔案後面接一個 data descriptor；
+// JSZip（importer.js）與一般解壓縮工具都讀得懂。不支援 ZIP64（單一 ZIP 最大 4 GB）。
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const ZIP_VERSION = 20;
+// bit 3：CRC 與大小寫在內容後面；bit 11：檔名是 UTF-8
+const FLAGS = 0x0808;
+const MAX_UINT32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// 接續計算 CRC-32：crc32(b, crc32(a)) === crc32(a + b)
+export const crc32 = (bytes, previous = 0) => {
+  let crc = (previous ^ MAX_UINT32) >>> 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ MAX_UINT32) >>> 0;
+};
+
+// ZIP 用 MS-DOS 格式的當地時間（精確到 2 秒）
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date:
+    ((Math.max(date.getFullYear(), 1980) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+const record = (size, fill) => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+const concat = (a, b) => {
+  const bytes = new Uint8Array(a.length + b.length);
+  bytes.set(a, 0);
+  bytes.set(b, a.length);
+  return bytes;
+};
+
+const encodeText = (text) => new TextEncoder().encode(text);
+
+// write(bytes) 依序收到 ZIP 的每一段（可以是 async）；
+// 回傳 { addFile, addText, finish }，檔案要一個一個加（await 完上一個再加下一個）
+export const createZipWriter = (write, { now = new Date() } = {}) => {
+  const entries = [];
+  const names = new Set();
+  const modified = toDosDateTime(now);
+  let offset = 0;
+
+  const emit = async (bytes) => {
+    if (offset + bytes.length > MAX_UINT32) {
+      throw new Error("Archive is larger than 4 GB");
+    }
+    await write(bytes);
+    offset += bytes.length;
+  };
+
+  // chunks：Uint8Array 的 iterable / async iterable（例如一段一段讀檔的 generator）
+  const addFile = async (name, chunks) => {
+    if (names.has(name)) throw new Error(`Duplicate file in archive: ${name}`);
+    if (entries.length >= MAX_ENTRIES) throw new Error("Too many files in archive");
+    names.add(name);
+
+    const encodedName = encodeText(name);
+    const headerOffset = offset;
+    await emit(
+      concat(
+        record(30, (view) => {
+          view.setUint32(0, LOCAL_FILE_HEADER, true);
+          view.setUint16(4, ZIP_VERSION, true);
+          view.setUint16(6, FLAGS, true);
+          view.setUint16(8, 0, true); // STORE
+          view.setUint16(10, modified.time, true);
+          view.setUint16(12, modified.date, true);
+          // CRC 與大小留 0，寫在 data descriptor
+          view.setUint16(26, encodedName.length, true);
+        }),
+        encodedName
+      )
+    );
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of chunks) {
+      crc = crc32(chunk, crc);
+      size += chunk.length;
+      await emit(chunk);
+    }
+
+    await emit(
+      record(16, (view) => {
+        view.setUint32(0, DATA_DESCRIPTOR, true);
+        view.setUint32(4, crc, true);
+        view.setUint32(8, size, true);
+        view.setUint32(12, size, true);
+      })
+    );
+    entries.push({ encodedName, headerOffset, crc, size });
+  };
+
+  const addText = (name, text) => addFile(name, [encodeText(text)]);
+
+  // 寫出目錄，ZIP 才算完成；回傳整個 ZIP 的大小（bytes）
+  const finish = async () => {
+    const directoryOffset = offset;
+    for (const entry of entries) {
+      await emit(
+        concat(
+          record(46, (view) => {
+            view.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+            view.setUint16(4, ZIP_VERSION, true);
+            view.setUint16(6, ZIP_VERSION, true);
+            view.setUint16(8, FLAGS, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, modified.time, true);
+            view.setUint16(14, modified.date, true);
+            view.setUint32(16, entry.crc, true);
+            view.setUint32(20, entry.size, true);
+            view.setUint32(24, entry.size, true);
+            view.setUint16(28, entry.encodedName.length, true);
+            view.setUint32(42, entry.headerOffset, true);
+          }),
+          entry.encodedName
+        )
+      );
+    }
+    const directorySize = offset - directoryOffset;
+    await emit(
+      record(22, (view) => {
+        view.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+        view.setUint16(8, entries.length, true);
+        view.setUint16(10, entries.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, directoryOffset, true);
+      })
+    );
+    return offset;
+  };
+
+  return { addFile, addText, finish };
+};
@@ -0,0 +1,442 @@
+// 本機測試用的假後端：實作 App 會呼叫的 API，特別是分段上傳協定（見 lib/api.js）
+//
+//   npm run mock-server                  # http://0.0.0.0:3000
+//   PORT=4000 npm run mock-server
+//   MOCK_FAIL_RATE=0.3 npm run mock-server   # 30% 的分段只收一半就斷線，用來測試續傳
+//   MOCK_RECORD_AUDIO=false npm run mock-server  # 研究設定為不收錄聲音
+//   MOCK_STUDY_CONFIG=study.json npm run mock-server  # 下發研究設定（格式見 lib/studyConfig.js）
+//
+// 研究代碼隨便輸入都能加入；資料只存在記憶體，上傳的影片寫到 .mock-uploads/。
+// 不需要安裝任何套件，只用 Node 內建模組。
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.PORT || 3000);
+const FAIL_RATE = Number(process.env.MOCK_FAIL_RATE || 0);
+const RECORD_AUDIO = process.env.MOCK_RECORD_AUDIO !== "false";
+const STUDY_CONFIG_FILE = process.env.MOCK_STUDY_CONFIG || null;
+const UPLOAD_DIR = path.join(__dirname, "..", ".mock-uploads");
+// 故意很短，方便測試 token 換新
+const TOKEN_TTL_SECONDS = Number(process.env.MOCK_TOKEN_TTL || 300);
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+const accessTokens = new Map(); // token -> { participantId, expiresAt }
+const refreshTokens = new Map(); // token -> participantId
+const logs = new Map(); // clientId -> { log, hasVideo }
+const samples = new Map(); // clientId -> sample
+const uploads = new Map(); // uploadId -> session
+const uploadsByClientId = new Map(); // clientId -> uploadId
+const consents = new Map(); // participantId -> [{ documentId, version, consentedAt }]
+
+const randomId = () => crypto.randomBytes(12).toString("hex");
+
+const send = (res, status, body) => {
+  if (body === undefined) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+
+const readJson = async (req) => {
+  const raw = await readBody(req);
+  try {
+    return raw.length ? JSON.parse(raw.toString("utf8")) : {};
+  } catch {
+    return null;
+  }
+};
+
+const issueTokens = (participantId) => {
+  const accessToken = randomId();
+  const refreshToken = randomId();
+  accessTokens.set(accessToken, {
+    participantId,
+    expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000,
+  });
+  refreshTokens.set(refreshToken, participantId);
+  return { accessToken, refreshToken, expiresIn: TOKEN_TTL_SECONDS };
+};
+
+// Bearer token 有效時回傳 participantId，否則回 401
+const authenticate = (req, res) => {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || "");
+  const token = match && accessTokens.get(match[1]);
+  if (!token || token.expiresAt < Date.now()) {
+    send(res, 401, { error: "invalid or expired token" });
+    return null;
+  }
+  return token.participantId;
+};
+
+const md5File = (filePath) =>
+  crypto.createHash("md5").update(fs.readFileSync(filePath)).digest("hex");
+
+const sessionStatus = (session) => ({
+  uploadId: session.uploadId,
+  offset: session.offset,
+  size: session.size,
+  complete: session.complete,
+});
+
+const markVideoReceived = (clientId) => {
+  const entry = logs.get(clientId);
+  if (entry) {
+    entry.hasVideo = true;
+  } else {
+    // 影片比 metadata 先到也沒關係，等 metadata 來再補上
+    logs.set(clientId, { log: null, hasVideo: true });
+  }
+};
+
+// 收最後一段之後檢查大小與 MD5
+const finishUpload = (session) => {
+  if (session.checksum) {
+    const actual = md5File(session.filePath);
+    if (actual !== session.checksum) {
+      // 檔案壞了：整個 session 重來
+      fs.truncateSync(session.filePath, 0);
+      session.offset = 0;
+      return `checksum mismatch (expected ${session.checksum}, got ${actual})`;
+    }
+  }
+  session.complete = true;
+  markVideoReceived(session.clientId);
+  console.log(`upload ${session.uploadId} complete (${session.size} bytes)`);
+  return null;
+};
+
+// 刪除影片：上傳的檔案與 session 一起清掉
+const removeVideo = (clientId) => {
+  const entry = logs.get(clientId);
+  if (entry) entry.hasVideo = false;
+  const uploadId = uploadsByClientId.get(clientId);
+  const session = uploadId && uploads.get(uploadId);
+  if (session) {
+    fs.rmSync(session.filePath, { force: true });
+    uploads.delete(uploadId);
+  }
+  uploadsByClientId.delete(clientId);
+};
+
+const removeLog = (clientId) => {
+  removeVideo(clientId);
+  logs.delete(clientId);
+};
+
+const createUpload = async (req, res) => {
+  const body = await readJson(req);
+  if (!body?.clientId || !Number.isInteger(body.size) || body.size <= 0) {
+    send(res, 400, { error: "clientId and size are required" });
+    return;
+  }
+  // 同一個 clientId 重複建立時回傳原本的 session（App 重試時不會重傳）
+  const existingId = uploadsByClientId.get(body.clientId);
+  const existing = existingId && uploads.get(existingId);
+  if (existing && existing.size === body.size) {
+    send(res, 200, sessionStatus(existing));
+    return;
+  }
+
+  const uploadId = randomId();
+  const session = {
+    uploadId,
+    clientId: body.clientId,
+    size: body.size,
+    checksum: body.checksum || null,
+    offset: 0,
+    complete: false,
+    filePath: path.join(
+      UPLOAD_DIR,
+      `${uploadId}-${path.basename(body.fileName || "video.mp4")}`
+    ),
+  };
+  fs.writeFileSync(session.filePath, Buffer.alloc(0));
+  uploads.set(uploadId, session);
+  uploadsByClientId.set(body.clientId, uploadId);
+  console.log(`upload ${uploadId} created for ${body.clientId} (${body.size} bytes)`);
+  send(res, 201, sessionStatus(session));
+};
+
+const uploadChunk = (req, res, session) => {
+  const offset = Number(req.headers["upload-offset"]);
+  if (session.complete || offset !== session.offset) {
+    req.resume();
+    send(res, 409, sessionStatus(session));
+    return;
+  }
+
+  // 模擬行動網路斷線：只收前一半就切斷連線，收到的部分仍然算數
+  const dropAfter = Math.random() < FAIL_RATE
+    ? Math.floor(Number(req.headers["content-length"] || 0) / 2)
+    : Infinity;
+  let received = 0;
+
+  req.on("data", (chunk) => {
+    if (received >= dropAfter) return;
+    const room = Math.min(
+      chunk.length,
+      dropAfter - received,
+      session.size - session.offset
+    );
+    if (room > 0) {
+      fs.appendFileSync(session.filePath, chunk.subarray(0, room));
+      session.offset += room;
+    }
+    received += chunk.length;
+    if (received >= dropAfter) {
+      console.log(`upload ${session.uploadId}: dropping connection at byte ${session.offset}`);
+      req.socket.destroy();
+    }
+  });
+
+  req.on("end", () => {
+    if (session.offset >= session.size) {
+      const error = finishUpload(session);
+      if (error) {
+        send(res, 422, { error, ...sessionStatus(session) });
+        return;
+      }
+    }
+    send(res, 200, sessionStatus(session));
+  });
+};
+
+const routes = async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const route = `${req.method} ${url.pathname}`;
+
+  if (route === "GET /api/health") {
+    send(res, 200, { ok: true, server: "emogo mock" });
+    return;
+  }
+
+  if (route === "GET /api/questionnaire") {
+    send(res, 404, { error: "no questionnaire configured" });
+    return;
+  }
+
+  // 每次都重新讀檔，改了 JSON 之後重開 App 就能測試
+  if (route === "GET /api/study/config") {
+    if (!STUDY_CONFIG_FILE) {
+      send(res, 404, { error: "no study config configured" });
+      return;
+    }
+    try {
+      send(res, 200, JSON.parse(fs.readFileSync(STUDY_CONFIG_FILE, "utf8")));
+    } catch (e) {
+      send(res, 500, { error: `cannot read ${STUDY_CONFIG_FILE}: ${e.message}` });
+    }
+    return;
+  }
+
+  // 沒有設定同意書：App 使用內建的版本
+  if (route === "GET /api/consent/document") {
+    send(res, 404, { error: "no consent document configured" });
+    return;
+  }
+
+  if (route === "POST /api/enroll") {
+    const body = await readJson(req);
+    if (!body?.code) {
+      send(res, 404, { error: "unknown study code" });
+      return;
+    }
+    const participantId = `P-${randomId().slice(0, 6).toUpperCase()}`;
+    console.log(`enrolled ${participantId} with code ${body.code} (${body.platform})`);
+    send(res, 200, {
+      ...issueTokens(participantId),
+      participantId,
+      studyId: "mock-study",
+      studyName: "Mock study",
+      recordAudio: RECORD_AUDIO,
+    });
+    return;
+  }
+
+  if (route === "POST /api/auth/refresh") {
+    const body = await readJson(req);
+    const participantId = refreshTokens.get(body?.refreshToken);
+    if (!participantId) {
+      send(res, 401, { error: "invalid refresh token" });
+      return;
+    }
+    refreshTokens.delete(body.refreshToken);
+    send(res, 200, issueTokens(participantId));
+    return;
+  }
+
+  // 以下都要登入
+  const participantId = authenticate(req, res);
+  if (!participantId) return;
+
+  if (route === "POST /api/consent") {
+    const body = await readJson(req);
+    if (!body?.documentId || !Number.isInteger(body.version) || !body.consentedAt) {
+      send(res, 400, { error: "documentId, version and consentedAt are required" });
+      return;
+    }
+    const records = consents.get(participantId) ?? [];
+    const duplicate = records.some(
+      (record) =>
+        record.documentId === body.documentId &&
+        record.version === body.version &&
+        record.consentedAt === body.consentedAt
+    );
+    if (!duplicate) {
+      records.push({
+        documentId: body.documentId,
+        version: body.version,
+        consentedAt: body.consentedAt,
+      });
+      consents.set(participantId, records);
+      console.log(`${participantId} consented to ${body.documentId} v${body.version}`);
+    }
+    send(res, duplicate ? 200 : 201, { ok: true });
+    return;
+  }
+
+  if (route === "POST /api/leave") {
+    send(res, 204);
+    return;
+  }
+
+  if (route === "POST /api/logs") {
+    const body = await readJson(req);
+    if (!body?.clientId) {
+      send(res, 400, { error: "clientId is required" });
+      return;
+    }
+    const entry = logs.get(body.clientId);
+    logs.set(body.clientId, {
+      log: { ...body, participantId },
+      hasVideo: entry?.hasVideo ?? false,
+    });
+    send(res, entry?.log ? 200 : 201, { ok: true });
+    return;
+  }
+
+  if (route === "POST /api/logs/reconcile") {
+    const body = await readJson(req);
+    const clientIds = Array.isArray(body?.clientIds) ? body.clientIds : [];
+    const existing = clientIds
+      .filter((clientId) => logs.get(clientId)?.log)
+      .map((clientId) => ({ clientId, hasVideo: logs.get(clientId).hasVideo }));
+    send(res, 200, { existing });
+    return;
+  }
+
+  // 清除這位參與者的所有紀錄
+  if (route === "DELETE /api/logs") {
+    const owned = [...logs.entries()]
+      .filter(([, entry]) => entry.log?.participantId === participantId)
+      .map(([clientId]) => clientId);
+    owned.forEach(removeLog);
+    console.log(`deleted all ${owned.length} logs of ${participantId}`);
+    send(res, 204);
+    return;
+  }
+
+  // 修改 / 刪除單筆紀錄：PATCH、DELETE /api/logs/:clientId，DELETE /api/logs/:clientId/video
+  const logMatch = /^\/api\/logs\/([^/]+)(\/video)?$/.exec(url.pathname);
+  if (logMatch && logMatch[1] !== "reconcile") {
+    const clientId = decodeURIComponent(logMatch[1]);
+    const entry = logs.get(clientId);
+    const body = req.method === "PATCH" ? await readJson(req) : null;
+    if (!entry?.log || entry.log.participantId !== participantId) {
+      send(res, 404, { error: "log not found" });
+      return;
+    }
+    if (req.method === "PATCH" && !logMatch[2]) {
+      entry.log = { ...entry.log, ...body, clientId, participantId };
+      console.log(`updated log ${clientId}`);
+      send(res, 200, { ok: true });
+      return;
+    }
+    if (req.method === "DELETE") {
+      if (logMatch[2]) removeVideo(clientId);
+      else removeLog(clientId);
+      console.log(`deleted ${logMatch[2] ? "video of " : ""}log ${clientId}`);
+      send(res, 204);
+      return;
+    }
+  }
+
+  if (route === "POST /api/samples") {
+    const body = await readJson(req);
+    if (!Array.isArray(body?.samples)) {
+      send(res, 400, { error: "samples must be an array" });
+      return;
+    }
+    for (const sample of body.samples) {
+      if (sample?.clientId) samples.set(sample.clientId, { ...sample, participantId });
+    }
+    console.log(`received ${body.samples.length} samples (${samples.size} total)`);
+    send(res, 200, { accepted: body.samples.length });
+    return;
+  }
+
+  // 舊版整檔上傳：只抓 clientId，不解析影片內容
+  if (route === "POST /api/upload-video") {
+    const raw = (await readBody(req)).toString("latin1");
+    const match = /name="clientId"\r\n\r\n([^\r]+)/.exec(raw);
+    if (!match) {
+      send(res, 400, { error: "clientId is required" });
+      return;
+    }
+    markVideoReceived(match[1]);
+    send(res, 200, { ok: true });
+    return;
+  }
+
+  if (route === "POST /api/uploads") {
+    await createUpload(req, res);
+    return;
+  }
+
+  const uploadMatch = /^\/api\/uploads\/([^/]+)$/.exec(url.pathname);
+  const session = uploadMatch && uploads.get(decodeURIComponent(uploadMatch[1]));
+  if (uploadMatch && !session) {
+    req.resume();
+    send(res, 404, { error: "upload session not found" });
+    return;
+  }
+  if (session && req.method === "GET") {
+    send(res, 200, sessionStatus(session));
+    return;
+  }
+  if (session && req.method === "PUT") {
+    uploadChunk(req, res, session);
+    return;
+  }
+
+  req.resume();
+  send(res, 404, { error: `no route for ${route}` });
+};
+
+const server = http.createServer((req, res) => {
+  routes(req, res).catch((e) => {
+    console.error(e);
+    if (!res.headersSent) send(res, 500, { error: String(e?.message ?? e) });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`emogo mock backend listening on http://0.0.0.0:${PORT}`);
+  if (FAIL_RATE > 0) {
+    console.log(`dropping ${Math.round(FAIL_RATE * 100)}% of upload chunks halfway`);
+  }
+});